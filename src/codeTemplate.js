@@ -1,10 +1,35 @@
 import { XSD_TYPE_TO_JS } from "./constants.js";
+import { localName } from "./namespaces.js";
+import { propertyTypesOf } from "./declarationTemplate.js";
+
+/**
+ * Produce a doc comment from the schema documentation of a component and JSDoc tags.
+ *
+ * @param {string} [documentation] - Text from xs:documentation (see documentationOf).
+ * @param {Array<string>} [tags] - Tags such as `@type {string}`, possibly on several lines.
+ * @param {string} [indent] - Indentation of the comment.
+ * @returns {string} The comment, followed by a newline, or "" when there is nothing to say.
+ */
+export function templateDocComment(documentation, tags = [], indent = "") {
+  const lines = [
+    ...(documentation ? documentation.split("\n") : []),
+    ...(documentation && tags.length ? [""] : []),
+    ...tags.flatMap((tag) => tag.split("\n")),
+  ];
+  if (!lines.length) return "";
+  const body = lines
+    .map((line) => `${indent} *${line ? ` ${line.replace(/\*\//g, "*\\/")}` : ""}`)
+    .join("\n");
+  return `${indent}/**\n${body}\n${indent} */\n`;
+}
 
 /**
  * Returns the source code string for a complex class declaration.
  * Naming: templateComplexClass to avoid generic `build`/`create` prefixes used elsewhere.
+ * The class carries the schema documentation of its type, and is preceded by the
+ * `<Class>_Data` typedef of its constructor data (see dataTypeOf).
  *
- * @param {{className:string,parentClass?:string,constructorBody?:string,accessorsCode?:string,metaMethod?:string}} opts
+ * @param {{className:string,parentClass?:string,constructorBody?:string,accessorsCode?:string,metaMethod?:string,documentation?:string,dataType?:{base?:string,members:Array<[string,string]>}}} opts
  * @returns {string} JavaScript source for the class declaration
  */
 export function templateComplexClass({
@@ -13,98 +38,185 @@ export function templateComplexClass({
   constructorBody = "",
   accessorsCode = "",
   metaMethod = "",
+  documentation,
+  dataType = { members: [] },
 }) {
-  return `\nclass ${className} extends ${parentClass} {\n    /**\n     * @param {Object} [data]\n     */\n    constructor(data = {}) {\n        super(data);\n${constructorBody}\n    }\n\n${accessorsCode}\n\n${metaMethod}\n}`;
+  const literal = dataType.members.length
+    ? `{\n${dataType.members
+        .map(([key, type]) => `    ${key}?: ${type},`)
+        .join("\n")}\n}`
+    : undefined;
+  const shape = [dataType.base, literal].filter(Boolean).join(" & ") || "{}";
+  const typedef = templateDocComment(
+    `Constructor data of ${className}, also accepted by the properties of this type.`,
+    [`@typedef {${shape}} ${className}_Data`]
+  );
+  return `\n${typedef}${templateDocComment(
+    documentation
+  )}class ${className} extends ${parentClass} {\n    /**\n     * @param {${className}_Data} [data]\n     */\n    constructor(data = {}) {\n        super(data);\n${constructorBody}\n    }\n\n${accessorsCode}\n\n${metaMethod}\n}`;
+}
+
+/**
+ * Produce an expression keeping `null` (an element explicitly nil, `xsi:nil="true"`)
+ * apart from an absent value.
+ *
+ * @param {string} expr - The value expression.
+ * @param {string} [otherwise] - The expression used when the value is not null.
+ * @returns {string}
+ */
+function nilOr(expr, otherwise = "undefined") {
+  return `${expr} === null ? null : ${otherwise}`;
+}
+
+/**
+ * Produce a test that a value is set: neither absent nor nil. Falsy values (0, false,
+ * "") are values of typed simple types and count as set.
+ *
+ * @param {string} expr - The value expression (a property access or a parenthesized
+ *   expression).
+ * @returns {string}
+ */
+function isSet(expr) {
+  return `${expr} !== undefined && ${expr} !== null`;
 }
 
 /**
  * Produce the constructor body lines for a generated class.
  * Use `templateConstructorBody` (prefix `template` to avoid `build*` collision across modules).
+ * Element values are built with the static `_create` of their class, which follows an
+ * `xsi:type` to the derived class it names.
  *
  * Inputs:
  *  - properties: array of property descriptors (name, type, xmlName, isList, isAttribute, isAny)
  *  - dependencies: Set to collect names of other generated classes referenced in the constructor
  *  - generateAccessors: boolean, whether properties are backed by private fields
+ *  - config: the generation options; without accessors, each field is documented with
+ *    its type (see propertyTypesOf) and schema documentation
  *
  * Output: a string with indented constructor statements.
  */
 export function templateConstructorBody(
   properties,
   dependencies,
-  generateAccessors
+  generateAccessors,
+  config = {}
 ) {
   return properties
     .map((prop) => {
+      const target = generateAccessors ? `this._${prop.name}` : `this.${prop.name}`;
+      // An attribute prohibited by a restriction drops the value the base class read
+      if (prop.prohibited) return `${target} = undefined;`;
       const isPrimitive = !!XSD_TYPE_TO_JS[prop.type];
+      // Built-in values are converted from their lexical form by Base#_parseValue
+      const parse = (expr, type = prop.type) =>
+        type ? `this._parseValue(${expr}, "${type}")` : expr;
       if (prop.xmlName === "#text") {
-        if (generateAccessors) {
-          return `this._${prop.name} = data["#text"] !== undefined ? data["#text"] : data.${prop.name};`;
+        const textAccess = `data["#text"] !== undefined ? data["#text"] : data.${prop.name}`;
+        // Text of a generated simple type is wrapped like any simple value
+        if (prop.type && !isPrimitive) {
+          const dependencyName = localName(prop.type);
+          dependencies.add(dependencyName);
+          return `${target} = (${textAccess}) !== undefined ? new ${dependencyName}(${textAccess}) : undefined;`;
         }
-        return `this.${prop.name} = data["#text"] !== undefined ? data["#text"] : data.${prop.name};`;
+        return `${target} = ${parse(textAccess, isPrimitive ? prop.type : undefined)};`;
       }
 
       if (isPrimitive) {
-        if (prop.isAttribute) {
-          return generateAccessors
-            ? `this._${prop.name} = data["${prop.xmlName}"];`
-            : `this.${prop.name} = data["${prop.xmlName}"];`;
+        const dataAccess = prop.isAttribute
+          ? `data["${prop.xmlName}"]`
+          : `data.${prop.name}`;
+        if (prop.isList) {
+          return `${target} = ${isSet(dataAccess)} ? [].concat(${dataAccess}).map(item => ${parse(
+            "item"
+          )}) : [];`;
         }
-        return generateAccessors
-          ? `this._${prop.name} = data.${prop.name};`
-          : `this.${prop.name} = data.${prop.name};`;
+        return `${target} = ${parse(dataAccess)};`;
       }
       if (prop.type) {
-        const dependencyName = prop.type.startsWith("xs:")
-          ? XSD_TYPE_TO_JS[prop.type]
-          : prop.type.split(":").pop();
-        if (!XSD_TYPE_TO_JS[prop.type]) {
-          dependencies.add(dependencyName);
+        const dependencyName = localName(prop.type);
+        dependencies.add(dependencyName);
+        if (prop.substitutes && !prop.isAny) {
+          return `${target} = ${templateSubstitution(prop, dependencyName, dependencies)};`;
         }
         if (prop.isList) {
-          if (XSD_TYPE_TO_JS[prop.type]) {
-            return generateAccessors
-              ? `this._${prop.name} = data.${prop.name} ? [].concat(data.${prop.name}) : [];`
-              : `this.${prop.name} = data.${prop.name} ? [].concat(data.${prop.name}) : [];`;
-          }
           // If this property is xs:any preserve the raw normalized fragments (do not wrap)
           if (prop.isAny) {
-            return generateAccessors
-              ? `this._${prop.name} = data.${prop.name} ? [].concat(data.${prop.name}) : [];`
-              : `this.${prop.name} = data.${prop.name} ? [].concat(data.${prop.name}) : [];`;
+            return `${target} = data.${prop.name} ? [].concat(data.${prop.name}) : [];`;
           }
-          return generateAccessors
-            ? `this._${prop.name} = data.${prop.name} ? [].concat(data.${prop.name}).map(item => new ${dependencyName}(item)) : [];`
-            : `this.${prop.name} = data.${prop.name} ? [].concat(data.${prop.name}).map(item => new ${dependencyName}(item)) : [];`;
-        }
-        const dataAccess = `data["${prop.xmlName}"] || data["${prop.name}"]`;
-        if (XSD_TYPE_TO_JS[prop.type]) {
-          return generateAccessors
-            ? `this._${prop.name} = ${dataAccess};`
-            : `this.${prop.name} = ${dataAccess};`;
+          return `${target} = ${isSet(`data.${prop.name}`)} ? [].concat(data.${prop.name}).map(item => ${nilOr(
+            "item",
+            `${dependencyName}._create(item)`
+          )}) : [];`;
         }
+        // Transparent attributes are read under their XML name ("@_Name"), then their
+        // property name (attributes are never nil)
+        const dataAccess =
+          prop.xmlName === prop.name
+            ? `data["${prop.name}"]`
+            : `data["${prop.xmlName}"] ?? data["${prop.name}"]`;
+        const dataValue =
+          prop.xmlName === prop.name ? dataAccess : `(${dataAccess})`;
         // If the property is xs:any prefer the raw/normalized object instead of
         // constructing a typed instance so original XML subtree (and preserved
         // __rawChildren) remain available at runtime.
         if (prop.isAny) {
-          return generateAccessors
-            ? `this._${prop.name} = ${dataAccess};`
-            : `this.${prop.name} = ${dataAccess};`;
+          return `${target} = ${dataAccess};`;
         }
-        return generateAccessors
-          ? `this._${prop.name} = ${dataAccess} ? new ${dependencyName}(${dataAccess}) : undefined;`
-          : `this.${prop.name} = ${dataAccess} ? new ${dependencyName}(${dataAccess}) : undefined;`;
+        return `${target} = ${isSet(dataValue)} ? ${dependencyName}._create(${dataAccess}) : ${nilOr(
+          dataValue
+        )};`;
       }
-      return generateAccessors
-        ? `this._${prop.name} = data.${prop.name};`
-        : `this.${prop.name} = data.${prop.name};`;
+      return `${target} = data.${prop.name};`;
+    })
+    .map((line, i) => {
+      const prop = properties[i];
+      if (generateAccessors || prop.prohibited) return `        ${line}`;
+      // Without accessors, the fields carry the type and documentation
+      return `${templateDocComment(
+        prop.documentation,
+        [`@type {${propertyTypesOf(prop, config).value}}`],
+        "        "
+      )}        ${line}`;
     })
-    .map((line) => `        ${line}`)
     .join("\n");
 }
 
+/**
+ * Produce the constructor expression of a substitution group head: each item is built
+ * with the class of the member element it was read from (Base#_substituteName), the
+ * class of the head otherwise; instances of the head class are kept as they are.
+ *
+ * @param {object} prop - The property of the head, with its `substitutes`.
+ * @param {string} dependencyName - The class of the head's type.
+ * @param {Set<string>} dependencies - Collects the classes of the members.
+ * @returns {string} The expression initializing the property.
+ */
+function templateSubstitution(prop, dependencyName, dependencies) {
+  const members = prop.substitutes.filter(
+    (m) => m.xsdType && !XSD_TYPE_TO_JS[m.xsdType]
+  );
+  members.forEach((m) => dependencies.add(localName(m.xsdType)));
+  const classes = members
+    .map((m) => `"${m.xmlName}": ${localName(m.xsdType)}`)
+    .join(", ");
+  const build = (expr, index) =>
+    `${expr} instanceof ${dependencyName} ? ${expr} : ({ ${classes} }[this._substituteName("${prop.name}", ${index})] || ${dependencyName})._create(${expr})`;
+  if (prop.isList) {
+    return `${isSet(`data.${prop.name}`)} ? [].concat(data.${prop.name}).map((item, i) => ${nilOr(
+      "item",
+      `(${build("item", "i")})`
+    )}) : []`;
+  }
+  return `${isSet(`data.${prop.name}`)} ? ${build(`data.${prop.name}`, 0)} : ${nilOr(
+    `data.${prop.name}`
+  )}`;
+}
+
 /**
  * Produce getter/setter source fragments for properties when accessors are requested.
  * Function name: templateAccessorsCode to keep a clear template-oriented naming (no `build*` clash).
+ * Getters are documented with the type of the property (`@type`) and its schema
+ * documentation, setters with the values they accept (`@param`).
  *
  * @param {Array<object>} properties
  * @param {object} config
@@ -116,48 +228,87 @@ export function templateAccessorsCode(properties, config = {}) {
   return properties
     .map((p) => {
       const name = p.name;
-      const wrapNotify = (assignExpr) =>
-        notifyEnabled
-          ? `var oldVal = this._${name};\n        ${assignExpr}\n        if (this._notifyPropertyChanged) this._notifyPropertyChanged("${name}", oldVal, this._${name});`
-          : assignExpr;
-
-      if (p.xmlName === "#text") {
-        return `    get ${name}() { return this._${name}; }\n    set ${name}(v) { ${wrapNotify(
-          `this._${name} = v;`
-        )} }`;
+      // Getters carry the type and the schema documentation, setters what they accept
+      const types = propertyTypesOf(p, config);
+      const getterDoc = templateDocComment(
+        p.documentation,
+        [`@type {${types.value}}`],
+        "    "
+      );
+      const setterDoc = templateDocComment(
+        undefined,
+        [`@param {${types.setter}} v`],
+        "    "
+      );
+      // The getter of a single value with a default (or fixed) value falls back to it
+      // while the property is not set; the stored value stays undefined, so toXML only
+      // writes it on request
+      const constraint = p.fixed !== undefined ? p.fixed : p.default;
+      let getterValue = `this._${name}`;
+      if (constraint !== undefined && !p.isList && p.xmlName !== "#text") {
+        const lexical = JSON.stringify(constraint);
+        const fallback = XSD_TYPE_TO_JS[p.type]
+          ? `this._parseValue(${lexical}, "${p.type}")`
+          : p.type
+            ? `${localName(p.type)}._create({ "#text": ${lexical} })`
+            : lexical;
+        getterValue = `this._${name} !== undefined ? this._${name} : ${fallback}`;
       }
-      const isPrimitive = !!XSD_TYPE_TO_JS[p.type];
-      if (isPrimitive) {
-        return `    get ${name}() { return this._${name}; }\n    set ${name}(v) { ${wrapNotify(
-          `this._${name} = v;`
+      // Setters compute the stored value first so it can be checked (strict mode)
+      // before it replaces the current one.
+      const setter = (valueExpr) => {
+        const lines = [
+          `const newVal = ${valueExpr};`,
+          `if (this._assertValue) this._assertValue("${name}", newVal);`,
+        ];
+        // Setting a branch of a choice may clear the other branches (see Base.configure)
+        if (p.choiceGroup) {
+          lines.push(
+            `if (this._selectChoice) this._selectChoice("${name}", newVal);`
+          );
+        }
+        if (notifyEnabled) {
+          lines.push(
+            `var oldVal = this._${name};`,
+            `this._${name} = newVal;`,
+            `if (this._notifyPropertyChanged) this._notifyPropertyChanged("${name}", oldVal, this._${name});`
+          );
+        } else {
+          lines.push(`this._${name} = newVal;`);
+        }
+        return `${getterDoc}    get ${name}() { return ${getterValue}; }\n${setterDoc}    set ${name}(v) { ${lines.join(
+          "\n        "
         )} }`;
+      };
+
+      if (p.prohibited) {
+        return `${getterDoc}    get ${name}() { return undefined; }\n${setterDoc}    set ${name}(v) { if (v !== undefined && v !== null) throw new Error(\`\${this.constructor.name}.${name} is prohibited\`); }`;
+      }
+      if (XSD_TYPE_TO_JS[p.type]) {
+        const parse = (expr) => `this._parseValue(${expr}, "${p.type}")`;
+        return setter(
+          p.isList
+            ? `${isSet("v")} ? [].concat(v).map(item => ${parse("item")}) : []`
+            : parse("v")
+        );
       }
       if (p.type) {
-        const dependencyName = p.type.startsWith("xs:")
-          ? XSD_TYPE_TO_JS[p.type]
-          : p.type.split(":").pop();
+        const dependencyName = localName(p.type);
         if (p.isList) {
-          if (XSD_TYPE_TO_JS[p.type]) {
-            return `    get ${name}() { return this._${name}; }\n    set ${name}(v) { ${wrapNotify(
-              `this._${name} = v ? [].concat(v) : [];`
-            )} }`;
-          }
-          return `    get ${name}() { return this._${name}; }\n    set ${name}(v) { ${wrapNotify(
-            `this._${name} = v ? [].concat(v).map(item => item instanceof ${dependencyName} ? item : new ${dependencyName}(item)) : [];`
-          )} }`;
+          return setter(
+            `${isSet("v")} ? [].concat(v).map(item => ${nilOr(
+              "item",
+              `(item instanceof ${dependencyName} ? item : ${dependencyName}._create(item))`
+            )}) : []`
+          );
         }
-        if (XSD_TYPE_TO_JS[p.type]) {
-          return `    get ${name}() { return this._${name}; }\n    set ${name}(v) { ${wrapNotify(
-            `this._${name} = v;`
-          )} }`;
-        }
-        return `    get ${name}() { return this._${name}; }\n    set ${name}(v) { ${wrapNotify(
-          `this._${name} = v ? (v instanceof ${dependencyName} ? v : new ${dependencyName}(v)) : undefined;`
-        )} }`;
+        return setter(
+          `${isSet("v")} ? (v instanceof ${dependencyName} ? v : ${dependencyName}._create(v)) : ${nilOr(
+            "v"
+          )}`
+        );
       }
-      return `    get ${name}() { return this._${name}; }\n    set ${name}(v) { ${wrapNotify(
-        `this._${name} = v;`
-      )} }`;
+      return setter("v");
     })
     .join("\n\n");
 }
@@ -166,10 +317,40 @@ export function templateAccessorsCode(properties, config = {}) {
  * Generate the static XSD metadata block for a generated class.
  * Name: templateMetadata to indicate it's a template helper producing metadata text.
  *
+ * Besides the per-property metadata (`__getXSDMeta`), the class exposes its own
+ * namespace information through `__getXSDTypeInfo` (type name, namespace URI and, for
+ * classes generated from a top-level element, the element name). The type info getter
+ * reads the field through the class name so subclasses without their own info inherit it.
+ *
+ * Elements carry their occurrence range (`minOccurs`, `maxOccurs`, a number or
+ * "unbounded") and their `position` in the content model of the type, inherited
+ * elements included.
+ *
+ * Properties in an xs:choice name their group (`choice`); the groups themselves are
+ * described by `__getXSDChoices` (whether the choice repeats, whether one of its
+ * branches is required, and the properties of each branch), emitted only when the class
+ * has choices.
+ *
+ * Both getters return the `XSDMeta` and `XSDChoices` typedefs of Base.js, so the static
+ * side of a subclass stays compatible with its base class under `tsc --checkJs`.
+ *
+ * Required attributes (`use="required"`) and elements (`minOccurs` > 0, outside any
+ * choice) are marked `required`; an attribute prohibited by a restriction is marked
+ * `prohibited` and left out of the merged metadata. Elements that may be nil are marked
+ * `nillable`. The value constraints of an element
+ * or attribute are kept in lexical form (`default`, `fixed`).
+ *
+ * References to the head of a substitution group list the member elements accepted in
+ * its place (`substitutes`: `{xmlName, namespace, xsdType}`), and are marked `abstract`
+ * when the head itself cannot appear.
+ *
  * @param {Array<object>} properties
+ * @param {string} [className] - Name of the generated class.
+ * @param {object} [typeInfo] - Class-level information ({typeName, namespace, elementName}).
+ * @param {object} [choices] - Choice groups by name ({repeated, required, branches}).
  * @returns {string} source code fragment for static metadata and accessor
  */
-export function templateMetadata(properties) {
+export function templateMetadata(properties, className, typeInfo, choices = {}) {
   const metaObj = {};
   properties.forEach((p) => {
     metaObj[p.name] = {
@@ -179,19 +360,84 @@ export function templateMetadata(properties) {
       isList: p.isList,
       isAny: !!p.isAny,
     };
+    if (p.namespace !== undefined) {
+      metaObj[p.name].namespace = p.namespace;
+      metaObj[p.name].form = p.form;
+    }
+    if (p.position !== undefined) {
+      metaObj[p.name].minOccurs = p.minOccurs;
+      metaObj[p.name].maxOccurs = p.maxOccurs;
+      metaObj[p.name].position = p.position;
+    }
+    if (p.choiceGroup) metaObj[p.name].choice = p.choiceGroup;
+    if (p.required !== undefined) metaObj[p.name].required = p.required;
+    if (p.nillable) metaObj[p.name].nillable = true;
+    if (p.prohibited) metaObj[p.name].prohibited = true;
+    if (p.default !== undefined) metaObj[p.name].default = p.default;
+    if (p.fixed !== undefined) metaObj[p.name].fixed = p.fixed;
+    if (p.abstract) metaObj[p.name].abstract = true;
+    if (p.substitutes) metaObj[p.name].substitutes = p.substitutes;
   });
-  return `\n    static #__xsdMeta = ${JSON.stringify(
+  const typeInfoCode =
+    className && typeInfo
+      ? `\n    static #__xsdTypeInfo = ${JSON.stringify(
+          typeInfo,
+          null,
+          4
+        )};\n    static __getXSDTypeInfo() { return ${className}.#__xsdTypeInfo; }\n`
+      : "";
+  const choicesCode =
+    className && Object.keys(choices).length
+      ? `\n    /** @type {XSDChoices} */\n    static #__xsdChoices = ${JSON.stringify(
+          choices,
+          null,
+          4
+        )};\n    /** @returns {XSDChoices} */\n    static __getXSDChoices() { return ${className}.#__xsdChoices; }\n`
+      : "";
+  return `\n    /** @type {XSDMeta} */\n    static #__xsdMeta = ${JSON.stringify(
     metaObj,
     null,
     4
-  )};\n    static __getXSDMeta() { return this.#__xsdMeta; }\n`;
+  )};\n    /** @returns {XSDMeta} */\n    static __getXSDMeta() { return this.#__xsdMeta; }\n${typeInfoCode}${choicesCode}`;
+}
+
+/**
+ * Source of the static members shared by generated simpleType classes: the facets of
+ * the restriction and the XSD type it restricts, read by SimpleType#validate.
+ *
+ * @param {string} facetsExpr - Source of the facets object.
+ * @param {string} [xsdBase] - Canonical QName of the restricted type.
+ * @returns {string}
+ */
+function templateSimpleTypeStatics(facetsExpr, xsdBase) {
+  return `    static get facets() { return ${facetsExpr}; }\n\n    static get xsdBase() { return ${JSON.stringify(
+    xsdBase
+  )}; }`;
+}
+
+// The `<Type>_Value` and `<Type>_Data` typedefs of a simple type (see simpleTypeTypesOf).
+function templateSimpleTypeTypedefs(typeName, types) {
+  if (!types) return "";
+  return `/** @typedef {${types.value}} ${typeName}_Value */\n/** @typedef {${types.data}} ${typeName}_Data */\n`;
+}
+
+// The `@extends` tag giving the type of `value` to a class extending a runtime base.
+function extendsTag(parentClass, typeArgument) {
+  return ["SimpleType", "ListType", "UnionType"].includes(parentClass) && typeArgument
+    ? [`@extends {${parentClass}<${typeArgument}>}`]
+    : [];
 }
 
 /**
  * Return the source code for a simple enum wrapper class.
  * Naming: templateEnumClass to keep a consistent prefix with other helpers.
+ * Values outside the enumeration are reported by `validate()` and rejected by the
+ * `value` setter in strict mode (see SimpleType in template/base.js).
+ * The class documentation lists the values documented in the schema.
  *
- * @param {{typeName:string,valuesArray:Array<string>,useAccessors?:boolean,notify?:boolean}} opts
+ * @param {{typeName:string,valuesArray:Array<string>,useAccessors?:boolean,notify?:boolean,xsdBase?:string,facets?:object,parentClass?:string,types?:{value:string,data:string},documentation?:string,valueDocs?:Array<string|undefined>}} opts
+ *   `types` gives the `<Type>_Value` and `<Type>_Data` typedefs, `valueDocs` the
+ *   documentation of each value.
  * @returns {string} source code for the enum class
  */
 export function templateEnumClass({
@@ -199,28 +445,120 @@ export function templateEnumClass({
   valuesArray,
   useAccessors = false,
   notify = false,
+  xsdBase,
+  facets = {},
+  parentClass = "SimpleType",
+  types,
+  documentation,
+  valueDocs = [],
 }) {
-  const valuesList = valuesArray.map((v) => `'${v}'`).join(", ");
-  const accessorBlock = useAccessors
-    ? notify
-      ? `get value() { return this._value; }\n    set value(v) { var oldVal = this._value; this._value = v; if (this._notifyPropertyChanged) this._notifyPropertyChanged('value', oldVal, this._value); }`
-      : `get value() { return this._value; }\n    set value(v) { this._value = v; }`
+  const valuesList = valuesArray.map((v) => JSON.stringify(v)).join(", ");
+  const otherFacets = Object.keys(facets).length
+    ? `, ...${JSON.stringify(facets)}`
     : "";
+  const accessorBlock =
+    useAccessors && notify
+      ? `\n\n    get value() { return this._value; }\n    set value(v) { var oldVal = this._value; super.value = v; if (this._notifyPropertyChanged) this._notifyPropertyChanged('value', oldVal, this._value); }`
+      : "";
+  const documentedValues = valuesArray
+    .map((v, i) =>
+      valueDocs[i] ? `- ${JSON.stringify(v)}: ${valueDocs[i].replace(/\s+/g, " ")}` : ""
+    )
+    .filter(Boolean);
+  const classDoc = templateDocComment(
+    [documentation, documentedValues.join("\n")].filter(Boolean).join("\n\n") ||
+      undefined,
+    extendsTag(parentClass, types && `${typeName}_Value`)
+  );
+  const paramType = types ? `${typeName}_Data | ${typeName}` : "string";
 
-  return `export class ${typeName} {\n    /**\n     * @param {string} value\n     */\n    constructor(value) {\n        if (!${typeName}.values.includes(value)) {\n            // Optional: throw or warn for invalid enum values\n        }\n        ${
-    useAccessors ? "this._value = value;" : "this.value = value;"
-  }\n    }\n\n    static get values() { return [${valuesList}]; }\n\n    ${accessorBlock}\n\n    toString() { return ${
-    useAccessors ? "this._value" : "this.value"
-  }; }\n}\n`;
+  return `${templateSimpleTypeTypedefs(
+    typeName,
+    types
+  )}${classDoc}export class ${typeName} extends ${parentClass} {\n    /**\n     * @param {${paramType}} value\n     */\n    constructor(value) {\n        super(value);\n    }\n\n    static get values() { return [${valuesList}]; }\n\n${templateSimpleTypeStatics(
+    `{ enumeration: ${typeName}.values${otherFacets} }`,
+    xsdBase
+  )}${accessorBlock}\n}\n`;
 }
 
 /**
- * Return the source for a simple alias class (a typed string wrapper).
+ * Return the source for a simple alias class (a typed wrapper around a restricted type).
  * Naming: templateAliasClass
  *
- * @param {{typeName:string,baseType:string}} opts
+ * @param {{typeName:string,baseType:string,xsdBase?:string,facets?:object,parentClass?:string,types?:{value:string,data:string},documentation?:string}} opts
  * @returns {string} source code for the alias class
  */
-export function templateAliasClass({ typeName, baseType }) {
-  return `/**\n * Represents the XSD simpleType '${typeName}' which is an alias for '${baseType}'.\n */\nexport class ${typeName} extends String {\n    // Alias wrapper - behaves like a string\n}\n`;
+export function templateAliasClass({
+  typeName,
+  baseType,
+  xsdBase,
+  facets = {},
+  parentClass = "SimpleType",
+  types,
+  documentation,
+}) {
+  return `${templateSimpleTypeTypedefs(typeName, types)}${templateDocComment(
+    withDocumentation(
+      `Represents the XSD simpleType '${typeName}' which is an alias for '${baseType}'.`,
+      documentation
+    ),
+    extendsTag(parentClass, types && `${typeName}_Value`)
+  )}export class ${typeName} extends ${parentClass} {\n${templateSimpleTypeStatics(
+    JSON.stringify(facets),
+    xsdBase
+  )}\n}\n`;
+}
+
+// A generated description followed by the schema documentation, if any.
+function withDocumentation(description, documentation) {
+  return documentation ? `${description}\n\n${documentation}` : description;
+}
+
+// Doc comment label of an item or member type source expression.
+function typeLabel(typeExpr) {
+  return `'${typeExpr.startsWith('"') ? JSON.parse(typeExpr) : typeExpr}'`;
+}
+
+/**
+ * Return the source for an xs:list wrapper class. Its value is an array of items of
+ * `itemType`, read from and written as a whitespace-separated list.
+ *
+ * @param {{typeName:string,itemType:string,types?:{value:string,data:string,item:string},documentation?:string}} opts
+ *   `itemType` is the source expression of the item type: a quoted built-in QName or a
+ *   generated class name.
+ * @returns {string} source code for the list class
+ */
+export function templateListClass({ typeName, itemType, types, documentation }) {
+  return `${templateSimpleTypeTypedefs(typeName, types)}${templateDocComment(
+    withDocumentation(
+      `Represents the XSD simpleType '${typeName}', a whitespace-separated list of ${typeLabel(
+        itemType
+      )}.`,
+      documentation
+    ),
+    extendsTag("ListType", types && types.item)
+  )}export class ${typeName} extends ListType {\n    static get itemType() { return ${itemType}; }\n}\n`;
+}
+
+/**
+ * Return the source for an xs:union wrapper class. Its value is read with the first
+ * member type, in declaration order, that accepts it.
+ *
+ * @param {{typeName:string,memberTypes:Array<string>,types?:{value:string,data:string},documentation?:string}} opts
+ *   `memberTypes` holds the source expressions of the member types (quoted built-in
+ *   QNames or class names).
+ * @returns {string} source code for the union class
+ */
+export function templateUnionClass({ typeName, memberTypes, types, documentation }) {
+  return `${templateSimpleTypeTypedefs(typeName, types)}${templateDocComment(
+    withDocumentation(
+      `Represents the XSD simpleType '${typeName}', a union of ${memberTypes
+        .map(typeLabel)
+        .join(", ")}.`,
+      documentation
+    ),
+    extendsTag("UnionType", types && `${typeName}_Value`)
+  )}export class ${typeName} extends UnionType {\n    static get memberTypes() { return [${memberTypes.join(
+    ", "
+  )}]; }\n}\n`;
 }
@@ -15,16 +15,114 @@
 // Copyright 2025 Remy Beraud
 // Licensed under the Apache License, Version 2.0
 
+// Canonical prefix used internally for the XML Schema namespace. Schema documents are
+// rewritten to this prefix when loaded (see namespaces.js), whatever prefix they declare.
 export const XSD_PREFIX = "xs:";
 
-export const XSD_TYPE_TO_JS = {
-  "xs:string": "string",
-  "xs:date": "Date",
-  "xs:dateTime": "string",
-  "xs:int": "number",
-  "xs:integer": "number",
-  "xs:decimal": "number",
-  "xs:boolean": "boolean",
-  "xs:long": "number",
-  "xs:double": "number",
+export const XSD_NAMESPACE = "http://www.w3.org/2001/XMLSchema";
+export const XSI_NAMESPACE = "http://www.w3.org/2001/XMLSchema-instance";
+export const XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace";
+
+// Types of the attributes of the XML namespace, so references such as
+// <xs:attribute ref="xml:lang"/> resolve when xml.xsd is not imported.
+export const XML_ATTRIBUTES = {
+  "xml:lang": "xs:language",
+  "xml:space": "xs:NCName",
+  "xml:base": "xs:anyURI",
+  "xml:id": "xs:ID",
+};
+
+/**
+ * Built-in datatypes of XML Schema 1.0 and 1.1, keyed by canonical QName.
+ *   - `base`: the built-in type it is derived from by restriction (the built-in list
+ *     types derive from xs:anySimpleType and name their `itemType` instead);
+ *   - `js`: the JavaScript type of its values when values are converted
+ *     (`--no-only-string`). Integers beyond the safe range are read as BigInt,
+ *     decimals a number cannot hold exactly keep their canonical lexical form, and
+ *     dates, durations and binary types keep their lexical form so nothing is lost.
+ * The generated Base (template/base.js) embeds the runtime side of this table: the
+ * facets each type adds and how its values are parsed and formatted.
+ */
+export const XSD_BUILTIN_TYPES = {
+  "xs:anyType": { js: "any" },
+  "xs:anySimpleType": { base: "xs:anyType", js: "string" },
+  "xs:anyAtomicType": { base: "xs:anySimpleType", js: "string" },
+  // String types
+  "xs:string": { base: "xs:anyAtomicType", js: "string" },
+  "xs:normalizedString": { base: "xs:string", js: "string" },
+  "xs:token": { base: "xs:normalizedString", js: "string" },
+  "xs:language": { base: "xs:token", js: "string" },
+  "xs:NMTOKEN": { base: "xs:token", js: "string" },
+  "xs:NMTOKENS": {
+    base: "xs:anySimpleType",
+    itemType: "xs:NMTOKEN",
+    js: "string[]",
+  },
+  "xs:Name": { base: "xs:token", js: "string" },
+  "xs:NCName": { base: "xs:Name", js: "string" },
+  "xs:ID": { base: "xs:NCName", js: "string" },
+  "xs:IDREF": { base: "xs:NCName", js: "string" },
+  "xs:IDREFS": {
+    base: "xs:anySimpleType",
+    itemType: "xs:IDREF",
+    js: "string[]",
+  },
+  "xs:ENTITY": { base: "xs:NCName", js: "string" },
+  "xs:ENTITIES": {
+    base: "xs:anySimpleType",
+    itemType: "xs:ENTITY",
+    js: "string[]",
+  },
+  // Boolean and numeric types
+  "xs:boolean": { base: "xs:anyAtomicType", js: "boolean" },
+  "xs:decimal": { base: "xs:anyAtomicType", js: "number | string" },
+  "xs:integer": { base: "xs:decimal", js: "number | bigint" },
+  "xs:nonPositiveInteger": { base: "xs:integer", js: "number | bigint" },
+  "xs:negativeInteger": {
+    base: "xs:nonPositiveInteger",
+    js: "number | bigint",
+  },
+  "xs:long": { base: "xs:integer", js: "number | bigint" },
+  "xs:int": { base: "xs:long", js: "number" },
+  "xs:short": { base: "xs:int", js: "number" },
+  "xs:byte": { base: "xs:short", js: "number" },
+  "xs:nonNegativeInteger": { base: "xs:integer", js: "number | bigint" },
+  "xs:unsignedLong": {
+    base: "xs:nonNegativeInteger",
+    js: "number | bigint",
+  },
+  "xs:unsignedInt": { base: "xs:unsignedLong", js: "number" },
+  "xs:unsignedShort": { base: "xs:unsignedInt", js: "number" },
+  "xs:unsignedByte": { base: "xs:unsignedShort", js: "number" },
+  "xs:positiveInteger": {
+    base: "xs:nonNegativeInteger",
+    js: "number | bigint",
+  },
+  "xs:float": { base: "xs:anyAtomicType", js: "number" },
+  "xs:double": { base: "xs:anyAtomicType", js: "number" },
+  // Date, time and duration types
+  "xs:duration": { base: "xs:anyAtomicType", js: "string" },
+  "xs:dayTimeDuration": { base: "xs:duration", js: "string" },
+  "xs:yearMonthDuration": { base: "xs:duration", js: "string" },
+  "xs:dateTime": { base: "xs:anyAtomicType", js: "string" },
+  "xs:dateTimeStamp": { base: "xs:dateTime", js: "string" },
+  "xs:time": { base: "xs:anyAtomicType", js: "string" },
+  "xs:date": { base: "xs:anyAtomicType", js: "string" },
+  "xs:gYearMonth": { base: "xs:anyAtomicType", js: "string" },
+  "xs:gYear": { base: "xs:anyAtomicType", js: "string" },
+  "xs:gMonthDay": { base: "xs:anyAtomicType", js: "string" },
+  "xs:gDay": { base: "xs:anyAtomicType", js: "string" },
+  "xs:gMonth": { base: "xs:anyAtomicType", js: "string" },
+  // Binary and other types
+  "xs:hexBinary": { base: "xs:anyAtomicType", js: "string" },
+  "xs:base64Binary": { base: "xs:anyAtomicType", js: "string" },
+  "xs:anyURI": { base: "xs:anyAtomicType", js: "string" },
+  "xs:QName": { base: "xs:anyAtomicType", js: "string" },
+  "xs:NOTATION": { base: "xs:anyAtomicType", js: "string" },
 };
+
+// JavaScript type of every built-in XSD type. Properties of these types hold plain
+// values (never generated wrapper classes).
+export const XSD_TYPE_TO_JS = Object.fromEntries(
+  Object.entries(XSD_BUILTIN_TYPES).map(([name, { js }]) => [name, js])
+);
@@ -0,0 +1,344 @@
+// Copyright 2025 Remy Beraud
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * TypeScript declarations (`.d.ts`) of the generated classes, written when the
+ * `--declarations` option is set. Every generated type `T` declares:
+ *   - the class `T`;
+ *   - `T_Data`, what a property of that type accepts besides an instance: the
+ *     constructor data of a complexType class, the values of a simpleType;
+ *   - for simple types, `T_Value`, the type of `value` (a string-literal union for
+ *     enumerations).
+ * Built-in values are strings unless only-string is disabled (`--no-only-string`), in
+ * which case they have the JavaScript type of XSD_BUILTIN_TYPES.
+ */
+
+import { XSD_TYPE_TO_JS } from "./constants.js";
+import { localName } from "./namespaces.js";
+
+// Split a TypeScript union into its members, leaving unions nested in type arguments.
+function unionMembers(type) {
+  const members = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < type.length; i++) {
+    if (type[i] === "<" || type[i] === "(") depth++;
+    else if (type[i] === ">" || type[i] === ")") depth--;
+    else if (type[i] === "|" && depth === 0) {
+      members.push(type.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  members.push(type.slice(start).trim());
+  return members;
+}
+
+// The union of TypeScript types, each member once.
+function union(...types) {
+  const members = [...new Set(types.filter(Boolean).flatMap(unionMembers))];
+  return members.includes("any") ? "any" : members.join(" | ");
+}
+
+// An array of items of a TypeScript type.
+function arrayOf(type) {
+  return unionMembers(type).length > 1 ? `Array<${type}>` : `${type}[]`;
+}
+
+// A property name as written in a declaration.
+function memberName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+// The keys generated constructors read a property from: attributes by their XML
+// name, text by "#text" or its property name, elements by their property name.
+function dataKeysOf(p) {
+  if (p.xmlName === "#text") return ["#text", p.name];
+  return [p.isAttribute ? p.xmlName : p.name];
+}
+
+/**
+ * The TypeScript type of the values of a built-in XSD type.
+ * @param {string} xsdType - Canonical QName of the type, e.g. "xs:int".
+ * @param {object} config - Only-string keeps every value a string.
+ * @returns {string}
+ */
+function builtinValueType(xsdType, config) {
+  const js = XSD_TYPE_TO_JS[xsdType] || "any";
+  if (js === "any") return js;
+  return config["only-string"] === false ? js : "string";
+}
+
+/**
+ * The TypeScript types a property of a built-in or generated type holds (`value`) and
+ * accepts (`input`): setters parse the lexical form of built-in values, and build
+ * generated classes from their data.
+ * @param {string} [type] - Canonical QName of the property type.
+ * @param {object} config
+ * @returns {{value: string, input: string, dependency?: string}}
+ */
+function propertyTypes(type, config) {
+  if (!type) return { value: "any", input: "any" };
+  if (XSD_TYPE_TO_JS[type]) {
+    const js = XSD_TYPE_TO_JS[type];
+    return { value: builtinValueType(type, config), input: union(js, "string") };
+  }
+  const dependency = localName(type);
+  return {
+    value: dependency,
+    input: `${dependency} | ${dependency}_Data`,
+    dependency,
+  };
+}
+
+/**
+ * The TypeScript types of a property: what its getter returns (`value`), what its
+ * setter accepts (`setter`) and what the constructor data holds for it (`input`).
+ * Lists are arrays, nillable elements may be null, and optional values undefined
+ * unless the getter falls back to a default or fixed value.
+ * @param {object} p - A property from extractProperties.
+ * @param {object} config
+ * @returns {{value: string, setter: string, input?: string, dependency?: string}}
+ *   `input` is undefined for a prohibited attribute; `dependency` names the generated
+ *   type of the property.
+ */
+export function propertyTypesOf(p, config) {
+  // A prohibited attribute is never set
+  if (p.prohibited) return { value: "never", setter: "null | undefined" };
+  const types = p.isAny
+    ? { value: "any", input: "any" }
+    : propertyTypes(p.type, config);
+  const nil = p.nillable ? "null" : undefined;
+  let value;
+  let input;
+  if (p.isList) {
+    value = arrayOf(union(types.value, nil));
+    input = union(arrayOf(union(types.input, nil)), types.input);
+  } else {
+    // Getters fall back to the default or fixed value of the property
+    const constrained =
+      (p.fixed !== undefined || p.default !== undefined) && p.xmlName !== "#text";
+    value = union(
+      types.value,
+      nil,
+      p.required || constrained ? undefined : "undefined"
+    );
+    input = union(types.input, nil);
+  }
+  return {
+    value,
+    setter: union(input, "undefined"),
+    input,
+    dependency: types.dependency,
+  };
+}
+
+/**
+ * The shape of the constructor data of a complexType class (`<Class>_Data`): the
+ * type it extends, if any (the data of the parent class, without the keys a
+ * restriction declares again), and its own optional keys.
+ *
+ * @param {{className:string,parentClass?:string,properties:Array<object>,config?:object,restriction?:boolean}} opts
+ * @returns {{base?: string, members: Array<[string, string]>, dependencies: Set<string>}}
+ *   The keys (quoted when needed) with their types, and the generated types the
+ *   class refers to in its data and accessors.
+ */
+export function dataTypeOf({
+  className,
+  parentClass = "Base",
+  properties,
+  config = {},
+  restriction = false,
+}) {
+  const dependencies = new Set(parentClass === "Base" ? [] : [parentClass]);
+  const members = [];
+  properties.forEach((p) => {
+    const types = propertyTypesOf(p, config);
+    if (types.dependency) dependencies.add(types.dependency);
+    if (types.input === undefined) return;
+    dataKeysOf(p).forEach((key) => members.push([memberName(key), types.input]));
+  });
+  // A recursive type references its own declaration
+  dependencies.delete(className);
+  if (parentClass === "Base") return { members, dependencies };
+  const redeclared = [...new Set(properties.flatMap(dataKeysOf))];
+  const base =
+    restriction && redeclared.length
+      ? `Omit<${parentClass}_Data, ${redeclared
+          .map((key) => JSON.stringify(key))
+          .join(" | ")}>`
+      : `${parentClass}_Data`;
+  return { base, members, dependencies };
+}
+
+/**
+ * Return the declaration of a complexType class and of its constructor data.
+ *
+ * @param {{className:string,parentClass?:string,properties:Array<object>,config?:object,restriction?:boolean}} opts
+ * @returns {{declaration: string, dependencies: Set<string>}} The declaration and the
+ *   generated types it references.
+ */
+export function templateClassDeclaration(opts) {
+  const { className, parentClass = "Base", properties, config = {} } = opts;
+  const { base, members, dependencies } = dataTypeOf(opts);
+  const data = `export interface ${className}_Data${
+    base ? ` extends ${base}` : ""
+  } {${members.map(([key, type]) => `\n    ${key}?: ${type};`).join("")}\n}`;
+  const classMembers = [
+    `    constructor(data?: ${className}_Data);`,
+    ...properties.map((p) => {
+      const name = memberName(p.name);
+      const types = propertyTypesOf(p, config);
+      return config["generate-accessors"]
+        ? `    get ${name}(): ${types.value};\n    set ${name}(v: ${types.setter});`
+        : `    ${name}: ${types.value};`;
+    }),
+  ].join("\n");
+  const declaration = `${data}\n\nexport declare class ${className} extends ${parentClass} {\n${classMembers}\n}\n`;
+  return { declaration, dependencies };
+}
+
+/**
+ * The TypeScript type of the values of a list item or union member type.
+ * @param {string} typeExpr - Source expression of the type: a quoted built-in QName or
+ *   a generated class name (see simpleTypeGenerator.js).
+ * @param {object} config
+ * @returns {string}
+ */
+function simpleValueType(typeExpr, config) {
+  return typeExpr.startsWith('"')
+    ? builtinValueType(JSON.parse(typeExpr), config)
+    : `${typeExpr}_Value`;
+}
+
+/**
+ * The TypeScript types of the values of a simple type (`<Type>_Value`) and of what its
+ * constructor accepts (`<Type>_Data`). Enumerations are string-literal unions (the
+ * type of the values of a non-string base when values are converted), a restriction
+ * has the values of its base, a list is an array of its items (`item`) and a union
+ * takes the values of its members.
+ *
+ * @param {{typeName:string,valuesArray?:Array<string>,xsdBase?:string,parentClass?:string,itemType?:string,memberTypes?:Array<string>,config?:object}} opts
+ *   As given to the class template of the simple type; `itemType` and `memberTypes`
+ *   are source expressions (see simpleTypeGenerator.js).
+ * @returns {{value: string, data: string, item?: string}}
+ */
+export function simpleTypeTypesOf({
+  typeName,
+  valuesArray,
+  xsdBase,
+  parentClass = "SimpleType",
+  itemType,
+  memberTypes,
+  config = {},
+}) {
+  const lexical = union(`${typeName}_Value`, "string");
+  if (itemType) {
+    const item = simpleValueType(itemType, config);
+    return { value: arrayOf(item), data: lexical, item };
+  }
+  if (memberTypes) {
+    return {
+      value: union(...memberTypes.map((m) => simpleValueType(m, config))),
+      data: lexical,
+    };
+  }
+  const baseValue =
+    parentClass === "SimpleType"
+      ? builtinValueType(xsdBase, config)
+      : `${parentClass}_Value`;
+  if (valuesArray) {
+    const literal =
+      parentClass !== "SimpleType" || baseValue === "string";
+    return literal
+      ? {
+          value: valuesArray.map((v) => JSON.stringify(v)).join(" | ") || "never",
+          data: `${typeName}_Value`,
+        }
+      : { value: baseValue, data: lexical };
+  }
+  return { value: baseValue, data: lexical };
+}
+
+// The `<Type>_Value` and `<Type>_Data` aliases of a simple type.
+function simpleTypeAliases(typeName, types) {
+  return `export type ${typeName}_Value = ${types.value};\nexport type ${typeName}_Data = ${types.data};`;
+}
+
+/**
+ * Return the declaration of an enumeration, with its values.
+ *
+ * @param {{typeName:string,valuesArray:Array<string>,xsdBase?:string,parentClass?:string,config?:object}} opts
+ * @returns {string}
+ */
+export function templateEnumDeclaration(opts) {
+  const { typeName, parentClass = "SimpleType" } = opts;
+  const extendsClause =
+    parentClass === "SimpleType" ? `SimpleType<${typeName}_Value>` : parentClass;
+  // A restriction of another enumeration narrows the values it inherits
+  const valueAccessors =
+    parentClass === "SimpleType"
+      ? ""
+      : `\n    get value(): ${typeName}_Value;\n    set value(v: ${typeName}_Data | ${typeName});`;
+  return `${simpleTypeAliases(
+    typeName,
+    simpleTypeTypesOf(opts)
+  )}\n\nexport declare class ${typeName} extends ${extendsClause} {\n    constructor(value?: ${typeName}_Data | ${typeName});\n    static get values(): ${typeName}_Value[];${valueAccessors}\n}\n`;
+}
+
+/**
+ * Return the declaration of a simple type alias (a restriction without enumeration).
+ *
+ * @param {{typeName:string,xsdBase?:string,parentClass?:string,config?:object}} opts
+ * @returns {string}
+ */
+export function templateAliasDeclaration(opts) {
+  const { typeName, parentClass = "SimpleType" } = opts;
+  const extendsClause =
+    parentClass === "SimpleType" ? `SimpleType<${typeName}_Value>` : parentClass;
+  return `${simpleTypeAliases(
+    typeName,
+    simpleTypeTypesOf(opts)
+  )}\n\nexport declare class ${typeName} extends ${extendsClause} {}\n`;
+}
+
+/**
+ * Return the declaration of an xs:list type: its value is an array of items.
+ *
+ * @param {{typeName:string,itemType:string,config?:object}} opts - `itemType` as given
+ *   to templateListClass.
+ * @returns {string}
+ */
+export function templateListDeclaration(opts) {
+  const types = simpleTypeTypesOf(opts);
+  return `${simpleTypeAliases(
+    opts.typeName,
+    types
+  )}\n\nexport declare class ${opts.typeName} extends ListType<${types.item}> {}\n`;
+}
+
+/**
+ * Return the declaration of an xs:union type: its value has the type of one of its
+ * members.
+ *
+ * @param {{typeName:string,memberTypes:Array<string>,config?:object}} opts -
+ *   `memberTypes` as given to templateUnionClass.
+ * @returns {string}
+ */
+export function templateUnionDeclaration(opts) {
+  const { typeName } = opts;
+  return `${simpleTypeAliases(
+    typeName,
+    simpleTypeTypesOf(opts)
+  )}\n\nexport declare class ${typeName} extends UnionType<${typeName}_Value> {}\n`;
+}
@@ -17,8 +17,14 @@
 // Copyright 2025 Remy Beraud
 // Licensed under the Apache License, Version 2.0
 
-import { XSD_PREFIX, XSD_TYPE_TO_JS } from "./constants.js";
-import { ensureArray } from "./utils.js";
+import { XSD_PREFIX, XSD_TYPE_TO_JS, XSD_BUILTIN_TYPES } from "./constants.js";
+import { ensureArray, documentationOf } from "./utils.js";
+import {
+  componentOrigin,
+  copyComponentOrigin,
+  localName,
+  qualifyName,
+} from "./namespaces.js";
 import { extractProperties } from "./propertyExtractor.js";
 import {
   templateComplexClass,
@@ -26,6 +32,7 @@ import {
   templateAccessorsCode,
   templateMetadata,
 } from "./codeTemplate.js";
+import { dataTypeOf, templateClassDeclaration } from "./declarationTemplate.js";
 // The simple type generator is now in its own file.
 // import { buildSimpleTypeCode } from "./simpleTypeGenerator.js";
 
@@ -48,65 +55,298 @@ export { buildSimpleTypeCode } from "./simpleTypeGenerator.js";
  */
 
 /**
- * Builds a map of named groups or attributeGroups from the XSD schema.
+ * Builds a map of named groups, attributeGroups, complexTypes or global element and
+ * attribute declarations from the XSD schema.
+ *
+ * Keys are canonical QNames (see namespaces.js), so `ref` values can be looked up directly
+ * and groups with the same local name in different namespaces stay distinct.
  *
- * @param {object} schema - The parsed XSD schema object.
- * @param {string} groupTag - The tag to process ('group' or 'attributeGroup').
+ * @param {object} schemaObj - The parsed XSD schema object.
+ * @param {string} groupTag - The tag to process ('group', 'attributeGroup', 'complexType',
+ *   'element' or 'attribute').
  * @returns {object} Map of group names to their definitions, for use in property extraction.
  */
-function buildGroupMap(schema, groupTag) {
+function buildGroupMap(schemaObj, groupTag) {
   const groups = {};
+  const schema = schemaObj[`${XSD_PREFIX}schema`];
   const groupDefs = ensureArray(schema[`${XSD_PREFIX}${groupTag}`]);
   groupDefs.forEach((g) => {
     if (g["@_name"]) {
-      groups[g["@_name"]] = g;
+      const ns = componentOrigin(g, schemaObj).targetNamespace;
+      groups[qualifyName(ns, g["@_name"], schemaObj)] = g;
     }
   });
   return groups;
 }
 
+/**
+ * Computes the members of every substitution group: for each head element (canonical
+ * QName), the global elements that may appear in its place, transitively. Abstract
+ * members are left out (their own members are kept), and so are members the head
+ * blocks (`block`, or the schema's `blockDefault`): all of them for "substitution" or
+ * "#all", and those whose type derives from the head's type by a blocked method
+ * ("extension", "restriction").
+ *
+ * @param {object} elementMap - Global element declarations by canonical QName.
+ * @param {object} complexTypeMap - Named complexTypes by canonical QName.
+ * @param {object} schemaObj - The parsed XSD schema object.
+ * @returns {Object<string, Array<object>>} The member declarations of each head, with
+ *   their type (non-enumerable `__memberType`): a member declared without one has the
+ *   type of the element it substitutes.
+ */
+function buildSubstitutionGroups(elementMap, complexTypeMap, schemaObj) {
+  const direct = {};
+  for (const [qname, el] of Object.entries(elementMap)) {
+    String(el["@_substitutionGroup"] || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((head) => (direct[head] = direct[head] || []).push(qname));
+  }
+  const schema = schemaObj[`${XSD_PREFIX}schema`] || {};
+  const derivationOf = (ct) => {
+    const content =
+      ct &&
+      (ct[`${XSD_PREFIX}complexContent`] || ct[`${XSD_PREFIX}simpleContent`]);
+    if (!content) return undefined;
+    if (content[`${XSD_PREFIX}extension`]) {
+      return { method: "extension", base: content[`${XSD_PREFIX}extension`]["@_base"] };
+    }
+    if (content[`${XSD_PREFIX}restriction`]) {
+      return { method: "restriction", base: content[`${XSD_PREFIX}restriction`]["@_base"] };
+    }
+    return undefined;
+  };
+  // The derivation methods leading from the type of a member to the head's type
+  const methodsBetween = (member, headType) => {
+    const methods = new Set();
+    let typeName = member["@_type"];
+    let ct = member.__anonymousType || complexTypeMap[typeName];
+    const seen = new Set();
+    while (ct && typeName !== headType && !seen.has(ct)) {
+      seen.add(ct);
+      const derivation = derivationOf(ct);
+      if (!derivation) break;
+      methods.add(derivation.method);
+      typeName = derivation.base;
+      ct = complexTypeMap[typeName];
+    }
+    return methods;
+  };
+
+  const groups = {};
+  for (const head of Object.keys(direct)) {
+    const headEl = elementMap[head];
+    if (!headEl) continue;
+    const block = String(headEl["@_block"] ?? schema["@_blockDefault"] ?? "");
+    const blocked = new Set(
+      block.includes("#all")
+        ? ["substitution", "extension", "restriction"]
+        : block.split(/\s+/)
+    );
+    if (blocked.has("substitution")) continue;
+    const members = [];
+    const visit = (qname, seen, headType) => {
+      (direct[qname] || []).forEach((memberName) => {
+        if (seen.has(memberName)) return;
+        seen.add(memberName);
+        const member = elementMap[memberName];
+        const methods = methodsBetween(member, headEl["@_type"]);
+        if ([...methods].some((m) => blocked.has(m))) return;
+        const memberType = member["@_type"] || headType;
+        if (member["@_abstract"] !== "true") {
+          members.push(
+            Object.defineProperty({ ...member }, "__memberType", {
+              value: memberType,
+              enumerable: false,
+            })
+          );
+          copyComponentOrigin(members[members.length - 1], member);
+        }
+        visit(memberName, seen, memberType);
+      });
+    };
+    visit(head, new Set([head]), headEl["@_type"]);
+    if (members.length) groups[head] = members;
+  }
+  return groups;
+}
+
+/**
+ * Tells whether a content model is an <xs:all>, declared directly or through a
+ * reference to a named group.
+ *
+ * @param {object} node - A complexType, or the extension/restriction holding its content.
+ * @param {object} groupMap - A map of named groups in the schema.
+ * @returns {boolean}
+ */
+function isAllContentModel(node, groupMap) {
+  if (!node) return false;
+  if (node[`${XSD_PREFIX}all`]) return true;
+  const groupRef = node[`${XSD_PREFIX}group`];
+  const groupDef = groupRef && groupMap[groupRef["@_ref"]];
+  return !!(groupDef && groupDef[`${XSD_PREFIX}all`]);
+}
+
+/**
+ * Describes the xs:choice groups of a class. Groups are named `<Class>.choice<n>` in
+ * document order; each property in a choice gets the name of its group (`choiceGroup`).
+ *
+ * @param {Array<object>} properties - Properties from extractProperties.
+ * @param {string} className - Name of the generated class.
+ * @returns {Object<string, {repeated: boolean, required: boolean, branches: Array<Array<string>>}>}
+ *   The groups by name: whether the choice repeats, whether one of its branches must be
+ *   present, and the property names of each branch.
+ */
+function collectChoiceGroups(properties, className) {
+  const names = new Map();
+  const groups = {};
+  properties.forEach((p) => {
+    if (!p.choice) return;
+    if (!names.has(p.choice.group)) {
+      names.set(p.choice.group, `${className}.choice${names.size + 1}`);
+    }
+    const name = names.get(p.choice.group);
+    const group = (groups[name] = groups[name] || {
+      repeated: p.choice.repeated,
+      required: p.choice.required,
+      branches: [],
+    });
+    (group.branches[p.choice.branch] = group.branches[p.choice.branch] || []).push(
+      p.name
+    );
+    p.choiceGroup = name;
+  });
+  // Branches without properties (e.g. an empty sequence) leave holes
+  Object.values(groups).forEach((g) => {
+    g.branches = g.branches.filter(Boolean);
+  });
+  return groups;
+}
+
 /**
  * Builds the code for a single complexType class.
  *
  * @param {object} typeDef - The complexType definition object from the XSD parser. Contains all info about the type.
  * @param {object} config - The command-line configuration object, controlling output, attribute handling, etc.
  * @param {object} schemaObj - The full parsed XSD schema object, used to resolve group and attributeGroup references.
- * @returns {{className: string, code: string, dependencies: Set<string>}} - The class name, generated code, and its dependencies.
+ * @returns {{className: string, code: string, dependencies: Set<string>, declaration: {code: string, dependencies: Set<string>}, model: object}}
+ *   - The class name, generated code, and its dependencies; `declaration` holds its
+ *   TypeScript declaration and the generated types that declaration references, and
+ *   `model` its parent class, properties and documentation (for the JSON Schema).
  */
 export function buildClassCode(typeDef, config, schemaObj) {
   const className = typeDef["@_name"];
   const dependencies = new Set();
   let parentClass = "Base";
 
-  const schema = schemaObj[`${XSD_PREFIX}schema`];
-  const groupMap = buildGroupMap(schema, "group");
-  const attrGroupMap = buildGroupMap(schema, "attributeGroup");
+  const groupMap = buildGroupMap(schemaObj, "group");
+  const attrGroupMap = buildGroupMap(schemaObj, "attributeGroup");
+  const complexTypeMap = buildGroupMap(schemaObj, "complexType");
+  // Global declarations, for element and attribute references, and the members of
+  // each substitution group
+  const declarationMaps = {
+    element: buildGroupMap(schemaObj, "element"),
+    attribute: buildGroupMap(schemaObj, "attribute"),
+  };
+  declarationMaps.substitutions = buildSubstitutionGroups(
+    declarationMaps.element,
+    complexTypeMap,
+    schemaObj
+  );
 
-  // Determine parent class from <xs:extension>
+  // Determine parent class from <xs:extension> or <xs:restriction>: the base of a
+  // complexContent derivation (unless it is xs:anyType), or the complex base of a
+  // simpleContent derivation
   const complexContent = typeDef[`${XSD_PREFIX}complexContent`];
-  if (complexContent && complexContent[`${XSD_PREFIX}extension`]) {
-    const extension = complexContent[`${XSD_PREFIX}extension`];
-    parentClass = extension["@_base"].split(":").pop();
+  const simpleContent = typeDef[`${XSD_PREFIX}simpleContent`];
+  const derivationOf = (content) =>
+    content &&
+    (content[`${XSD_PREFIX}extension`] || content[`${XSD_PREFIX}restriction`]);
+  const derivation = derivationOf(complexContent) || derivationOf(simpleContent);
+  const base = derivation && derivation["@_base"];
+  if (
+    base &&
+    (complexContent ? !XSD_BUILTIN_TYPES[base] : !!complexTypeMap[base])
+  ) {
+    parentClass = localName(base);
     dependencies.add(parentClass);
   }
 
   // Use the new, clean property extractor
-  const properties = extractProperties(typeDef, config, groupMap, attrGroupMap);
+  const properties = extractProperties(
+    typeDef,
+    config,
+    groupMap,
+    attrGroupMap,
+    schemaObj,
+    complexTypeMap,
+    declarationMaps
+  );
+  const choices = collectChoiceGroups(properties, className);
+  // Class-level information: the type's namespace, for classes generated from a
+  // top-level element with an anonymous type the element name, `contentModel: "all"`
+  // for types whose children are unordered, `mixed: true` for types whose text is
+  // interleaved with their children and `abstract: true` for types that cannot be
+  // instantiated themselves (only their derived types, named by xsi:type).
+  const typeInfo = {
+    typeName: className,
+    namespace: componentOrigin(typeDef, schemaObj).targetNamespace || null,
+  };
+  if (typeDef.__elementName) typeInfo.elementName = typeDef.__elementName;
+  if (isAllContentModel(derivationOf(complexContent) || typeDef, groupMap)) {
+    typeInfo.contentModel = "all";
+  }
+  const isTrue = (v) => v === "true" || v === "1";
+  if (
+    isTrue(typeDef["@_mixed"]) ||
+    (complexContent && isTrue(complexContent["@_mixed"]))
+  ) {
+    typeInfo.mixed = true;
+  }
+  if (isTrue(typeDef["@_abstract"])) typeInfo.abstract = true;
   const constructorBody = templateConstructorBody(
     properties,
     dependencies,
-    !!config["generate-accessors"]
+    !!config["generate-accessors"],
+    config
   );
   const accessorsCode = templateAccessorsCode(properties, config);
-  const metaMethod = templateMetadata(properties);
+  const metaMethod = templateMetadata(properties, className, typeInfo, choices);
+  // The shape of the constructor data, for the JSDoc of the class and its declaration
+  const typing = {
+    className,
+    parentClass,
+    properties,
+    config,
+    restriction: [complexContent, simpleContent].some(
+      (content) => content && content[`${XSD_PREFIX}restriction`]
+    ),
+  };
+
+  const documentation = documentationOf(typeDef);
 
-  const code = templateComplexClass({
+  // Registering the class when its module loads lets xsi:type name it
+  const code = `${templateComplexClass({
     className,
     parentClass,
     constructorBody,
     accessorsCode,
     metaMethod,
-  });
+    documentation,
+    dataType: dataTypeOf(typing),
+  })}\nBase.registerType(${className});`;
+  const { declaration, dependencies: declarationDependencies } =
+    templateClassDeclaration(typing);
 
-  return { className, code, dependencies };
+  return {
+    className,
+    code,
+    dependencies,
+    declaration: { code: declaration, dependencies: declarationDependencies },
+    model: {
+      parentClass,
+      properties,
+      documentation,
+    },
+  };
 }
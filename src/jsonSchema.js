@@ -0,0 +1,370 @@
+// Copyright 2025 Remy Beraud
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * JSON Schema (2020-12) of the objects `Base#toObject` produces, written when the
+ * `--json-schema` option is set. Every generated type has a `$defs` entry:
+ *   - a complexType is an object holding its elements by XML name, its attributes in
+ *     `$` and its text in `#`; a derived type adds its own content to its base's
+ *     through `allOf`. Objects are left open, so a derived type (or an xsi:type
+ *     substitute) also matches the definition of its base;
+ *   - a simpleType is a string, since toObject writes every value in lexical form,
+ *     constrained by its facets.
+ */
+
+import { XSD_PREFIX, XSD_BUILTIN_TYPES } from "./constants.js";
+import { ensureArray, documentationOf } from "./utils.js";
+import { localName } from "./namespaces.js";
+import { extractFacets } from "./simpleTypeGenerator.js";
+
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+// Lexical forms of the built-in types JSON Schema can check by pattern; the types
+// derived from them inherit the pattern.
+const BUILTIN_PATTERNS = {
+  "xs:boolean": "true|false|1|0",
+  "xs:integer": "[+-]?[0-9]+",
+  "xs:decimal": "[+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)",
+  "xs:float": "[+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)([eE][+-]?[0-9]+)?|[+-]?INF|NaN",
+  "xs:double": "[+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)([eE][+-]?[0-9]+)?|[+-]?INF|NaN",
+};
+
+// The integer range facets, as the bound each one sets on the values (the exclusive
+// ones move inside the range).
+const INTEGER_BOUNDS = {
+  minInclusive: (v) => v,
+  minExclusive: (v) => v + 1n,
+  maxInclusive: (v) => v,
+  maxExclusive: (v) => v - 1n,
+};
+
+// A built-in type followed by the built-in types it derives from.
+function builtinAncestors(xsdType) {
+  const chain = [];
+  for (let t = xsdType; XSD_BUILTIN_TYPES[t]; t = XSD_BUILTIN_TYPES[t].base) {
+    chain.push(t);
+  }
+  return chain;
+}
+
+// An XSD pattern (or the alternative patterns of one restriction) as an anchored
+// ECMA-262 regular expression, with the XML name escapes the language lacks.
+function anchoredPattern(patterns) {
+  const source = patterns
+    .map((p) =>
+      p
+        .replace(/\\i/g, "[A-Za-z_:]")
+        .replace(/\\I/g, "[^A-Za-z_:]")
+        .replace(/\\c/g, "[-.0-9:A-Z_a-z\\u00B7]")
+        .replace(/\\C/g, "[^-.0-9:A-Z_a-z\\u00B7]")
+    )
+    .join("|");
+  return `^(?:${source})$`;
+}
+
+// A character class of the digits from `low` to `high`.
+function digitClass(low, high) {
+  return low === high ? `${low}` : `[${low}-${high}]`;
+}
+
+// Alternatives matching the numbers from `from` to `to`, two digit strings of the
+// same length: the digits after a shared first digit recurse, those after the first and
+// last ones of a span keep their own bounds, and the digits between match any tail.
+function digitsPattern(from, to) {
+  if (from === to) return from;
+  const n = from.length - 1;
+  const first = Number(from[0]);
+  const last = Number(to[0]);
+  const fromRest = from.slice(1);
+  const toRest = to.slice(1);
+  if (first === last) return `${first}(?:${digitsPattern(fromRest, toRest)})`;
+  const parts = [];
+  let low = first;
+  let high = last;
+  if (fromRest !== "0".repeat(n)) {
+    parts.push(`${first}(?:${digitsPattern(fromRest, "9".repeat(n))})`);
+    low++;
+  }
+  let tail;
+  if (toRest !== "9".repeat(n)) {
+    tail = `${last}(?:${digitsPattern("0".repeat(n), toRest)})`;
+    high--;
+  }
+  if (low <= high) {
+    const rest = n > 1 ? `[0-9]{${n}}` : n ? "[0-9]" : "";
+    parts.push(`${digitClass(low, high)}${rest}`);
+  }
+  if (tail) parts.push(tail);
+  return parts.join("|");
+}
+
+// Alternatives matching the digits of the integers from `min` to `max` (non-negative
+// BigInts, `max` undefined for no bound), without leading zeros.
+function magnitudePattern(min, max) {
+  const low = String(min);
+  const high = max === undefined ? undefined : String(max);
+  const parts = [];
+  for (let n = low.length; n <= (high || low).length; n++) {
+    const from = n === low.length ? low : `1${"0".repeat(n - 1)}`;
+    const to = high !== undefined && n === high.length ? high : "9".repeat(n);
+    parts.push(digitsPattern(from, to));
+  }
+  if (high === undefined) parts.push(`[1-9][0-9]{${low.length},}`);
+  return parts.join("|");
+}
+
+// An anchored regular expression of the lexical forms (sign and leading zeros
+// included) of the integers from `min` to `max`, BigInts or undefined for no bound.
+// toObject writes numbers as strings, which the range keywords of JSON Schema ignore.
+function integerRangePattern(min, max) {
+  if (min !== undefined && max !== undefined && min > max) return "^(?!)$";
+  const alternatives = [];
+  if (max === undefined || max >= 0n) {
+    const low = min !== undefined && min > 0n ? min : 0n;
+    alternatives.push(`\\+?0*(?:${magnitudePattern(low, max)})`);
+  }
+  if (min === undefined || min < 0n) {
+    const low = max !== undefined && max < 0n ? -max : 1n;
+    alternatives.push(`-0*(?:${magnitudePattern(low, min === undefined ? min : -min)})`);
+  }
+  // "-0" is zero
+  if ((min === undefined || min <= 0n) && (max === undefined || max >= 0n)) {
+    alternatives.push("-0+");
+  }
+  return `^(?:${alternatives.join("|")})$`;
+}
+
+// A $ref to the definition of a generated type.
+function refTo(type) {
+  return { $ref: `#/$defs/${localName(type)}` };
+}
+
+// The schema of a built-in type: a string, checked by pattern for booleans and numbers.
+function builtinSchema(xsdType) {
+  const patternType = builtinAncestors(xsdType).find((t) => BUILTIN_PATTERNS[t]);
+  return patternType
+    ? { type: "string", pattern: anchoredPattern([BUILTIN_PATTERNS[patternType]]) }
+    : { type: "string" };
+}
+
+// Combines schemas an instance must all match, as one object when their keywords do
+// not overlap.
+function allOf(...schemas) {
+  const parts = schemas.filter((s) => s && Object.keys(s).length);
+  const keys = parts.flatMap(Object.keys);
+  if (new Set(keys).size === keys.length) return Object.assign({}, ...parts);
+  return { allOf: parts };
+}
+
+// Adds the schema documentation as description.
+function described(schema, documentation) {
+  return documentation ? { description: documentation, ...schema } : schema;
+}
+
+/**
+ * Builds the JSON Schema document of the generated types.
+ * @param {{generatedClasses: Array, generatedSimpleTypes: Array}} params - The results of
+ *   buildClassCode (with their `model`) and buildSimpleTypeCode (with their `typeDef`).
+ * @returns {object} The schema, with one `$defs` entry per generated type.
+ */
+export function buildJsonSchema({ generatedClasses, generatedSimpleTypes }) {
+  const simpleTypeMap = new Map(
+    generatedSimpleTypes.map((st) => [st.typeName, st.typeDef])
+  );
+
+  /**
+   * Tells whether the values of a simple type are lists: its length facets then count
+   * items, which JSON Schema cannot check on the lexical string.
+   * @param {string|object} type - Canonical QName, or an anonymous simpleType node.
+   * @param {Set} [seen]
+   * @returns {boolean}
+   */
+  const isListType = (type, seen = new Set()) => {
+    if (typeof type === "string" && XSD_BUILTIN_TYPES[type]) {
+      return !!XSD_BUILTIN_TYPES[type].itemType;
+    }
+    const node = typeof type === "string" ? simpleTypeMap.get(localName(type)) : type;
+    if (!node || seen.has(node)) return false;
+    seen.add(node);
+    if (node[`${XSD_PREFIX}list`]) return true;
+    const restriction = node[`${XSD_PREFIX}restriction`];
+    if (!restriction) return false;
+    return isListType(
+      restriction["@_base"] || restriction[`${XSD_PREFIX}simpleType`],
+      seen
+    );
+  };
+
+  // The built-in type a simple type derives from, following generated restrictions.
+  const builtinBaseOf = (type, seen = new Set()) => {
+    if (typeof type === "string" && XSD_BUILTIN_TYPES[type]) return type;
+    const node = typeof type === "string" ? simpleTypeMap.get(localName(type)) : type;
+    const restriction = node && node[`${XSD_PREFIX}restriction`];
+    if (!restriction || seen.has(node)) return undefined;
+    seen.add(node);
+    return builtinBaseOf(
+      restriction["@_base"] || restriction[`${XSD_PREFIX}simpleType`],
+      seen
+    );
+  };
+
+  // The schema of a type named by a property, list item or union member.
+  const typeSchema = (type) => {
+    if (!type) return {};
+    return XSD_BUILTIN_TYPES[type] ? builtinSchema(type) : refTo(type);
+  };
+
+  /**
+   * The JSON Schema keywords of the facets of a restriction. Enumerations, patterns
+   * and lengths constrain the lexical string; range facets of integer types become a
+   * pattern of the integers in range. The range facets of other types are left out:
+   * JSON Schema cannot order strings, and `minimum`... only apply to numbers.
+   * @param {object} restriction - An <xs:restriction> node.
+   * @returns {object}
+   */
+  const facetsSchema = (restriction) => {
+    const facets = extractFacets(restriction);
+    const base = restriction["@_base"] || restriction[`${XSD_PREFIX}simpleType`];
+    const schema = {};
+    if (facets.enumeration) schema.enum = facets.enumeration;
+    if (facets.pattern) schema.pattern = anchoredPattern(facets.pattern);
+    if (!isListType(base)) {
+      if (facets.length !== undefined) {
+        schema.minLength = facets.length;
+        schema.maxLength = facets.length;
+      }
+      if (facets.minLength !== undefined) schema.minLength = facets.minLength;
+      if (facets.maxLength !== undefined) schema.maxLength = facets.maxLength;
+    }
+    if (!builtinAncestors(builtinBaseOf(base)).includes("xs:integer")) return schema;
+    let min;
+    let max;
+    Object.entries(INTEGER_BOUNDS).forEach(([facet, bound]) => {
+      const lexical = facets[facet] !== undefined ? facets[facet].trim() : "";
+      if (!/^[+-]?[0-9]+$/.test(lexical)) return;
+      const value = bound(BigInt(lexical));
+      if (facet.startsWith("min")) min = min === undefined || value > min ? value : min;
+      else max = max === undefined || value < max ? value : max;
+    });
+    if (min === undefined && max === undefined) return schema;
+    return allOf(schema, { pattern: integerRangePattern(min, max) });
+  };
+
+  /**
+   * The schema of a simpleType: a restriction adds its facets to its base, a list is
+   * a whitespace-separated string, a union matches any of its members.
+   * @param {object} node - A named or anonymous <xs:simpleType> node.
+   * @returns {object}
+   */
+  const simpleTypeSchema = (node) => {
+    const restriction = node[`${XSD_PREFIX}restriction`];
+    const list = node[`${XSD_PREFIX}list`];
+    const union = node[`${XSD_PREFIX}union`];
+    let schema = { type: "string" };
+    if (restriction) {
+      const base = restriction["@_base"];
+      const inlineBase = restriction[`${XSD_PREFIX}simpleType`];
+      const baseSchema = base
+        ? XSD_BUILTIN_TYPES[base]
+          ? builtinSchema(base)
+          : { allOf: [refTo(base)] }
+        : inlineBase
+          ? simpleTypeSchema(inlineBase)
+          : {};
+      schema = allOf(baseSchema, facetsSchema(restriction));
+    } else if (union) {
+      const members = (union["@_memberTypes"] || "")
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(typeSchema);
+      ensureArray(union[`${XSD_PREFIX}simpleType`]).forEach((member) =>
+        members.push(simpleTypeSchema(member))
+      );
+      schema = { anyOf: members };
+    } else if (list) {
+      schema = { type: "string" };
+    }
+    return described(schema, documentationOf(node));
+  };
+
+  /**
+   * The schema of a property value: a list is an array of its items.
+   * @param {object} p - A property from extractProperties.
+   * @returns {object|boolean}
+   */
+  const propertySchema = (p) => {
+    // A prohibited attribute is never written
+    if (p.prohibited) return false;
+    const item = p.isAny ? {} : typeSchema(p.type);
+    let schema = item;
+    if (p.isList) {
+      schema = { type: "array", items: item };
+      // toObject writes an empty list, which counts as missing when required
+      if (p.required) schema.minItems = p.minOccurs;
+      if (p.maxOccurs !== "unbounded" && Number(p.maxOccurs) > 1) {
+        schema.maxItems = Number(p.maxOccurs);
+      }
+    } else if (p.default !== undefined) {
+      schema = { ...schema, default: p.default };
+    }
+    return described(schema, p.documentation);
+  };
+
+  /**
+   * The object schema of the content a complexType declares itself (inherited
+   * content comes from the definition of its base).
+   * @param {Array<object>} properties - The properties from extractProperties.
+   * @returns {object}
+   */
+  const contentSchema = (properties) => {
+    const schema = { type: "object", properties: {} };
+    const required = [];
+    const attributes = { type: "object", properties: {} };
+    const requiredAttributes = [];
+    properties.forEach((p) => {
+      if (p.isAttribute) {
+        const name = p.xmlName.startsWith("@_") ? p.xmlName.substring(2) : p.xmlName;
+        attributes.properties[name] = propertySchema(p);
+        if (p.required) requiredAttributes.push(name);
+      } else {
+        const name = p.xmlName === "#text" ? "#" : p.xmlName;
+        schema.properties[name] = propertySchema(p);
+        if (p.required) required.push(name);
+      }
+    });
+    if (Object.keys(attributes.properties).length) {
+      if (requiredAttributes.length) attributes.required = requiredAttributes;
+      schema.properties.$ = attributes;
+      if (requiredAttributes.length) required.push("$");
+    }
+    if (required.length) schema.required = required;
+    return schema;
+  };
+
+  const $defs = {};
+  generatedSimpleTypes.forEach(({ typeName, typeDef }) => {
+    $defs[typeName] = simpleTypeSchema(typeDef);
+  });
+  generatedClasses.forEach(({ className, model }) => {
+    const content = contentSchema(model.properties);
+    $defs[className] = described(
+      model.parentClass === "Base"
+        ? content
+        : { allOf: [refTo(model.parentClass), content] },
+      model.documentation
+    );
+  });
+
+  return { $schema: JSON_SCHEMA_DIALECT, $defs };
+}
@@ -20,8 +20,7 @@ import fs from "fs";
 import path from "path";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-import { parseStringPromise } from "xml2js";
-import { normalizeXml2js } from "./xmlNormalizer.js";
+import { loadSchemaSet } from "./schemaLoader.js";
 import { parseXsd } from "./parser.js";
 import { buildClassCode, buildSimpleTypeCode } from "./generator.js";
 import { writeOutput } from "./writer.js";
@@ -48,6 +47,11 @@ function parseArguments() {
       type: "string",
       demandOption: true,
     })
+    .option("catalog", {
+      describe:
+        "Path to a JSON catalog mapping namespace URIs or schemaLocation values to local XSD files (used to resolve xs:import/xs:include)",
+      type: "string",
+    })
     .option("m", {
       alias: "multiple-files",
       describe: "Generate a separate file for each class",
@@ -116,12 +120,38 @@ function parseArguments() {
       type: "boolean",
       default: true,
     })
+    .option("anonymous-type-naming", {
+      describe:
+        'Naming of the classes generated for anonymous types: "parent-child" (Order_Line) or "child" (Line). Names already taken get a numeric suffix.',
+      type: "string",
+      choices: ["parent-child", "child"],
+      default: "parent-child",
+    })
     .option("only-string", {
       describe:
-        "Disable type conversion for all values from the XML file. All values will be strings.",
+        "Disable type conversion for all values from the XML file. All values will be strings. Use --no-only-string to read numbers and booleans as typed values.",
       type: "boolean",
       default: true,
     })
+    .option("xml-backend", {
+      describe:
+        'Parser used by fromXML in the generated runtime: "xml2js" (Node) or "dom" (DOMParser, for browsers; the runtime then does not import xml2js). Base.configure({ xmlBackend }) changes it at runtime.',
+      type: "string",
+      choices: ["xml2js", "dom"],
+      default: "xml2js",
+    })
+    .option("declarations", {
+      describe:
+        "Also write TypeScript declarations (.d.ts): one per generated file with --multiple-files, otherwise one next to the output file",
+      type: "boolean",
+      default: false,
+    })
+    .option("json-schema", {
+      describe:
+        "Also write a JSON Schema (2020-12) of the objects toObject() produces: schema.json with --multiple-files, otherwise <output>.schema.json",
+      type: "boolean",
+      default: false,
+    })
     .check((argv) => {
       if (!fs.existsSync(argv.input)) {
         throw new Error(`Input file not found: ${argv.input}`);
@@ -140,19 +170,12 @@ async function main() {
     // 1. Get configuration from command line
     const config = parseArguments();
 
-    // 2. Read and parse the XSD schema
-    const xsdContent = fs.readFileSync(config.input, "utf-8");
-    const raw = await parseStringPromise(xsdContent, {
-      explicitChildren: true,
-      preserveChildrenOrder: true,
-      explicitArray: false,
-      mergeAttrs: false,
-      charsAsChildren: true,
-      explicitRoot: true,
+    // 2. Read and parse the XSD schema, following include/import/redefine
+    const { schemaObj } = await loadSchemaSet(config.input, {
+      catalog: config.catalog,
     });
-    const schemaObj = normalizeXml2js(raw);
 
-    const { complexTypes, simpleTypes } = parseXsd(schemaObj);
+    const { complexTypes, simpleTypes } = parseXsd(schemaObj, config);
 
     // 3. Generate code from the parsed schema
     const generatedClasses = complexTypes.map((typeDef) =>
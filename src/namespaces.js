@@ -0,0 +1,335 @@
+/**
+ * namespaces.js
+ *
+ * This module makes schema reading independent of the prefixes a schema author chose.
+ * Schema documents are rewritten in place to a canonical form:
+ *   - every element in the XML Schema namespace is keyed with the `xs:` prefix
+ *     (XSD_PREFIX), whether the document used `xs:`, `xsd:`, another prefix, or the
+ *     XML Schema namespace as its default namespace;
+ *   - every QName-valued attribute (type, base, ref, itemType, memberTypes,
+ *     substitutionGroup, refer) is resolved against the in-scope `xmlns` declarations of
+ *     its element and rewritten with a canonical prefix. Built-in types become `xs:name`,
+ *     names in the entry schema's target namespace are unprefixed, and every other
+ *     namespace gets one prefix shared by all loaded documents.
+ *
+ * The mapping from canonical prefixes to namespace URIs is kept in a registry attached
+ * (non-enumerable) to the schema object, so `resolveQName` can recover the real namespace
+ * of any reference.
+ *
+ * Each function is documented below with parameter explanations and usage notes.
+ */
+// Copyright 2025 Remy Beraud
+// Licensed under the Apache License, Version 2.0
+
+import { XSD_NAMESPACE, XSD_PREFIX, XML_NAMESPACE } from "./constants.js";
+
+/**
+ * Attributes of XML Schema elements whose value is a QName (or a list of QNames).
+ */
+export const QNAME_ATTRIBUTES = [
+  "@_type",
+  "@_base",
+  "@_ref",
+  "@_itemType",
+  "@_memberTypes",
+  "@_substitutionGroup",
+  "@_refer",
+];
+
+/**
+ * Creates an empty namespace registry (canonical prefix <-> namespace URI).
+ * The default (unprefixed) namespace is set by the first canonicalized document.
+ *
+ * @returns {{defaultNamespace: string|undefined, prefixes: Map<string,string>, uris: Map<string,string>}}
+ */
+export function createNamespaceRegistry() {
+  return {
+    defaultNamespace: undefined,
+    prefixes: new Map([
+      ["xs", XSD_NAMESPACE],
+      ["xml", XML_NAMESPACE],
+    ]),
+    uris: new Map([
+      [XSD_NAMESPACE, "xs"],
+      [XML_NAMESPACE, "xml"],
+    ]),
+  };
+}
+
+/**
+ * Returns the canonical prefix for a namespace URI, allocating one if needed.
+ * The registry's default namespace (and "no namespace") map to the empty prefix.
+ *
+ * @param {object} registry - A registry from createNamespaceRegistry.
+ * @param {string|undefined} uri - The namespace URI.
+ * @param {string} [preferred] - The prefix used by the document, reused when free.
+ * @returns {string} The canonical prefix ("" for unprefixed names).
+ */
+export function prefixForNamespace(registry, uri, preferred) {
+  if (!uri || uri === registry.defaultNamespace) return "";
+  if (registry.uris.has(uri)) return registry.uris.get(uri);
+  let prefix = preferred;
+  for (let i = 1; !prefix || registry.prefixes.has(prefix); i++) {
+    prefix = `ns${i}`;
+  }
+  registry.prefixes.set(prefix, uri);
+  registry.uris.set(uri, prefix);
+  return prefix;
+}
+
+/**
+ * Returns the local part of a (possibly prefixed) QName.
+ * @param {string} qname
+ * @returns {string}
+ */
+export function localName(qname) {
+  if (typeof qname !== "string") return qname;
+  const idx = qname.indexOf(":");
+  return idx === -1 ? qname : qname.substring(idx + 1);
+}
+
+/**
+ * Returns the in-scope namespace declarations of a normalized node, given its parent's.
+ */
+function scopeOf(node, parentScope) {
+  let scope = parentScope;
+  for (const key of Object.keys(node)) {
+    if (key === "@_xmlns" || key.startsWith("@_xmlns:")) {
+      if (scope === parentScope) scope = { ...parentScope };
+      scope[key === "@_xmlns" ? "" : key.substring(8)] = node[key];
+    }
+  }
+  return scope;
+}
+
+/**
+ * Splits a lexical QName and resolves its prefix in the given scope.
+ * @returns {{prefix: string, local: string, uri: string|undefined, declared: boolean}}
+ */
+function resolveInScope(qname, scope) {
+  const idx = qname.indexOf(":");
+  const prefix = idx === -1 ? "" : qname.substring(0, idx);
+  const local = idx === -1 ? qname : qname.substring(idx + 1);
+  if (prefix === "xml") {
+    return { prefix, local, uri: XML_NAMESPACE, declared: true };
+  }
+  const declared = prefix in scope;
+  return { prefix, local, uri: scope[prefix] || undefined, declared };
+}
+
+/**
+ * Rewrites a QName attribute value to its canonical form.
+ */
+function canonicalQName(value, scope, registry) {
+  const { prefix, local, uri, declared } = resolveInScope(value, scope);
+  // Unknown prefixes are left untouched (the reference cannot be resolved anyway).
+  if (prefix && !declared) return value;
+  if (uri === XSD_NAMESPACE) return `${XSD_PREFIX}${local}`;
+  const canonical = prefixForNamespace(registry, uri, prefix || undefined);
+  return canonical ? `${canonical}:${local}` : local;
+}
+
+/**
+ * Recursively canonicalizes the children of a normalized node.
+ */
+function canonicalizeNode(node, scope, registry) {
+  const entries = Object.entries(node);
+  let changed = false;
+  const rebuilt = [];
+  for (const [key, value] of entries) {
+    if (key.startsWith("@_") || key.startsWith("#")) {
+      rebuilt.push([key, value]);
+      continue;
+    }
+    const items = Array.isArray(value) ? value : [value];
+    for (const item of items) {
+      let canonicalKey = key;
+      if (item && typeof item === "object") {
+        const childScope = scopeOf(item, scope);
+        const { local, uri } = resolveInScope(key, childScope);
+        if (uri === XSD_NAMESPACE) {
+          canonicalKey = `${XSD_PREFIX}${local}`;
+          QNAME_ATTRIBUTES.forEach((attr) => {
+            const v = item[attr];
+            if (typeof v !== "string") return;
+            item[attr] = v
+              .trim()
+              .split(/\s+/)
+              .map((q) => canonicalQName(q, childScope, registry))
+              .join(" ");
+          });
+        }
+        canonicalizeNode(item, childScope, registry);
+      }
+      if (canonicalKey !== key) changed = true;
+      const last = rebuilt.find(([k]) => k === canonicalKey);
+      if (last) {
+        last[1] = [].concat(last[1], item);
+      } else {
+        rebuilt.push([canonicalKey, Array.isArray(value) ? [item] : item]);
+      }
+    }
+  }
+  if (!changed) return;
+  // Rebuild keys in place so non-enumerable properties (e.g. __rawChildren) survive
+  for (const [key] of entries) delete node[key];
+  for (const [key, value] of rebuilt) node[key] = value;
+}
+
+/**
+ * Canonicalizes a normalized schema document in place (see module header).
+ * The first document canonicalized with a registry sets its default namespace to that
+ * document's targetNamespace.
+ *
+ * @param {object} doc - A document produced by normalizeXml2js (keyed by its root element).
+ * @param {object} registry - A registry from createNamespaceRegistry, shared by all documents of a schema set.
+ * @returns {object} The same document.
+ */
+export function canonicalizeSchemaDocument(doc, registry) {
+  if (registry.defaultNamespace === undefined) {
+    const root = Object.values(doc).find((v) => v && typeof v === "object");
+    registry.defaultNamespace = (root && root["@_targetNamespace"]) || "";
+  }
+  canonicalizeNode(doc, {}, registry);
+  return doc;
+}
+
+/**
+ * Returns the namespace registry of a schema object, canonicalizing it first when it
+ * was not produced by the schema loader (e.g. a single document parsed by the caller).
+ *
+ * @param {object} schemaObj - The parsed schema object.
+ * @returns {object} The namespace registry.
+ */
+export function ensureCanonicalSchema(schemaObj) {
+  if (!schemaObj.__namespaceRegistry) {
+    const registry = createNamespaceRegistry();
+    canonicalizeSchemaDocument(schemaObj, registry);
+    attachNamespaceRegistry(schemaObj, registry);
+  }
+  return schemaObj.__namespaceRegistry;
+}
+
+/**
+ * Stores a namespace registry on a schema object (non-enumerable).
+ */
+export function attachNamespaceRegistry(schemaObj, registry) {
+  Object.defineProperty(schemaObj, "__namespaceRegistry", {
+    value: registry,
+    enumerable: false,
+    configurable: true,
+  });
+  return schemaObj;
+}
+
+/**
+ * Resolves a canonical QName (as found in a canonicalized schema) to its namespace URI.
+ *
+ * @param {string} qname - The canonical QName, e.g. "tns:Foo", "xs:string" or "Foo".
+ * @param {object} schemaObj - The canonicalized schema object.
+ * @returns {{namespace: string|undefined, localName: string}}
+ */
+export function resolveQName(qname, schemaObj) {
+  const registry = ensureCanonicalSchema(schemaObj);
+  const idx = qname.indexOf(":");
+  if (idx === -1) {
+    return {
+      namespace: registry.defaultNamespace || undefined,
+      localName: qname,
+    };
+  }
+  return {
+    namespace: registry.prefixes.get(qname.substring(0, idx)),
+    localName: qname.substring(idx + 1),
+  };
+}
+
+/**
+ * Builds the canonical QName of a name in a given namespace.
+ *
+ * @param {string|undefined} namespace - The namespace URI.
+ * @param {string} name - The local name.
+ * @param {object} schemaObj - The canonicalized schema object.
+ * @returns {string}
+ */
+export function qualifyName(namespace, name, schemaObj) {
+  const registry = ensureCanonicalSchema(schemaObj);
+  const prefix = prefixForNamespace(registry, namespace);
+  return prefix ? `${prefix}:${name}` : name;
+}
+
+const ORIGIN_KEYS = {
+  targetNamespace: "__targetNamespace",
+  file: "__schemaLocation",
+  elementFormDefault: "__elementFormDefault",
+  attributeFormDefault: "__attributeFormDefault",
+};
+
+/**
+ * Records which schema document a top-level component comes from, as non-enumerable
+ * properties, so later stages know its namespace and qualification defaults.
+ *
+ * @param {object} component - A top-level schema component.
+ * @param {{targetNamespace?: string, file?: string, elementFormDefault?: string, attributeFormDefault?: string}} origin
+ * @returns {object} The same component.
+ */
+export function setComponentOrigin(component, origin) {
+  for (const [key, prop] of Object.entries(ORIGIN_KEYS)) {
+    Object.defineProperty(component, prop, {
+      value: origin[key],
+      enumerable: false,
+      configurable: true,
+    });
+  }
+  return component;
+}
+
+/**
+ * Copies the origin recorded by setComponentOrigin from one node to another
+ * (object spreads drop non-enumerable properties).
+ *
+ * @param {object} target - The node receiving the origin.
+ * @param {object} source - The node carrying it.
+ * @returns {object} The target node.
+ */
+export function copyComponentOrigin(target, source) {
+  if (source && source.__targetNamespace !== undefined) {
+    setComponentOrigin(target, {
+      targetNamespace: source.__targetNamespace,
+      file: source.__schemaLocation,
+      elementFormDefault: source.__elementFormDefault,
+      attributeFormDefault: source.__attributeFormDefault,
+    });
+  }
+  return target;
+}
+
+/**
+ * Returns the target namespace and qualification defaults that apply to a top-level
+ * component. Components merged by the schema loader carry their own; otherwise the
+ * schema root's attributes are used.
+ *
+ * @param {object} component - A top-level schema component.
+ * @param {object} schemaObj - The schema object.
+ * @returns {{targetNamespace: string|undefined, elementFormDefault: string, attributeFormDefault: string}}
+ */
+export function componentOrigin(component, schemaObj) {
+  const schema = schemaObj[`${XSD_PREFIX}schema`] || {};
+  const tagged = component && component.__targetNamespace !== undefined;
+  const source = tagged
+    ? {
+        targetNamespace: component.__targetNamespace,
+        elementFormDefault: component.__elementFormDefault,
+        attributeFormDefault: component.__attributeFormDefault,
+      }
+    : {
+        targetNamespace: schema["@_targetNamespace"],
+        elementFormDefault: schema["@_elementFormDefault"],
+        attributeFormDefault: schema["@_attributeFormDefault"],
+      };
+  return {
+    targetNamespace: source.targetNamespace || undefined,
+    elementFormDefault: source.elementFormDefault || "unqualified",
+    attributeFormDefault: source.attributeFormDefault || "unqualified",
+  };
+}
@@ -8,6 +8,7 @@
  * Main function:
  *   - parseXsd: Given a parsed XSD schema object, returns lists of complexTypes and simpleTypes
  *     suitable for code generation. Handles inline type extraction and mutation for correct referencing.
+ *   - ANONYMOUS_TYPE_NAMING: The built-in strategies naming anonymous types.
  *
  * Each function is documented below with parameter explanations and usage notes.
  */
@@ -16,95 +17,299 @@
 
 import { XSD_PREFIX } from "./constants.js";
 import { ensureArray } from "./utils.js";
+import {
+  componentOrigin,
+  copyComponentOrigin,
+  ensureCanonicalSchema,
+  qualifyName,
+} from "./namespaces.js";
+
+// Nodes that can hold element or attribute declarations with anonymous types.
+const ANONYMOUS_TYPE_CONTAINERS = [
+  "sequence",
+  "choice",
+  "all",
+  "complexContent",
+  "simpleContent",
+  "extension",
+  "restriction",
+];
+
+/**
+ * Strategies naming the anonymous type of a declaration, selected with the
+ * `anonymous-type-naming` option. Each receives `{kind, parentName, name, isAttribute}`
+ * (`kind` is "complexType" or "simpleType", `parentName` the enclosing type or group,
+ * undefined for top-level declarations) and returns a class name.
+ *
+ * - "parent-child" (default): `Order_Line` for element Line of type Order,
+ *   `Order_Line_Type` for a simple type;
+ * - "child": the name of the declaration (`Line`, `Line_Type`).
+ */
+export const ANONYMOUS_TYPE_NAMING = {
+  "parent-child": ({ kind, parentName, name }) => {
+    const base = parentName ? `${parentName}_${name}` : name;
+    return kind === "simpleType" ? `${base}_Type` : base;
+  },
+  child: ({ kind, name }) => (kind === "simpleType" ? `${name}_Type` : name),
+};
 
 /**
  * Parses a JS object representation of an XSD schema and extracts type definitions.
  *
  * - Identifies all <xs:complexType> and <xs:simpleType> definitions.
- * - Handles inline simple types (e.g., <xs:simpleType> nested in elements/attributes),
- *   giving them unique names and adding them to the simpleTypes list for generation.
+ * - Gives a class name to every anonymous complex or simple type, at any depth
+ *   (elements and attributes of types, groups, attribute groups, derivations and other
+ *   anonymous types, and top-level declarations), adds it to the types to generate and
+ *   makes the declaration reference it. Names come from the naming strategy; names
+ *   already taken get a numeric suffix.
+ * - Moves the facets of a <xs:simpleContent> restriction into a `<Type>_Content_Type`
+ *   simple type restricting the text type of the base, and records its name on the
+ *   restriction (non-enumerable `__contentType`).
  * - Handles top-level elements with inline <xs:complexType>, treating them as named types.
  *
- * @param {object} schemaObj - The parsed XSD schema object (from fast-xml-parser).
+ * The schema is canonicalized first (see namespaces.js) when it was not produced by the
+ * schema loader, so any prefix bound to the XML Schema namespace is accepted.
+ *
+ * @param {object} schemaObj - The parsed XSD schema object (from normalizeXml2js or loadSchemaSet).
+ * @param {object} [config] - The command-line configuration. `anonymous-type-naming` is
+ *   the name of a strategy in ANONYMOUS_TYPE_NAMING or a function with the same signature.
  * @returns {{complexTypes: any[], simpleTypes: any[]}} - Arrays of complex and simple type definitions.
  */
-export function parseXsd(schemaObj) {
+export function parseXsd(schemaObj, config = {}) {
+  ensureCanonicalSchema(schemaObj);
   const schema = schemaObj[`${XSD_PREFIX}schema`];
   if (!schema) {
     throw new Error("Invalid XSD schema: <xs:schema> tag not found.");
   }
+  const namingOption = config["anonymous-type-naming"] || "parent-child";
+  const naming =
+    typeof namingOption === "function"
+      ? namingOption
+      : ANONYMOUS_TYPE_NAMING[namingOption];
+  if (!naming) {
+    throw new Error(`Unknown anonymous type naming strategy: ${namingOption}`);
+  }
 
   const complexTypes = ensureArray(schema[`${XSD_PREFIX}complexType`]);
   const simpleTypes = ensureArray(schema[`${XSD_PREFIX}simpleType`]);
   const inlineSimpleTypes = [];
 
+  // Every generated class name, to detect collisions of generated names
+  const usedNames = new Set(
+    [...complexTypes, ...simpleTypes].map((t) => t["@_name"])
+  );
+
   /**
-   * Finds and extracts inline simple types from a node (element or attribute).
+   * Turns a candidate type name into a free class name: characters not allowed in an
+   * identifier become "_", and a name already taken gets a numeric suffix ("_2"...).
    *
-   * @param {object} node - The XSD node to process (element, attribute, etc.).
-   * @param {string} parentTypeName - The name of the parent type, used for generating unique type names.
+   * @param {string} candidate - The name given by the naming strategy.
+   * @returns {string}
    */
-  const processNodeForInlineTypes = (node, parentTypeName) => {
-    if (!node) return;
-    /**
-     * Processes an item (element or attribute), extracting inline simpleType if present.
-     *
-     * @param {object} item - The XSD element or attribute node.
-     * @param {string} propName - The property name, used for unique type naming.
-     */
-    const process = (item, propName) => {
-      if (item[`${XSD_PREFIX}simpleType`]) {
-        const newTypeName = `${parentTypeName}_${propName}_Type`;
-        // Add the inline type to our list for generation
-        inlineSimpleTypes.push({
-          ...item[`${XSD_PREFIX}simpleType`],
-          "@_name": newTypeName,
-        });
-        // Mutate the original node to reference the new type name
-        item["@_type"] = newTypeName;
-        delete item[`${XSD_PREFIX}simpleType`];
-      }
-    };
-
-    const sequence = node[`${XSD_PREFIX}sequence`];
-    if (sequence) {
-      ensureArray(sequence[`${XSD_PREFIX}element`]).forEach((el) =>
-        process(el, el["@_name"])
+  const uniqueName = (candidate) => {
+    const base = String(candidate).replace(/[^\w$]/g, "_");
+    let name = base;
+    for (let n = 2; usedNames.has(name); n++) name = `${base}_${n}`;
+    usedNames.add(name);
+    return name;
+  };
+
+  /**
+   * Names the anonymous type of an element or attribute declaration and makes the
+   * declaration reference it. Anonymous complex types become complexType definitions,
+   * walked in turn; the element keeps its definition as non-enumerable
+   * `__anonymousType`.
+   *
+   * @param {object} item - The element or attribute declaration.
+   * @param {boolean} isAttribute - Whether the declaration is an attribute.
+   * @param {string|undefined} parentName - Name of the enclosing type or group
+   *   (undefined for top-level declarations).
+   * @param {object} owner - The top-level component holding the declaration, whose
+   *   schema document gives the namespace of the new type.
+   */
+  const nameDeclarationType = (item, isAttribute, parentName, owner) => {
+    const complexType = !isAttribute && item[`${XSD_PREFIX}complexType`];
+    const simpleType = item[`${XSD_PREFIX}simpleType`];
+    if (!item["@_name"] || (!complexType && !simpleType)) return;
+    const newTypeName = uniqueName(
+      naming({
+        kind: complexType ? "complexType" : "simpleType",
+        parentName,
+        name: item["@_name"],
+        isAttribute,
+      })
+    );
+    if (complexType) {
+      const typeDef = copyComponentOrigin(
+        { ...complexType, "@_name": newTypeName },
+        owner
       );
+      complexTypes.push(typeDef);
+      Object.defineProperty(item, "__anonymousType", {
+        value: typeDef,
+        enumerable: false,
+      });
+      nameAnonymousTypes(typeDef, newTypeName, owner);
+      delete item[`${XSD_PREFIX}complexType`];
+    } else {
+      // Add the inline type to our list for generation
+      inlineSimpleTypes.push({ ...simpleType, "@_name": newTypeName });
+      delete item[`${XSD_PREFIX}simpleType`];
     }
+    // Mutate the original node to reference the new type name
+    const ns = componentOrigin(owner, schemaObj).targetNamespace;
+    item["@_type"] = qualifyName(ns, newTypeName, schemaObj);
+  };
 
+  /**
+   * Names the anonymous types declared in a component at any depth: in its particles,
+   * derivations and attributes, and in the anonymous types found on the way.
+   *
+   * @param {object} node - A type, group or attribute group, or a node inside it.
+   * @param {string} parentName - The name of the type or group being walked.
+   * @param {object} owner - The top-level component being walked.
+   */
+  const nameAnonymousTypes = (node, parentName, owner) => {
+    if (!node || typeof node !== "object") return;
+    ensureArray(node[`${XSD_PREFIX}element`]).forEach((el) =>
+      nameDeclarationType(el, false, parentName, owner)
+    );
     ensureArray(node[`${XSD_PREFIX}attribute`]).forEach((attr) =>
-      process(attr, `@_${attr["@_name"]}`)
+      nameDeclarationType(attr, true, parentName, owner)
+    );
+    ANONYMOUS_TYPE_CONTAINERS.forEach((tag) =>
+      ensureArray(node[`${XSD_PREFIX}${tag}`]).forEach((child) =>
+        nameAnonymousTypes(child, parentName, owner)
+      )
     );
   };
 
-  // Find inline types within complex types
+  // Named complex types by canonical QName, to follow derivation bases
+  const complexTypeMap = {};
   complexTypes.forEach((ct) => {
-    const parentName = ct["@_name"];
-    processNodeForInlineTypes(ct, parentName);
-
-    const complexContent = ct[`${XSD_PREFIX}complexContent`];
-    if (complexContent && complexContent[`${XSD_PREFIX}extension`]) {
-      processNodeForInlineTypes(
-        complexContent[`${XSD_PREFIX}extension`],
-        parentName
-      );
-    }
+    const ns = componentOrigin(ct, schemaObj).targetNamespace;
+    complexTypeMap[qualifyName(ns, ct["@_name"], schemaObj)] = ct;
   });
 
+  const derivationOf = (content) =>
+    content &&
+    (content[`${XSD_PREFIX}extension`] || content[`${XSD_PREFIX}restriction`]);
+
+  /**
+   * Returns the type of the text of a complex type with simple content, following
+   * complex bases up to the simple type (or promoted content type) they derive from.
+   *
+   * @param {object} ct - The complexType definition.
+   * @returns {string|undefined}
+   */
+  const contentTypeOf = (ct) => {
+    const derivation = derivationOf(ct[`${XSD_PREFIX}simpleContent`]);
+    if (!derivation) return undefined;
+    if (derivation.__contentType) return derivation.__contentType;
+    const base = complexTypeMap[derivation["@_base"]];
+    return base ? contentTypeOf(base) : derivation["@_base"];
+  };
+
+  /**
+   * Promotes the facets of a simpleContent restriction to a named simple type. Bases
+   * are promoted first so the new type restricts their content type.
+   *
+   * @param {object} ct - The complexType definition.
+   * @param {Set<object>} done - Types already handled.
+   */
+  const promoteContentFacets = (ct, done) => {
+    if (done.has(ct)) return;
+    done.add(ct);
+    const simpleContent = ct[`${XSD_PREFIX}simpleContent`];
+    const derivation = derivationOf(simpleContent);
+    if (!derivation) return;
+    const base = complexTypeMap[derivation["@_base"]];
+    if (base) promoteContentFacets(base, done);
+
+    const restriction = simpleContent[`${XSD_PREFIX}restriction`];
+    if (!restriction || !base) return;
+    const facetKeys = Object.keys(restriction).filter(
+      (k) =>
+        k.startsWith(XSD_PREFIX) &&
+        ![
+          `${XSD_PREFIX}attribute`,
+          `${XSD_PREFIX}attributeGroup`,
+          `${XSD_PREFIX}anyAttribute`,
+        ].includes(k)
+    );
+    if (!facetKeys.length) return;
+    const contentRestriction = {};
+    if (!restriction[`${XSD_PREFIX}simpleType`]) {
+      contentRestriction["@_base"] = contentTypeOf(base) || "xs:string";
+    }
+    facetKeys.forEach((k) => {
+      contentRestriction[k] = restriction[k];
+      delete restriction[k];
+    });
+    const newTypeName = uniqueName(`${ct["@_name"]}_Content_Type`);
+    inlineSimpleTypes.push({
+      "@_name": newTypeName,
+      [`${XSD_PREFIX}restriction`]: contentRestriction,
+    });
+    Object.defineProperty(restriction, "__contentType", {
+      value: newTypeName,
+      enumerable: false,
+    });
+  };
+
   // process top-level elements with inline complexType
   const elements = ensureArray(schema[`${XSD_PREFIX}element`]);
   elements.forEach((el) => {
     if (el[`${XSD_PREFIX}complexType`]) {
-      // Fake a typeDef with the element's name
-      const typeDef = {
-        ...el[`${XSD_PREFIX}complexType`],
-        "@_name": el["@_name"],
-      };
+      // Fake a typeDef named after the element
+      const typeDef = copyComponentOrigin(
+        {
+          ...el[`${XSD_PREFIX}complexType`],
+          "@_name": uniqueName(
+            naming({ kind: "complexType", name: el["@_name"] })
+          ),
+        },
+        el
+      );
+      // Remember the element so the generated class knows its root element name.
+      Object.defineProperty(typeDef, "__elementName", {
+        value: el["@_name"],
+        enumerable: false,
+      });
       complexTypes.push(typeDef);
+      // References to the element (ref=) use the generated type
+      Object.defineProperty(el, "__anonymousType", {
+        value: typeDef,
+        enumerable: false,
+      });
+      el["@_type"] = qualifyName(
+        componentOrigin(el, schemaObj).targetNamespace,
+        typeDef["@_name"],
+        schemaObj
+      );
+      delete el[`${XSD_PREFIX}complexType`];
+    } else {
+      nameDeclarationType(el, false, undefined, el);
     }
   });
 
+  // Name the anonymous types found at any depth within complex types, groups,
+  // attribute groups and top-level attributes
+  complexTypes
+    .slice()
+    .forEach((ct) => nameAnonymousTypes(ct, ct["@_name"], ct));
+  ["group", "attributeGroup"].forEach((tag) =>
+    ensureArray(schema[`${XSD_PREFIX}${tag}`]).forEach((g) =>
+      nameAnonymousTypes(g, g["@_name"], g)
+    )
+  );
+  ensureArray(schema[`${XSD_PREFIX}attribute`]).forEach((attr) =>
+    nameDeclarationType(attr, true, undefined, attr)
+  );
+
+  const promoted = new Set();
+  complexTypes.forEach((ct) => promoteContentFacets(ct, promoted));
+
   return {
     complexTypes,
     simpleTypes: [...simpleTypes, ...inlineSimpleTypes],
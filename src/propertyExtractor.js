@@ -12,51 +12,122 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import { ensureArray } from "./utils.js";
-import { XSD_PREFIX } from "./constants.js";
+import { ensureArray, documentationOf } from "./utils.js";
+import { XSD_PREFIX, XML_NAMESPACE, XML_ATTRIBUTES } from "./constants.js";
+import { componentOrigin, localName } from "./namespaces.js";
+
+// The particles a model group can hold, by local name.
+const PARTICLES = ["element", "sequence", "choice", "all", "group"];
 
 /**
- * Processes a content model group (sequence, choice, etc.) recursively.
- * @param {object} node - The XSD node containing the model group.
- * @param {Array<object>} properties - The array of properties to populate.
- * @param {Function} processItem - The helper function to add a new property.
- * @param {object} groupMap - A map of named groups in the schema.
+ * Lists the particles of a model group as [particle, node] pairs. The normalized schema
+ * groups children by name, so the document order is recovered from the raw children
+ * (see xmlNormalizer.js); nodes without them (e.g. copies) use the PARTICLES order.
+ * @param {object} node - The XSD node containing the particles.
+ * @returns {Array<[string, object]>}
  */
-function processContentModel(node, properties, processItem, groupMap) {
-  if (!node) return;
-
-  // Process <xs:sequence>
-  ensureArray(node[`${XSD_PREFIX}sequence`]).forEach((sequence) => {
-    processContentModel(sequence, properties, processItem, groupMap);
+function orderedParticles(node) {
+  const remaining = {};
+  PARTICLES.forEach((p) => {
+    remaining[p] = ensureArray(node[`${XSD_PREFIX}${p}`]).slice();
   });
-
-  // Process <xs:choice>
-  ensureArray(node[`${XSD_PREFIX}choice`]).forEach((choice) => {
-    const isUnboundedChoice = choice["@_maxOccurs"] === "unbounded";
-    ensureArray(choice[`${XSD_PREFIX}element`]).forEach((el) => {
-      // Elements within a choice are flattened into the parent.
-      // If the choice is unbounded, all its child elements are treated as lists.
-      processItem(el, false, isUnboundedChoice);
-    });
-    // Recurse for nested groups within the choice
-    processContentModel(choice, properties, processItem, groupMap);
+  const pairs = [];
+  ensureArray(node.__rawChildren).forEach((child) => {
+    const name = child["#name"] || "";
+    const particle = name.substring(name.indexOf(":") + 1);
+    if (remaining[particle] && remaining[particle].length) {
+      pairs.push([particle, remaining[particle].shift()]);
+    }
   });
+  PARTICLES.forEach((p) => remaining[p].forEach((item) => pairs.push([p, item])));
+  return pairs;
+}
 
-  // Process <xs:group> references
-  ensureArray(node[`${XSD_PREFIX}group`]).forEach((groupRef) => {
-    if (groupRef["@_ref"]) {
-      const groupName = groupRef["@_ref"].replace(/^.*:/, "");
-      const groupDef = groupMap[groupName];
-      if (groupDef) {
-        processContentModel(groupDef, properties, processItem, groupMap);
-      }
+/**
+ * Combines the occurrence range of the enclosing particles with the one of a particle.
+ * @param {{minOccurs: number, maxOccurs: number|string}} context - Range of the enclosing particles.
+ * @param {object} particle - An element, sequence, choice, all or group reference.
+ * @returns {{minOccurs: number, maxOccurs: number|string}} The range, `maxOccurs` being
+ *   a number or "unbounded".
+ */
+function combineOccurs(context, particle) {
+  const min = particle["@_minOccurs"];
+  const max = particle["@_maxOccurs"];
+  const ownMax = max === undefined ? 1 : max === "unbounded" ? max : Number(max);
+  let maxOccurs;
+  if (ownMax === 0 || context.maxOccurs === 0) maxOccurs = 0;
+  else if (ownMax === "unbounded" || context.maxOccurs === "unbounded") {
+    maxOccurs = "unbounded";
+  } else maxOccurs = ownMax * context.maxOccurs;
+  return {
+    minOccurs: (min === undefined ? 1 : Number(min)) * context.minOccurs,
+    maxOccurs,
+  };
+}
+
+/**
+ * Processes a particle (element, sequence, choice, all or group reference) recursively.
+ * @param {string} particle - The local name of the particle.
+ * @param {object} node - The XSD node of the particle.
+ * @param {Function} processItem - The helper function to add a new property.
+ * @param {object} groupMap - A map of named groups in the schema, keyed by canonical QName.
+ * @param {object} schemaObj - The parsed XSD schema object.
+ * @param {object} context - Occurrence range of the enclosing particles (`minOccurs`,
+ *   `maxOccurs`), namespace and form defaults of the component being walked (`origin`,
+ *   see componentOrigin) and the enclosing xs:choice branch (`choice`: the choice node,
+ *   the branch index and whether the choice repeats and is required).
+ */
+function processParticle(particle, node, processItem, groupMap, schemaObj, context) {
+  if (particle === "element") {
+    processItem(node, false, context);
+    return;
+  }
+  const inner = { ...context, ...combineOccurs(context, node) };
+  if (particle === "group") {
+    const groupDef = node["@_ref"] && groupMap[node["@_ref"]];
+    if (groupDef) {
+      // Elements of a named group are qualified like their own schema document
+      processContentModel(groupDef, processItem, groupMap, schemaObj, {
+        ...inner,
+        origin: componentOrigin(groupDef, schemaObj),
+      });
     }
-  });
+  } else if (particle === "choice") {
+    // Elements within a choice are flattened into the parent, tagged with their choice
+    // group and branch: each element, and each nested particle, is one branch. A
+    // nested choice tags its own elements.
+    const repeated = isRepeated(inner.maxOccurs);
+    const required = inner.minOccurs > 0;
+    orderedParticles(node).forEach(([p, item], branch) =>
+      processParticle(p, item, processItem, groupMap, schemaObj, {
+        ...inner,
+        choice: { group: node, branch, repeated, required },
+      })
+    );
+  } else {
+    // <xs:sequence> and <xs:all>; elements of an xs:all may appear in any order
+    processContentModel(node, processItem, groupMap, schemaObj, inner);
+  }
+}
 
-  // Process direct <xs:element> children
-  ensureArray(node[`${XSD_PREFIX}element`]).forEach((el) => {
-    processItem(el, false);
-  });
+/**
+ * Processes the particles of a content model in document order.
+ * @param {object} node - The XSD node containing the model group.
+ * @param {Function} processItem - The helper function to add a new property.
+ * @param {object} groupMap - A map of named groups in the schema, keyed by canonical QName.
+ * @param {object} schemaObj - The parsed XSD schema object.
+ * @param {object} context - See processParticle.
+ */
+function processContentModel(node, processItem, groupMap, schemaObj, context) {
+  if (!node) return;
+  orderedParticles(node).forEach(([particle, item]) =>
+    processParticle(particle, item, processItem, groupMap, schemaObj, context)
+  );
+}
+
+// True when a maxOccurs value allows more than one occurrence.
+function isRepeated(maxOccurs) {
+  return maxOccurs === "unbounded" || Number(maxOccurs) > 1;
 }
 
 // Recursively search a parsed XSD node for an <xs:any> entry.
@@ -81,20 +152,50 @@ function containsXSDAny(node) {
  * @param {object} config - The command-line configuration object.
  * @param {object} groupMap - A map of named groups in the schema.
  * @param {object} attrGroupMap - A map of named attribute groups.
- * @returns {Array<object>} A list of property definition objects.
+ * @param {object} [schemaObj] - The parsed XSD schema object, used to find the namespace
+ *   and qualification form (elementFormDefault/attributeFormDefault) of each property.
+ * @param {object} [complexTypeMap] - A map of named complexTypes, used to tell complex
+ *   bases of a simpleContent derivation (whose text is inherited) from simple ones.
+ * @param {{element?: object, attribute?: object, substitutions?: object}} [declarationMaps]
+ *   - Maps of the global element and attribute declarations, used to resolve `ref`
+ *   references, and of the members of each substitution group head.
+ * @returns {Array<object>} A list of property definition objects, in content-model
+ *   order. Elements carry their occurrence range (`minOccurs`, `maxOccurs`) and their
+ *   `position` in the content model, counting the elements inherited by extension.
  */
-export function extractProperties(typeNode, config, groupMap, attrGroupMap) {
+export function extractProperties(
+  typeNode,
+  config,
+  groupMap,
+  attrGroupMap,
+  schemaObj = {},
+  complexTypeMap = {},
+  declarationMaps = {}
+) {
   const properties = [];
   const textAttrName = config["text-attribute-name"] || "value";
+  const typeOrigin = componentOrigin(typeNode, schemaObj);
+  const topContext = { minOccurs: 1, maxOccurs: 1, origin: typeOrigin };
+  // Position of the next element in the content model, after the inherited ones
+  let position = 0;
 
   /**
    * Helper to add a processed item to the properties list, avoiding duplicates.
    * @param {object} item - The XSD element or attribute node.
    * @param {boolean} isAttribute - Flag if the item is an attribute.
-   * @param {boolean} forceList - Flag to force the property to be an array.
+   * @param {object} [context] - Where the item is declared: namespace and form
+   *   defaults of the declaring component (`origin`) and, for elements, the occurrence
+   *   range of the enclosing particles (`minOccurs`, `maxOccurs`) and the enclosing
+   *   xs:choice node, branch index and repetition (`choice`).
    */
-  const processItem = (item, isAttribute = false, forceList = false) => {
+  const processItem = (item, isAttribute = false, context = topContext) => {
+    if (item && item["@_ref"]) {
+      const declaration = resolveReference(item, isAttribute);
+      if (declaration) processItem(declaration, isAttribute, context);
+      return;
+    }
     if (!item || !item["@_name"]) return;
+    const origin = context.origin || typeOrigin;
 
     const originalName = isAttribute ? `@_${item["@_name"]}` : item["@_name"];
     const userFacingName =
@@ -111,20 +212,145 @@ export function extractProperties(typeNode, config, groupMap, attrGroupMap) {
     const isAny = !!(
       containsXSDAny(item) ||
       (item[`${XSD_PREFIX}complexType`] &&
-        containsXSDAny(item[`${XSD_PREFIX}complexType`]))
+        containsXSDAny(item[`${XSD_PREFIX}complexType`])) ||
+      containsXSDAny(item.__anonymousType)
     );
 
-    properties.push({
+    // Local declarations are in the target namespace only when qualified; global
+    // declarations always are in the namespace of their schema document
+    const global = item.__globalNamespace;
+    const form =
+      global !== undefined
+        ? "qualified"
+        : item["@_form"] ||
+          (isAttribute ? origin.attributeFormDefault : origin.elementFormDefault);
+    const namespace =
+      global !== undefined
+        ? global
+        : form === "qualified"
+          ? origin.targetNamespace || null
+          : null;
+
+    const property = {
       name: userFacingName,
       xmlName: originalName,
+      namespace,
+      form,
       type: item["@_type"],
-      isList:
-        forceList || (!isAttribute && item["@_maxOccurs"] === "unbounded"),
+      isList: false,
       xsdType: item["@_type"],
       isAttribute,
       nillable: item["@_nillable"] === "true",
       isAny,
+    };
+    // Value constraints, in lexical form: the value of an absent attribute (or of an
+    // empty element), which `fixed` also requires
+    if (item["@_default"] !== undefined) property.default = item["@_default"];
+    if (item["@_fixed"] !== undefined) property.fixed = item["@_fixed"];
+    // The schema's own documentation, for the generated JSDoc
+    const documentation = documentationOf(item);
+    if (documentation) property.documentation = documentation;
+    if (isAttribute) {
+      property.required = item["@_use"] === "required";
+      // A restriction removes an inherited attribute with use="prohibited"
+      if (item["@_use"] === "prohibited") property.prohibited = true;
+    }
+    if (!isAttribute) {
+      // Elements that may occur more than once, by themselves or through a repeating
+      // sequence, choice or group, are lists
+      Object.assign(property, combineOccurs(context, item));
+      property.isList = isRepeated(property.maxOccurs);
+      property.position = position++;
+      property.choice = context.choice;
+      // The elements of a choice are only required in the branch that is taken
+      property.required = property.minOccurs > 0 && !context.choice;
+      if (item["@_abstract"] === "true") property.abstract = true;
+      // A reference to a substitution group head also accepts every member element
+      if (item.__substitutes) {
+        property.substitutes = item.__substitutes.map((member) => ({
+          xmlName: member["@_name"],
+          namespace:
+            componentOrigin(member, schemaObj).targetNamespace || null,
+          xsdType: member.__memberType,
+        }));
+      }
+    }
+    properties.push(property);
+  };
+
+  /**
+   * Resolves an element or attribute reference (`ref`) to the global declaration it
+   * names. The declaration gives the name, type, nillability and value constraints;
+   * the reference site gives the occurrences (`minOccurs`, `maxOccurs`, or `use` for
+   * an attribute) and may override the value constraint of an attribute. Attributes of
+   * the XML namespace (`xml:lang`...) resolve without an imported xml.xsd.
+   * @param {object} item - The element or attribute reference.
+   * @param {boolean} isAttribute - Flag if the item is an attribute.
+   * @returns {object|undefined} The declaration as seen from the reference site, with
+   *   its namespace as non-enumerable `__globalNamespace` (and the members of its
+   *   substitution group as `__substitutes`), or undefined when the reference cannot
+   *   be resolved.
+   */
+  const resolveReference = (item, isAttribute) => {
+    const ref = item["@_ref"];
+    let declaration = (declarationMaps[isAttribute ? "attribute" : "element"] ||
+      {})[ref];
+    let namespace;
+    if (declaration) {
+      namespace = componentOrigin(declaration, schemaObj).targetNamespace || null;
+    } else if (isAttribute && XML_ATTRIBUTES[ref]) {
+      declaration = { "@_name": localName(ref), "@_type": XML_ATTRIBUTES[ref] };
+      namespace = XML_NAMESPACE;
+    } else {
+      return undefined;
+    }
+    const resolved = { ...declaration };
+    // The reference may document the declaration for its own use
+    const siteKeys = isAttribute
+      ? ["@_use", "@_default", "@_fixed", `${XSD_PREFIX}annotation`]
+      : ["@_minOccurs", "@_maxOccurs", `${XSD_PREFIX}annotation`];
+    siteKeys.forEach((k) => {
+      if (item[k] !== undefined) resolved[k] = item[k];
+    });
+    Object.defineProperty(resolved, "__globalNamespace", {
+      value: namespace,
+      enumerable: false,
     });
+    if (declaration.__anonymousType) {
+      Object.defineProperty(resolved, "__anonymousType", {
+        value: declaration.__anonymousType,
+        enumerable: false,
+      });
+    }
+    const substitutes = !isAttribute && (declarationMaps.substitutions || {})[ref];
+    if (substitutes) {
+      Object.defineProperty(resolved, "__substitutes", {
+        value: substitutes,
+        enumerable: false,
+      });
+    }
+    return resolved;
+  };
+
+  /**
+   * Adds the attributes declared on a node, directly or through attribute groups.
+   * @param {object} node - A complexType, extension or restriction node.
+   */
+  const processAttributes = (node) => {
+    ensureArray(node[`${XSD_PREFIX}attribute`]).forEach((attr) =>
+      processItem(attr, true)
+    );
+    ensureArray(node[`${XSD_PREFIX}attributeGroup`]).forEach(
+      (attrGroupRef) => {
+        const groupDef = attrGroupMap[attrGroupRef["@_ref"]];
+        if (groupDef) {
+          const groupOrigin = componentOrigin(groupDef, schemaObj);
+          ensureArray(groupDef[`${XSD_PREFIX}attribute`]).forEach((attr) =>
+            processItem(attr, true, { origin: groupOrigin })
+          );
+        }
+      }
+    );
   };
 
   // An XSD type has a content model. It's either simple or complex.
@@ -135,19 +361,25 @@ export function extractProperties(typeNode, config, groupMap, attrGroupMap) {
     // Case 1: <xs:simpleContent>
     // This means the type has a text value and attributes, but no child elements.
     // This is the case for your `LocalizedText` example.
-    const extension = simpleContent[`${XSD_PREFIX}extension`];
-    if (extension) {
-      properties.push({
-        name: textAttrName,
-        xmlName: "#text",
-        type: extension["@_base"] || "xs:string",
-        isList: false,
-        xsdType: extension["@_base"],
-        isAttribute: false,
-      });
-      ensureArray(extension[`${XSD_PREFIX}attribute`]).forEach((attr) =>
-        processItem(attr, true)
-      );
+    const derivation =
+      simpleContent[`${XSD_PREFIX}extension`] ||
+      simpleContent[`${XSD_PREFIX}restriction`];
+    if (derivation) {
+      // A complex base already declares the text (the generated class extends it),
+      // unless a restriction narrows it to its own content type (see parser.js).
+      const base = derivation["@_base"];
+      const textType = derivation.__contentType || base;
+      if (derivation.__contentType || !complexTypeMap[base]) {
+        properties.push({
+          name: textAttrName,
+          xmlName: "#text",
+          type: textType || "xs:string",
+          isList: false,
+          xsdType: textType,
+          isAttribute: false,
+        });
+      }
+      processAttributes(derivation);
     }
     // This is all the properties it can have, so we return.
     return properties;
@@ -155,36 +387,38 @@ export function extractProperties(typeNode, config, groupMap, attrGroupMap) {
 
   if (complexContent) {
     // Case 2: <xs:complexContent>
-    // This implies inheritance. We process the content of the extension/restriction.
+    // This implies inheritance. An extension appends its content to the base type's,
+    // so its elements are positioned after the inherited ones; a restriction restates
+    // the content of the base, so its particles and attributes override the inherited
+    // ones (e.g. with narrowed occurrences).
     const extension = complexContent[`${XSD_PREFIX}extension`];
-    if (extension) {
-      processContentModel(extension, properties, processItem, groupMap);
-      ensureArray(extension[`${XSD_PREFIX}attribute`]).forEach((attr) =>
-        processItem(attr, true)
-      );
+    const derivation = extension || complexContent[`${XSD_PREFIX}restriction`];
+    if (derivation) {
+      const base = extension && complexTypeMap[extension["@_base"]];
+      if (base && base !== typeNode) {
+        extractProperties(
+          base,
+          config,
+          groupMap,
+          attrGroupMap,
+          schemaObj,
+          complexTypeMap,
+          declarationMaps
+        ).forEach((p) => {
+          if (p.position !== undefined) position = p.position + 1;
+        });
+      }
+      processContentModel(derivation, processItem, groupMap, schemaObj, topContext);
+      processAttributes(derivation);
     }
-    // Note: A restriction would be handled here as well if needed.
   } else {
     // Case 3: No <xs:complexContent> or <xs:simpleContent>
     // The content model (sequence, choice, etc.) is directly inside the <xs:complexType>.
-    processContentModel(typeNode, properties, processItem, groupMap);
+    processContentModel(typeNode, processItem, groupMap, schemaObj, topContext);
   }
 
   // Process attributes defined directly on the type, regardless of content model.
-  ensureArray(typeNode[`${XSD_PREFIX}attribute`]).forEach((attr) =>
-    processItem(attr, true)
-  );
-  ensureArray(typeNode[`${XSD_PREFIX}attributeGroup`]).forEach(
-    (attrGroupRef) => {
-      const groupName = attrGroupRef["@_ref"]?.replace(/^.*:/, "");
-      const groupDef = attrGroupMap[groupName];
-      if (groupDef) {
-        ensureArray(groupDef[`${XSD_PREFIX}attribute`]).forEach((attr) =>
-          processItem(attr, true)
-        );
-      }
-    }
-  );
+  processAttributes(typeNode);
 
   return properties;
 }
@@ -0,0 +1,340 @@
+/**
+ * schemaLoader.js
+ *
+ * This module loads an XSD entry file together with every schema document it pulls in
+ * through <xs:include>, <xs:import>, <xs:redefine> and <xs:override>, and merges all of
+ * their top-level components into a single schema object that `parseXsd` and
+ * `buildClassCode` can consume as if the whole schema had been written in one file.
+ *
+ * Every document is canonicalized (see namespaces.js) as soon as it is read, so the
+ * directives are found whatever prefix the document binds to the XML Schema namespace.
+ *
+ * Main function:
+ *   - loadSchemaSet: Reads the entry schema, follows its references (relative to the
+ *     referencing file, or through a local catalog), and returns the merged schema object
+ *     along with the per-namespace component tables.
+ *
+ * Each function is documented below with parameter explanations and usage notes.
+ */
+// Copyright 2025 Remy Beraud
+// Licensed under the Apache License, Version 2.0
+
+import fs from "fs";
+import path from "path";
+import { XSD_PREFIX } from "./constants.js";
+import { ensureArray } from "./utils.js";
+import { parseXml } from "./xmlNormalizer.js";
+import {
+  attachNamespaceRegistry,
+  canonicalizeSchemaDocument,
+  copyComponentOrigin,
+  createNamespaceRegistry,
+  localName,
+  setComponentOrigin,
+} from "./namespaces.js";
+
+/**
+ * Top-level schema components that are merged across documents.
+ */
+export const SCHEMA_COMPONENTS = [
+  "simpleType",
+  "complexType",
+  "element",
+  "attribute",
+  "group",
+  "attributeGroup",
+];
+
+/**
+ * Reads a catalog file mapping namespace URIs or schemaLocation values to local files.
+ * The catalog is a JSON object; relative paths are resolved against the catalog file.
+ *
+ * @param {string|object|undefined} catalog - Path to a JSON catalog, or an already loaded mapping.
+ * @returns {Map<string, string>} Map of namespace/location to absolute file path.
+ */
+export function loadCatalog(catalog) {
+  const entries = new Map();
+  if (!catalog) return entries;
+  let mapping = catalog;
+  // eslint-disable-next-line no-undef
+  let baseDir = process.cwd();
+  if (typeof catalog === "string") {
+    mapping = JSON.parse(fs.readFileSync(catalog, "utf-8"));
+    baseDir = path.dirname(path.resolve(catalog));
+  }
+  for (const [key, target] of Object.entries(mapping)) {
+    entries.set(key, path.resolve(baseDir, target));
+  }
+  return entries;
+}
+
+/**
+ * Resolves the file to load for an include/import/redefine/override directive.
+ *
+ * @param {object} directive - The directive node (@_schemaLocation, @_namespace).
+ * @param {string} fromFile - Absolute path of the referencing schema file.
+ * @param {Map<string, string>} catalog - Catalog entries (see loadCatalog).
+ * @returns {string|null} Absolute path of the schema to load, or null when it cannot be located.
+ */
+function resolveLocation(directive, fromFile, catalog) {
+  const location = directive["@_schemaLocation"];
+  const namespace = directive["@_namespace"];
+  if (location && catalog.has(location)) return catalog.get(location);
+  if (namespace && catalog.has(namespace)) return catalog.get(namespace);
+  if (!location) return null;
+  // Remote locations can only be used through the catalog.
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(location)) return null;
+  return path.resolve(path.dirname(fromFile), location);
+}
+
+/**
+ * Records the document a component comes from (see setComponentOrigin).
+ */
+function tagComponent(component, doc) {
+  return setComponentOrigin(component, {
+    targetNamespace: doc.targetNamespace,
+    file: doc.file,
+    elementFormDefault: doc.schema["@_elementFormDefault"],
+    attributeFormDefault: doc.schema["@_attributeFormDefault"],
+  });
+}
+
+/**
+ * Rewrites references to `name` inside a redefinition so they point at `newName`.
+ * In an <xs:redefine>, a type that derives from its own name, or a group that
+ * references its own name, means the original (pre-redefinition) component.
+ *
+ * @param {object} node - The redefinition node (or one of its descendants).
+ * @param {string} kind - The component kind being redefined (complexType, group, ...).
+ * @param {string} name - The redefined component name.
+ * @param {string} newName - The name the original component is kept under.
+ * @param {string} [tag] - The tag under which `node` was found.
+ * @returns {boolean} true when at least one self-reference was found.
+ */
+function rewriteSelfReferences(node, kind, name, newName, tag) {
+  if (!node || typeof node !== "object") return false;
+  let found = false;
+  const isType = kind === "complexType" || kind === "simpleType";
+  const attr = isType ? "@_base" : "@_ref";
+  const applies = isType || tag === `${XSD_PREFIX}${kind}`;
+  const value = node[attr];
+  if (applies && typeof value === "string" && localName(value) === name) {
+    const prefix = value.includes(":") ? value.replace(/:[^:]*$/, ":") : "";
+    node[attr] = `${prefix}${newName}`;
+    found = true;
+  }
+  for (const [key, child] of Object.entries(node)) {
+    if (key.startsWith("@_")) continue;
+    for (const item of ensureArray(child)) {
+      if (rewriteSelfReferences(item, kind, name, newName, key)) found = true;
+    }
+  }
+  return found;
+}
+
+/**
+ * Copies a component under another name. The copy shares the children of the original
+ * and keeps the non-enumerable properties a spread drops: the raw children order
+ * (`__rawChildren`, see normalizeXml2js) and the origin (see copyComponentOrigin).
+ *
+ * @param {object} component - The component to copy.
+ * @param {string} name - The name of the copy.
+ * @returns {object} The renamed copy.
+ */
+function renameComponent(component, name) {
+  const copy = { ...component, "@_name": name };
+  if (component.__rawChildren !== undefined) {
+    Object.defineProperty(copy, "__rawChildren", {
+      value: component.__rawChildren,
+      enumerable: false,
+      writable: false,
+    });
+  }
+  return copyComponentOrigin(copy, component);
+}
+
+/**
+ * Throws when two namespaces define a simple or complex type of the same name: the
+ * generated classes are named after the local name, so one would replace the other.
+ *
+ * @param {Map<string, object>} namespaces - The per-namespace component tables.
+ */
+function checkTypeNameCollisions(namespaces) {
+  const seen = new Map();
+  namespaces.forEach((tables, ns) => {
+    ["complexType", "simpleType"].forEach((kind) => {
+      tables[kind].forEach((component, name) => {
+        const type = `{${ns}}${name} (${component.__schemaLocation})`;
+        if (seen.has(name)) {
+          throw new Error(
+            `Types ${seen.get(name)} and ${type} would generate the same class "${name}"; rename one of them.`
+          );
+        }
+        seen.set(name, type);
+      });
+    });
+  });
+}
+
+/**
+ * Loads an XSD file and every schema document it references, then merges their
+ * components.
+ *
+ * - <xs:include> documents share the includer's namespace. Included documents without a
+ *   targetNamespace ("chameleon" includes) take the includer's namespace.
+ * - <xs:import> documents are located through the catalog (by namespace or
+ *   schemaLocation) or relative to the importing file. Imports without a resolvable
+ *   location are skipped with a warning.
+ * - <xs:redefine> and <xs:override> replace components of the referenced document with
+ *   the ones they contain. A redefinition that refers to its own name keeps the original
+ *   component under the name `<Name>_Redefined`.
+ * - Simple and complex types are generated as classes named after their local name: the
+ *   same type name in two namespaces is an error.
+ * - Each document is loaded once per namespace, so reference cycles (A includes B which
+ *   includes A) terminate.
+ *
+ * @param {string} entryFile - Path to the entry XSD file.
+ * @param {{catalog?: string|object}} [options] - Loader options.
+ * @returns {Promise<{schemaObj: object, namespaces: Map<string, object>, documents: Array<object>}>}
+ *   `schemaObj` has the same shape as a single parsed schema (`{ "xs:schema": {...} }`),
+ *   `namespaces` maps each target namespace to its component tables (keyed by component
+ *   kind, then by name), and `documents` lists every loaded file.
+ */
+export async function loadSchemaSet(entryFile, options = {}) {
+  const catalog = loadCatalog(options.catalog);
+  const documents = [];
+  const visited = new Set();
+  const namespaces = new Map();
+  const registry = createNamespaceRegistry();
+
+  const tableFor = (ns) => {
+    const key = ns || "";
+    if (!namespaces.has(key)) {
+      const tables = {};
+      SCHEMA_COMPONENTS.forEach((kind) => (tables[kind] = new Map()));
+      namespaces.set(key, tables);
+    }
+    return namespaces.get(key);
+  };
+
+  const addComponents = (schemaNode, doc, replace = false) => {
+    const tables = tableFor(doc.targetNamespace);
+    SCHEMA_COMPONENTS.forEach((kind) => {
+      ensureArray(schemaNode[`${XSD_PREFIX}${kind}`]).forEach((component) => {
+        const name = component["@_name"];
+        if (!name) return;
+        if (!replace && tables[kind].has(name)) return; // first declaration wins
+        tables[kind].set(name, tagComponent(component, doc));
+      });
+    });
+  };
+
+  const applyRedefinitions = (container, doc, isRedefine) => {
+    const tables = tableFor(doc.targetNamespace);
+    SCHEMA_COMPONENTS.forEach((kind) => {
+      ensureArray(container[`${XSD_PREFIX}${kind}`]).forEach((component) => {
+        const name = component["@_name"];
+        const original = tables[kind].get(name);
+        if (isRedefine && original) {
+          const renamed = `${name}_Redefined`;
+          if (rewriteSelfReferences(component, kind, name, renamed)) {
+            tables[kind].set(renamed, renameComponent(original, renamed));
+          }
+        }
+      });
+    });
+    addComponents(container, doc, true);
+  };
+
+  const loadDocument = async (file, inheritedNamespace) => {
+    const absPath = path.resolve(file);
+    if (!fs.existsSync(absPath)) {
+      throw new Error(`Schema file not found: ${absPath}`);
+    }
+    const parsed = canonicalizeSchemaDocument(
+      await parseXml(fs.readFileSync(absPath, "utf-8")),
+      registry
+    );
+    const schema = parsed[`${XSD_PREFIX}schema`];
+    if (!schema) {
+      throw new Error(
+        `Invalid XSD schema: <xs:schema> tag not found in ${absPath}.`
+      );
+    }
+    const declared = schema["@_targetNamespace"];
+    if (
+      inheritedNamespace !== undefined &&
+      declared !== undefined &&
+      declared !== inheritedNamespace
+    ) {
+      throw new Error(
+        `Included schema ${absPath} has targetNamespace "${declared}" but is included from namespace "${inheritedNamespace}".`
+      );
+    }
+    return {
+      file: absPath,
+      schema,
+      // Chameleon include: a schema without targetNamespace adopts the includer's one.
+      targetNamespace: declared !== undefined ? declared : inheritedNamespace,
+    };
+  };
+
+  const visit = async (file, inheritedNamespace) => {
+    const doc = await loadDocument(file, inheritedNamespace);
+    const key = `${doc.file}|${doc.targetNamespace || ""}`;
+    if (visited.has(key)) return null;
+    visited.add(key);
+    documents.push(doc);
+    addComponents(doc.schema, doc);
+
+    for (const include of ensureArray(doc.schema[`${XSD_PREFIX}include`])) {
+      const target = resolveLocation(include, doc.file, catalog);
+      if (target) await visit(target, doc.targetNamespace);
+    }
+
+    for (const directive of ["redefine", "override"]) {
+      for (const node of ensureArray(doc.schema[`${XSD_PREFIX}${directive}`])) {
+        const target = resolveLocation(node, doc.file, catalog);
+        if (target) await visit(target, doc.targetNamespace);
+        applyRedefinitions(node, doc, directive === "redefine");
+      }
+    }
+
+    for (const imp of ensureArray(doc.schema[`${XSD_PREFIX}import`])) {
+      const target = resolveLocation(imp, doc.file, catalog);
+      if (!target) {
+        if (imp["@_schemaLocation"]) {
+          console.warn(
+            `⚠️  Cannot resolve import of "${imp["@_namespace"] || ""}" from ${imp["@_schemaLocation"]}; add it to the catalog to include its types.`
+          );
+        }
+        continue;
+      }
+      await visit(target);
+    }
+    return doc;
+  };
+
+  const entry = await visit(entryFile);
+  checkTypeNameCollisions(namespaces);
+
+  // Build a single <xs:schema> object holding every merged component.
+  const merged = {};
+  for (const [key, value] of Object.entries(entry.schema)) {
+    if (key.startsWith("@_")) merged[key] = value;
+  }
+  SCHEMA_COMPONENTS.forEach((kind) => {
+    const all = [];
+    namespaces.forEach((tables) => all.push(...tables[kind].values()));
+    if (all.length) merged[`${XSD_PREFIX}${kind}`] = all;
+  });
+
+  return {
+    schemaObj: attachNamespaceRegistry(
+      { [`${XSD_PREFIX}schema`]: merged },
+      registry
+    ),
+    namespaces,
+    documents,
+  };
+}
@@ -12,40 +12,234 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import { ensureArray } from "./utils.js";
-import { XSD_PREFIX } from "./constants.js";
-import { templateEnumClass, templateAliasClass } from "./codeTemplate.js";
+import { ensureArray, documentationOf } from "./utils.js";
+import { XSD_PREFIX, XSD_BUILTIN_TYPES } from "./constants.js";
+import {
+  templateEnumClass,
+  templateAliasClass,
+  templateListClass,
+  templateUnionClass,
+} from "./codeTemplate.js";
+import {
+  simpleTypeTypesOf,
+  templateEnumDeclaration,
+  templateAliasDeclaration,
+  templateListDeclaration,
+  templateUnionDeclaration,
+} from "./declarationTemplate.js";
+import { localName } from "./namespaces.js";
+
+/**
+ * Constraining facets read from an <xs:restriction>. Facets that may appear several
+ * times (pattern, enumeration) are collected into arrays.
+ */
+const FACETS = [
+  "length",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "enumeration",
+  "whiteSpace",
+  "minInclusive",
+  "maxInclusive",
+  "minExclusive",
+  "maxExclusive",
+  "totalDigits",
+  "fractionDigits",
+];
+const MULTI_VALUED_FACETS = new Set(["pattern", "enumeration"]);
+const NUMERIC_FACETS = new Set([
+  "length",
+  "minLength",
+  "maxLength",
+  "totalDigits",
+  "fractionDigits",
+]);
+
+/**
+ * Collects the constraining facets of a restriction into a plain object
+ * (e.g. `{ pattern: ["[A-Z]+"], maxLength: 8 }`) for the generated metadata.
+ * @param {object} restriction - An <xs:restriction> node.
+ * @returns {object}
+ */
+export function extractFacets(restriction) {
+  const facets = {};
+  if (!restriction) return facets;
+  FACETS.forEach((facet) => {
+    const nodes = ensureArray(restriction[`${XSD_PREFIX}${facet}`]);
+    if (!nodes.length) return;
+    const values = nodes.map((n) =>
+      NUMERIC_FACETS.has(facet) ? Number(n["@_value"]) : n["@_value"]
+    );
+    facets[facet] = MULTI_VALUED_FACETS.has(facet) ? values : values[0];
+  });
+  return facets;
+}
+
+/**
+ * Returns the class a restriction's wrapper extends: `SimpleType` when it restricts a
+ * built-in type, otherwise the generated class of the restricted simple type (so its
+ * facets and built-in behaviour are inherited).
+ * @param {string} base - Canonical QName of the restriction base.
+ * @returns {string}
+ */
+function parentClassOf(base) {
+  return !base || XSD_BUILTIN_TYPES[base] ? "SimpleType" : localName(base);
+}
+
+/**
+ * Returns the source expression naming a list item or union member type: the
+ * canonical QName string of a built-in type, otherwise its generated class.
+ * @param {string} type - Canonical QName of the type.
+ * @returns {string}
+ */
+function typeReference(type) {
+  return XSD_BUILTIN_TYPES[type] ? JSON.stringify(type) : localName(type);
+}
+
+/**
+ * Builds an anonymous simpleType nested in a list, union or restriction as a named
+ * type of its own, so the enclosing type can reference its class.
+ * @param {object} node - The inline <xs:simpleType> node.
+ * @param {string} typeName - Name given to the generated class.
+ * @param {object} config
+ * @returns {{typeName: string, typeDef: object, code: string, declaration: string, dependencies: Set<string>}|null}
+ */
+function buildInlineSimpleType(node, typeName, config) {
+  return buildSimpleTypeCode({ ...node, "@_name": typeName }, config);
+}
 
 /**
  * Builds the code for a single simpleType (enum, alias, list, or union).
+ * Anonymous simple types nested in it are emitted before it, in the same code block.
  * @param {object} typeDef - A simpleType definition from the parsed XSD.
- * @returns {{typeName: string, code: string}|null}
+ * @returns {{typeName: string, typeDef: object, code: string, declaration: string, dependencies: Set<string>}|null}
+ *   `typeDef` is the simpleType node (for the JSON Schema), `declaration` its TypeScript
+ *   declaration; `dependencies` holds the generated simple types this code extends, if
+ *   any.
  */
 export function buildSimpleTypeCode(typeDef, config = {}) {
   const typeName = typeDef["@_name"];
+  const documentation = documentationOf(typeDef);
   const restriction = typeDef[`${XSD_PREFIX}restriction`];
-  // Other simple type variations like union or list can be added here.
+  const list = typeDef[`${XSD_PREFIX}list`];
+  const union = typeDef[`${XSD_PREFIX}union`];
+  const nested = [];
+  const inline = (node, name) => {
+    const built = node && buildInlineSimpleType(node, name, config);
+    if (built) nested.push(built);
+    return built;
+  };
+  const withNested = (code, declaration, dependencies) => {
+    nested.forEach((n) => n.dependencies.forEach((d) => dependencies.add(d)));
+    nested.forEach((n) => dependencies.delete(n.typeName));
+    return {
+      typeName,
+      typeDef,
+      code: [...nested.map((n) => n.code), code].join("\n"),
+      declaration: [...nested.map((n) => n.declaration), declaration].join("\n"),
+      dependencies,
+    };
+  };
+
+  // Handle <xs:list itemType="..."> and lists of an anonymous item type
+  if (list) {
+    const item = list["@_itemType"]
+      ? typeReference(list["@_itemType"])
+      : inline(list[`${XSD_PREFIX}simpleType`], `${typeName}_Item`)?.typeName;
+    if (!item) return null;
+    const types = simpleTypeTypesOf({ typeName, itemType: item, config });
+    return withNested(
+      templateListClass({ typeName, itemType: item, types, documentation }),
+      templateListDeclaration({ typeName, itemType: item, config }),
+      new Set()
+    );
+  }
+
+  // Handle <xs:union memberTypes="...">, followed by its anonymous member types
+  if (union) {
+    const members = (union["@_memberTypes"] || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(typeReference);
+    ensureArray(union[`${XSD_PREFIX}simpleType`]).forEach((node, i) => {
+      const built = inline(node, `${typeName}_Member${i + 1}`);
+      if (built) members.push(built.typeName);
+    });
+    if (!members.length) return null;
+    const types = simpleTypeTypesOf({ typeName, memberTypes: members, config });
+    return withNested(
+      templateUnionClass({ typeName, memberTypes: members, types, documentation }),
+      templateUnionDeclaration({ typeName, memberTypes: members, config }),
+      new Set()
+    );
+  }
+
+  if (!restriction) return null;
+
+  // A restriction of an anonymous simpleType extends that type's generated class
+  const inlineBase =
+    !restriction["@_base"] &&
+    inline(restriction[`${XSD_PREFIX}simpleType`], `${typeName}_Base`);
+  const parentClass = inlineBase
+    ? inlineBase.typeName
+    : parentClassOf(restriction["@_base"]);
+  const dependencies = new Set(
+    parentClass === "SimpleType" ? [] : [parentClass]
+  );
 
   // Handle enums defined with <xs:restriction>
-  if (restriction && restriction[`${XSD_PREFIX}enumeration`]) {
-    const enums = ensureArray(restriction[`${XSD_PREFIX}enumeration`]);
-    const values = enums.map((e) => e["@_value"]);
+  if (restriction[`${XSD_PREFIX}enumeration`]) {
+    const { enumeration: values, ...facets } = extractFacets(restriction);
     const useAccessors = !!config["generate-accessors"];
     const notify = !!config["accessors-notification"];
+    const typing = {
+      typeName,
+      valuesArray: values,
+      xsdBase: restriction["@_base"],
+      parentClass,
+      config,
+    };
     const code = templateEnumClass({
       typeName,
       valuesArray: values,
       useAccessors,
       notify,
+      xsdBase: restriction["@_base"],
+      facets,
+      parentClass,
+      types: simpleTypeTypesOf(typing),
+      documentation,
+      valueDocs: ensureArray(restriction[`${XSD_PREFIX}enumeration`]).map(
+        documentationOf
+      ),
     });
-    return { typeName, code };
+    const declaration = templateEnumDeclaration(typing);
+    return withNested(code, declaration, dependencies);
   }
 
-  // Handle simple type aliases (e.g., type="xs:string")
-  if (restriction && restriction["@_base"]) {
-    const baseType = restriction["@_base"].replace(/^.*:/, "");
-    const code = templateAliasClass({ typeName, baseType });
-    return { typeName, code };
+  // Handle simple type aliases (e.g., type="xs:string"), keeping their facets
+  if (restriction["@_base"] || inlineBase) {
+    const baseType = inlineBase
+      ? inlineBase.typeName
+      : localName(restriction["@_base"]);
+    const typing = {
+      typeName,
+      xsdBase: restriction["@_base"],
+      parentClass,
+      config,
+    };
+    const code = templateAliasClass({
+      typeName,
+      baseType,
+      xsdBase: restriction["@_base"],
+      facets: extractFacets(restriction),
+      parentClass,
+      types: simpleTypeTypesOf(typing),
+      documentation,
+    });
+    const declaration = templateAliasDeclaration(typing);
+    return withNested(code, declaration, dependencies);
   }
 
   // Return null if it's an unhandled simpleType structure
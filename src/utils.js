@@ -12,6 +12,8 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import { XSD_PREFIX } from "./constants.js";
+
 /**
  * Ensures that the returned value is an array.
  * Useful for XML parsers that return a single object for one element
@@ -48,4 +50,34 @@ export function topologicalSort(classes) {
 
     classes.forEach(c => visit(c.className));
     return sorted;
-}
\ No newline at end of file
+}
+
+/**
+ * Returns the text of the <xs:annotation>/<xs:documentation> of a schema component,
+ * each documentation a paragraph, or undefined when there is none. Lines are trimmed
+ * and markup nested in the documentation (e.g. XHTML) contributes its text.
+ * @param {object} node - A parsed schema component.
+ * @returns {string|undefined}
+ */
+export function documentationOf(node) {
+    if (!node || typeof node !== "object") return undefined;
+    const textOf = (n) => {
+        if (typeof n !== "object") return String(n);
+        return Object.keys(n)
+            .filter((k) => !k.startsWith("@_") && k !== "#name")
+            .map((k) => ensureArray(n[k]).map(textOf).join(""))
+            .join("");
+    };
+    const paragraphs = ensureArray(node[`${XSD_PREFIX}annotation`])
+        .flatMap((a) => ensureArray(a[`${XSD_PREFIX}documentation`]))
+        .map((d) =>
+            textOf(d)
+                .split("\n")
+                .map((line) => line.trim())
+                .join("\n")
+                .replace(/\n{3,}/g, "\n\n")
+                .trim()
+        )
+        .filter(Boolean);
+    return paragraphs.length ? paragraphs.join("\n\n") : undefined;
+}
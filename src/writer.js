@@ -19,6 +19,29 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { topologicalSort } from "./utils.js";
+import { buildJsonSchema } from "./jsonSchema.js";
+
+// The import of xml2js in the Base.js template, and what replaces it with
+// --xml-backend dom.
+const XML2JS_IMPORT = /^import \{ parseStringPromise \} from "xml2js";$/m;
+const DOM_BUILD_XML2JS_STUB = `const parseStringPromise = () =>
+  Promise.reject(new Error("xml2js is not included in this runtime (--xml-backend dom)"));`;
+
+/**
+ * Orders simple types so a type restricting another generated simple type comes
+ * after the class it extends.
+ * @param {Array} generatedSimpleTypes - Array of generated simpleType objects.
+ * @returns {Array} The sorted simple types.
+ */
+function sortSimpleTypes(generatedSimpleTypes) {
+  return topologicalSort(
+    generatedSimpleTypes.map((st) => ({
+      ...st,
+      className: st.typeName,
+      dependencies: st.dependencies || new Set(),
+    }))
+  );
+}
 
 /**
  * Writes all generated code to a single output file.
@@ -26,21 +49,26 @@ import { topologicalSort } from "./utils.js";
  * @param {Array} generatedClasses - Array of generated class objects.
  * @param {Array} generatedSimpleTypes - Array of generated simpleType objects.
  * @param {string} baseJsPath - Path to the Base.js template file.
+ * @param {object} config - The configuration object.
  */
 function writeSingleFile(
   outputFile,
   generatedClasses,
   generatedSimpleTypes,
-  baseJsPath
+  baseJsPath,
+  config
 ) {
   const outputDir = path.dirname(outputFile);
   fs.mkdirSync(outputDir, { recursive: true });
 
-  const baseCode = fs.readFileSync(baseJsPath, "utf-8").replace(/export /g, "");
+  const baseCode = readBaseTemplate(baseJsPath, config).replace(
+    /^export /gm,
+    ""
+  );
   const sortedClasses = topologicalSort(generatedClasses);
 
-  const simpleTypesCode = generatedSimpleTypes
-    .map((t) => t.code.replace(/export /g, ""))
+  const simpleTypesCode = sortSimpleTypes(generatedSimpleTypes)
+    .map((t) => t.code.replace(/^export /gm, ""))
     .join("\n\n");
   const allClassCode = sortedClasses.map((c) => c.code).join("\n");
 
@@ -49,7 +77,7 @@ function writeSingleFile(
     baseCode,
     simpleTypesCode,
     allClassCode,
-    "export { Base }", // Add exports as needed
+    "export { Base, SimpleType, ListType, UnionType, ValidationError }", // Add exports as needed
   ].join("\n\n");
 
   fs.writeFileSync(outputFile, finalCode);
@@ -78,24 +106,25 @@ function writeMultipleFiles(
 
   // Write simple types to their own file
   if (generatedSimpleTypes.length > 0) {
-    const simpleTypeCode = generatedSimpleTypes
+    const simpleTypeCode = sortSimpleTypes(generatedSimpleTypes)
       .map((st) => st.code)
       .join("\n\n");
 
     // Add the import statement at the beginning
-    const finalSimpleTypeCode = `import { Base } from './Base.js';\n\n${simpleTypeCode}`;
+    const finalSimpleTypeCode = `import { SimpleType, ListType, UnionType } from './Base.js';\n\n${simpleTypeCode}`;
 
     fs.writeFileSync(
       path.join(outputDir, "simpleTypes.js"),
       finalSimpleTypeCode
     );
   }
-  generatedClasses.forEach(({ className, code, dependencies }) => {
+  generatedClasses.forEach(({ className, code, dependencies, declaration }) => {
     const simpleTypeDeps = new Set();
     const classDeps = new Set();
 
     dependencies.forEach((dep) => {
-      if (allTypeNames.has(dep)) {
+      // A recursive type refers to its own class, declared in the same module
+      if (allTypeNames.has(dep) && dep !== className) {
         // Check if it's a known type
         generatedSimpleTypes.some((st) => st.typeName === dep)
           ? simpleTypeDeps.add(dep)
@@ -114,11 +143,26 @@ function writeMultipleFiles(
           )} } from './simpleTypes.js';`
         : "";
 
+    // The JSDoc of the class names the data typedefs of the types it refers to
+    const typedefImports = typedefImportsOf(
+      declaration.dependencies,
+      new Set(generatedSimpleTypes.map((st) => st.typeName)),
+      allTypeNames
+    );
+
+    // The typedefs of Base.js the static getters of the class return
+    const runtimeTypedefs = code.includes("__getXSDChoices")
+      ? "XSDMeta, XSDChoices"
+      : "XSDMeta";
     const finalCode = [
       `import { Base } from './Base.js';`,
       simpleTypeImport,
       classImportStatements,
-      code.replace(`class ${className}`, `export class ${className}`),
+      `/** @import { ${runtimeTypedefs} } from './Base.js' */\n${typedefImports}`.trim(),
+      code.replace(
+        new RegExp(`^class ${className}\\b`, "m"),
+        `export class ${className}`
+      ),
     ]
       .filter(Boolean)
       .join("\n\n");
@@ -127,15 +171,197 @@ function writeMultipleFiles(
   });
 
   // Create an index.js for easy imports
+  fs.writeFileSync(
+    path.join(outputDir, "index.js"),
+    indexContent(generatedClasses, generatedSimpleTypes)
+  );
+}
+
+/**
+ * JSDoc `@import` tags bringing the `<Type>_Data` typedefs of generated types into a
+ * class module (they are not re-exported, unlike a local typedef).
+ * @param {Set<string>} dependencies - The generated types the class refers to.
+ * @param {Set<string>} simpleTypeNames - The generated simple types.
+ * @param {Set<string>} allTypeNames - Every generated type.
+ * @returns {string}
+ */
+function typedefImportsOf(dependencies, simpleTypeNames, allTypeNames) {
+  const known = Array.from(dependencies).filter((dep) => allTypeNames.has(dep));
+  const simpleTypes = known.filter((dep) => simpleTypeNames.has(dep));
+  return [
+    simpleTypes.length
+      ? `/** @import { ${simpleTypes
+          .map((dep) => `${dep}_Data`)
+          .join(", ")} } from './simpleTypes.js' */`
+      : "",
+    ...known
+      .filter((dep) => !simpleTypeNames.has(dep))
+      .map((dep) => `/** @import { ${dep}_Data } from './${dep}.js' */`),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Source of the index module re-exporting every generated module and the runtime
+ * classes (index.js, and index.d.ts for the declarations).
+ * @param {Array} generatedClasses - Array of generated class objects.
+ * @param {Array} generatedSimpleTypes - Array of generated simpleType objects.
+ * @returns {string}
+ */
+function indexContent(generatedClasses, generatedSimpleTypes) {
   const classExports = generatedClasses
     .map((c) => `export * from './${c.className}.js';`)
     .join("\n");
   const simpleTypeExport =
     generatedSimpleTypes.length > 0 ? `export * from './simpleTypes.js';` : "";
-  const indexContent = [classExports, simpleTypeExport]
+  const runtimeExport = `export { Base, SimpleType, ListType, UnionType, ValidationError } from './Base.js';`;
+  return [classExports, simpleTypeExport, runtimeExport]
     .filter(Boolean)
     .join("\n");
-  fs.writeFileSync(path.join(outputDir, "index.js"), indexContent);
+}
+
+/**
+ * Writes the TypeScript declarations of the generated code to a single file next to
+ * the output file (`out.js` gives `out.d.ts`). Like the JavaScript file, it only
+ * exports the runtime classes.
+ * @param {string} outputFile - Path to the JavaScript output file.
+ * @param {Array} generatedClasses - Array of generated class objects.
+ * @param {Array} generatedSimpleTypes - Array of generated simpleType objects.
+ * @param {string} baseDtsPath - Path to the declarations of the Base.js template.
+ */
+function writeSingleDeclarationFile(
+  outputFile,
+  generatedClasses,
+  generatedSimpleTypes,
+  baseDtsPath
+) {
+  const baseDeclarations = fs
+    .readFileSync(baseDtsPath, "utf-8")
+    .replace(/^export /gm, "");
+  const simpleTypeDeclarations = sortSimpleTypes(generatedSimpleTypes).map((t) =>
+    t.declaration.replace(/^export /gm, "")
+  );
+  const classDeclarations = topologicalSort(generatedClasses).map((c) =>
+    c.declaration.code.replace(/^export /gm, "")
+  );
+  const finalDeclarations = [
+    "// Auto-generated by XSD-to-ES6-Class generator",
+    baseDeclarations,
+    ...simpleTypeDeclarations,
+    ...classDeclarations,
+    "export { Base, SimpleType, ListType, UnionType, ValidationError };",
+  ].join("\n\n");
+
+  fs.writeFileSync(
+    outputFile.replace(/(\.[cm]?js)?$/, ".d.ts"),
+    finalDeclarations
+  );
+}
+
+/**
+ * Writes the TypeScript declarations of the generated code next to the files of
+ * writeMultipleFiles: Base.d.ts, simpleTypes.d.ts, one `<Class>.d.ts` per class and
+ * index.d.ts.
+ * @param {string} outputDir - Path to the output directory.
+ * @param {Array} generatedClasses - Array of generated class objects.
+ * @param {Array} generatedSimpleTypes - Array of generated simpleType objects.
+ * @param {string} baseDtsPath - Path to the declarations of the Base.js template.
+ */
+function writeDeclarationFiles(
+  outputDir,
+  generatedClasses,
+  generatedSimpleTypes,
+  baseDtsPath
+) {
+  fs.copyFileSync(baseDtsPath, path.join(outputDir, "Base.d.ts"));
+  const simpleTypeNames = new Set(generatedSimpleTypes.map((st) => st.typeName));
+  const classNames = new Set(generatedClasses.map((c) => c.className));
+
+  if (generatedSimpleTypes.length > 0) {
+    const simpleTypeDeclarations = sortSimpleTypes(generatedSimpleTypes)
+      .map((st) => st.declaration)
+      .join("\n");
+    fs.writeFileSync(
+      path.join(outputDir, "simpleTypes.d.ts"),
+      `import { SimpleType, ListType, UnionType } from './Base.js';\n\n${simpleTypeDeclarations}`
+    );
+  }
+
+  // Every generated type declares its class and the data it accepts (`<Type>_Data`)
+  generatedClasses.forEach(({ className, declaration }) => {
+    const dependenciesIn = (names) =>
+      Array.from(declaration.dependencies).filter((dep) => names.has(dep));
+    const simpleTypeImports = dependenciesIn(simpleTypeNames).flatMap((dep) => [
+      dep,
+      `${dep}_Data`,
+    ]);
+    const classImports = dependenciesIn(classNames).map(
+      (dep) => `import { ${dep}, ${dep}_Data } from './${dep}.js';`
+    );
+
+    const finalDeclarations = [
+      `import { Base } from './Base.js';`,
+      simpleTypeImports.length
+        ? `import { ${simpleTypeImports.join(", ")} } from './simpleTypes.js';`
+        : "",
+      classImports.join("\n"),
+      declaration.code,
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+    fs.writeFileSync(path.join(outputDir, `${className}.d.ts`), finalDeclarations);
+  });
+
+  fs.writeFileSync(
+    path.join(outputDir, "index.d.ts"),
+    indexContent(generatedClasses, generatedSimpleTypes)
+  );
+}
+
+/**
+ * Writes the JSON Schema of the objects toObject produces: `schema.json` in the output
+ * directory with `--multiple-files`, otherwise next to the output file (`out.js` gives
+ * `out.schema.json`).
+ * @param {Array} generatedClasses - Array of generated class objects.
+ * @param {Array} generatedSimpleTypes - Array of generated simpleType objects.
+ * @param {object} config - The configuration object.
+ */
+function writeJsonSchemaFile(generatedClasses, generatedSimpleTypes, config) {
+  const schemaFile = config.multipleFiles
+    ? path.join(config.output, "schema.json")
+    : config.output.replace(/(\.[cm]?js)?$/, ".schema.json");
+  fs.writeFileSync(
+    schemaFile,
+    JSON.stringify(
+      buildJsonSchema({ generatedClasses, generatedSimpleTypes }),
+      null,
+      2
+    )
+  );
+}
+
+/**
+ * Reads the Base.js template and fills in its generation-time settings.
+ * @param {string} baseJsPath - The path to the Base.js template file.
+ * @param {object} config - The configuration object.
+ * @returns {string} The Base.js source.
+ */
+function readBaseTemplate(baseJsPath, config) {
+  const xmlBackend = config["xml-backend"] || "xml2js";
+  // Values stay strings unless only-string was explicitly disabled
+  // (--no-only-string), in which case the runtime converts numbers and booleans.
+  const code = fs
+    .readFileSync(baseJsPath, "utf-8")
+    .replace(
+      /__ONLY_STRING__/g,
+      config["only-string"] === false ? "false" : "true"
+    )
+    .replace(/__XML_BACKEND__/g, xmlBackend);
+  // A runtime for browsers does not import xml2js (and the Node modules it needs)
+  return xmlBackend === "dom"
+    ? code.replace(XML2JS_IMPORT, DOM_BUILD_XML2JS_STUB)
+    : code;
 }
 
 /**
@@ -145,17 +371,10 @@ function writeMultipleFiles(
  * @param {object} config - The configuration object.
  */
 function writeBaseFile(outputDir, baseJsPath, config) {
-  let baseJsContent = fs.readFileSync(baseJsPath, "utf-8");
-
-  // Replace the placeholder with the actual boolean value from the config.
-  // If config['only-string'] is true, __ONLY_STRING__ becomes 'true',
-  // and parseAttributeValue becomes '!true' (i.e., false).
-  baseJsContent = baseJsContent.replace(
-    /__ONLY_STRING__/g,
-    config["only-string"]
+  fs.writeFileSync(
+    path.join(outputDir, "Base.js"),
+    readBaseTemplate(baseJsPath, config)
   );
-
-  fs.writeFileSync(path.join(outputDir, "Base.js"), baseJsContent);
 }
 
 /**
@@ -167,12 +386,20 @@ export function writeOutput({
   generatedSimpleTypes,
   config,
 }) {
+  // Simple type shapes the generator does not handle come back as null
+  generatedSimpleTypes = generatedSimpleTypes.filter(Boolean);
   const __filename = fileURLToPath(import.meta.url);
   const __dirname = path.dirname(__filename);
   // Use template/base.js as the source for Base.js
   const baseJsPath = config.base
     ? path.resolve(config.base)
     : path.resolve(__dirname, "../template/base.js");
+  // A custom Base.js may come with its own declarations (Base.d.ts next to it)
+  const customDtsPath = baseJsPath.replace(/\.[cm]?js$/, ".d.ts");
+  const baseDtsPath =
+    config.base && fs.existsSync(customDtsPath)
+      ? customDtsPath
+      : path.resolve(__dirname, "../template/base.d.ts");
 
   if (config.multipleFiles) {
     writeMultipleFiles(
@@ -181,15 +408,35 @@ export function writeOutput({
       generatedSimpleTypes,
       baseJsPath
     );
+    // Write the Base.js file with the correct configuration
+    writeBaseFile(config.output, baseJsPath, config);
+    if (config.declarations) {
+      writeDeclarationFiles(
+        config.output,
+        generatedClasses,
+        generatedSimpleTypes,
+        baseDtsPath
+      );
+    }
   } else {
+    // The single output file embeds the configured Base code
     writeSingleFile(
       config.output,
       generatedClasses,
       generatedSimpleTypes,
-      baseJsPath
+      baseJsPath,
+      config
     );
+    if (config.declarations) {
+      writeSingleDeclarationFile(
+        config.output,
+        generatedClasses,
+        generatedSimpleTypes,
+        baseDtsPath
+      );
+    }
+  }
+  if (config["json-schema"]) {
+    writeJsonSchemaFile(generatedClasses, generatedSimpleTypes, config);
   }
-
-  // Write the Base.js file with the correct configuration
-  writeBaseFile(config.output, baseJsPath, config);
 }
@@ -0,0 +1,102 @@
+// Copyright 2025 Remy Beraud
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { parseStringPromise } from "xml2js";
+
+/**
+ * xml2js options used everywhere an XML document is read by the generator.
+ * Children are kept explicit and ordered so the normalizer can rebuild both
+ * the grouped view and the raw document order.
+ */
+export const XML2JS_OPTIONS = {
+  explicitChildren: true,
+  preserveChildrenOrder: true,
+  explicitArray: false,
+  mergeAttrs: false,
+  charsAsChildren: true,
+  explicitRoot: true,
+};
+
+/**
+ * Converts xml2js explicitChildren output ({$, _, $$}) into the internal shape:
+ * attributes as `@_name`, text as `#text` and children grouped by element name.
+ * The raw children array, text children (`__text__`) included, is kept as a
+ * non-enumerable `__rawChildren` property.
+ *
+ * This is the canonical copy; `template/base.js` embeds the same function so the
+ * generated runtime stays self-contained.
+ *
+ * @param {object} node - A node produced by xml2js.
+ * @returns {object} The normalized node.
+ */
+export function normalizeXml2js(node) {
+  if (node === null || node === undefined) return node;
+  if (typeof node !== "object") return node;
+  const result = {};
+  if (node.$) {
+    for (const [k, v] of Object.entries(node.$)) result[`@_${k}`] = v;
+  }
+  if (node._ !== undefined && !Array.isArray(node.$$)) result["#text"] = node._;
+  if (Array.isArray(node.$$)) {
+    const hasElements = node.$$.some((c) => c["#name"] !== "__text__");
+    for (const child of node.$$) {
+      const name = child["#name"];
+      // Collapse explicit text children into '#text'. Whitespace between child
+      // elements only stays in the raw children (it matters in mixed content).
+      if (name === "__text__") {
+        if (child._ !== undefined && (!hasElements || child._.trim())) {
+          if (result["#text"] === undefined) result["#text"] = child._;
+          else result["#text"] = String(result["#text"]) + String(child._);
+        }
+        continue;
+      }
+      const copy = Object.assign({}, child);
+      delete copy["#name"];
+      const n = normalizeXml2js(copy);
+      if (name in result) {
+        if (!Array.isArray(result[name])) result[name] = [result[name]];
+        result[name].push(n);
+      } else result[name] = n;
+    }
+    try {
+      Object.defineProperty(result, "__rawChildren", {
+        value: node.$$,
+        enumerable: false,
+        writable: false,
+      });
+    } catch (e) {
+      // ignore if defineProperty fails in some environments
+    }
+  }
+  const other = Object.keys(node).filter(
+    (k) => k != "$" && k != "_" && k != "$$"
+  );
+  for (const k of other) {
+    const v = node[k];
+    if (Array.isArray(v)) result[k] = v.map(normalizeXml2js);
+    else if (typeof v === "object") result[k] = normalizeXml2js(v);
+    else result[k] = v;
+  }
+  return result;
+}
+
+/**
+ * Parses an XML string with xml2js and returns the normalized document.
+ * @param {string} xmlString - The XML content.
+ * @returns {Promise<object>} The normalized document, keyed by its root element name.
+ */
+export async function parseXml(xmlString) {
+  const raw = await parseStringPromise(xmlString, XML2JS_OPTIONS);
+  return normalizeXml2js(raw);
+}
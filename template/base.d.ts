@@ -0,0 +1,266 @@
+/**
+ * Type declarations of the runtime the generated classes extend (template/base.js).
+ * Written next to Base.js by the `--declarations` option; the declarations of the
+ * generated classes import them from './Base.js'.
+ */
+
+/** A problem reported by `validate()` or in a ValidationError. */
+export interface Violation {
+  path: string;
+  rule: string;
+  value: unknown;
+  expected: unknown;
+}
+
+/** Options of Base#toXML. */
+export interface ToXMLOptions {
+  /** Prefixes ("" for the default namespace) and URIs to declare on the root. */
+  namespaces?: Record<string, string>;
+  /** Whether values left to their schema default or fixed value are written. */
+  defaults?: "omit" | "materialize";
+  /** Whether missing required attributes and elements are reported first. */
+  required?: "ignore" | "strict" | "lenient";
+  /** Receives each missing attribute or element in "lenient" mode. */
+  onWarning?: (violation: Violation) => void;
+}
+
+/** Options of Base#toXMLChunks. */
+export interface ToXMLChunksOptions extends ToXMLOptions {
+  /** Minimum length of the chunks, in characters (default 16384). */
+  chunkSize?: number;
+}
+
+/** Options of Base#toXMLStream. */
+export interface ToXMLStreamOptions extends ToXMLChunksOptions {
+  /** Whether the stream is ended once the document is written (default true). */
+  end?: boolean;
+}
+
+/** The metadata of a property of a generated class (see `__getXSDMeta`). */
+export interface XSDPropertyMeta {
+  xmlName: string;
+  xsdType?: string;
+  isAttribute?: boolean;
+  isList?: boolean;
+  isAny?: boolean;
+  namespace?: string | null;
+  form?: string;
+  minOccurs?: number;
+  maxOccurs?: number | string;
+  position?: number;
+  choice?: string;
+  required?: boolean;
+  nillable?: boolean;
+  prohibited?: boolean;
+  default?: string;
+  fixed?: string;
+  abstract?: boolean;
+  substitutes?: Array<{ xmlName: string; namespace?: string | null; xsdType?: string }>;
+}
+
+/** What the static `__getXSDMeta` of a generated class returns, by property name. */
+export type XSDMeta = Record<string, XSDPropertyMeta>;
+
+/** What the static `__getXSDChoices` of a generated class returns, by group name. */
+export type XSDChoices = Record<
+  string,
+  { repeated: boolean; required: boolean; branches: string[][] }
+>;
+
+/** The parts of a Node Writable toXMLStream uses. */
+export interface XMLWritable {
+  write(chunk: string, callback?: (error?: Error | null) => void): boolean;
+  end(): unknown;
+  on(event: string, listener: (...args: any[]) => void): unknown;
+  once(event: string, listener: (...args: any[]) => void): unknown;
+  off(event: string, listener: (...args: any[]) => void): unknown;
+  /** The error the stream failed with, if any. */
+  readonly errored?: Error | null;
+  readonly destroyed?: boolean;
+  readonly writableFinished?: boolean;
+}
+
+/** Progress of Base.fromXMLStream and Base.iterateXML, reported after each chunk. */
+export interface StreamProgress {
+  /** Bytes read so far. */
+  bytes: number;
+  /** Size of the file read, or the `totalBytes` option. */
+  totalBytes?: number;
+  /** Children of the root element streamed so far. */
+  elements: number;
+}
+
+/** Options of Base.iterateXML. */
+export interface IterateXMLOptions {
+  /** Local names of the root's children to read (default: every repeated element). */
+  elements?: string | string[];
+  onProgress?: (progress: StreamProgress) => void;
+  totalBytes?: number;
+}
+
+/** Options of Base.fromXMLStream. */
+export interface FromXMLStreamOptions {
+  /** Local names of the root's children passed to `onElement` instead of being kept. */
+  elements?: string | string[];
+  onElement?: (instance: Base, name: string) => void | Promise<void>;
+  onProgress?: (progress: StreamProgress) => void;
+  totalBytes?: number;
+}
+
+/** A file path, a Node Readable or any async iterable of chunks. */
+export type XMLSource = string | AsyncIterable<string | Uint8Array>;
+
+/** Runtime options, see Base.configure. */
+/**
+ * A parser of XML text for fromXML: returns the tree xml2js builds with the options of
+ * fromXML (attributes in `$`, text in `_`, ordered children in `$$`).
+ */
+export interface XMLBackend {
+  parse(xmlString: string): object | Promise<object>;
+}
+
+export interface RuntimeOptions {
+  strict: boolean;
+  onlyString: boolean;
+  exclusiveChoices: boolean;
+  /** The parser of fromXML: "xml2js", "dom" (DOMParser) or a custom backend. */
+  xmlBackend: "xml2js" | "dom" | XMLBackend;
+  /** The DOMParser class of the "dom" backend when there is no global one. */
+  domParser?: new () => { parseFromString(text: string, type: string): any };
+}
+
+/** The change passed to subscribers when a generated setter runs. */
+export interface PropertyChangeEvent {
+  target: Base | SimpleType;
+  property: string;
+  oldValue: unknown;
+  newValue: unknown;
+}
+
+export type PropertyChangeListener =
+  | ((event: PropertyChangeEvent) => void)
+  | { onPropertyChange(event: PropertyChangeEvent): void };
+
+/** Reads xml2js output into the normalized node the generated constructors read. */
+export declare function normalizeXml2js(node: unknown): any;
+
+/** Base class of the generated complexType classes. */
+export declare class Base {
+  constructor(data?: object);
+
+  /** Reads an XML document into an instance of the calling class. */
+  static fromXML<T extends Base>(
+    this: new (data?: any) => T,
+    xmlString: string
+  ): Promise<T>;
+
+  /** Reads an XML document in chunks from a stream or a file. */
+  static fromXMLStream<T extends Base>(
+    this: new (data?: any) => T,
+    source: XMLSource,
+    options?: FromXMLStreamOptions
+  ): Promise<T>;
+
+  /** Reads the children of the root element one at a time from a stream or a file. */
+  static iterateXML(source: XMLSource, options?: IterateXMLOptions): AsyncGenerator<Base>;
+
+  /** Builds an instance of the class named by the node's xsi:type, or of this class. */
+  static _create<T extends Base>(this: new (data?: any) => T, data?: object): T;
+
+  /** Registers a generated class under its qualified type name, for xsi:type. */
+  static registerType(ctor: new (data?: any) => Base): void;
+
+  /** Finds a registered class by qualified type name (`{namespace}name`). */
+  static lookupType(name: string): (new (data?: any) => Base) | undefined;
+
+  static configure(options?: Partial<RuntimeOptions>): RuntimeOptions;
+
+  toXML(rootName?: string, indentLevel?: number, options?: ToXMLOptions): string;
+  toXML(rootName: string | undefined, options: ToXMLOptions): string;
+
+  toXMLChunks(rootName?: string, options?: ToXMLChunksOptions): AsyncGenerator<string, void>;
+  toXMLChunks(options: ToXMLChunksOptions): AsyncGenerator<string, void>;
+
+  toXMLStream(writable: XMLWritable, rootName?: string, options?: ToXMLStreamOptions): Promise<void>;
+  toXMLStream(writable: XMLWritable, options: ToXMLStreamOptions): Promise<void>;
+
+  toObject(): Record<string, unknown>;
+
+  validate(path?: string): Violation[];
+
+  activeChoice(property: string): string | undefined;
+  getChoiceItems(property: string): Array<Record<string, unknown>>;
+  setChoiceItems(property: string, items: Array<Record<string, unknown>>): void;
+
+  getMixedContent(): Array<string | Record<string, unknown>>;
+  setMixedContent(items: Array<string | Record<string, unknown>>): void;
+
+  subscribe(listener: PropertyChangeListener): symbol;
+  unsubscribe(token: symbol): boolean;
+
+  /** Called by generated setters: rejects a value breaking the schema (see configure). */
+  protected _assertValue(property: string, value: unknown): void;
+  /** Called by generated constructors and setters: the value of a built-in type. */
+  protected _parseValue(value: unknown, xsdType: string): any;
+  /** Called by the setters of choice branches (see `exclusiveChoices`). */
+  protected _selectChoice(property: string, value: unknown): void;
+  /** Called by constructors of substitution group heads: the element an item was read from. */
+  protected _substituteName(property: string, index: number): string | undefined;
+  /** Called by generated setters with `--accessors-notification`. */
+  protected _notifyPropertyChanged(property: string, oldValue: unknown, newValue: unknown): void;
+}
+
+/** Error thrown in strict mode, and by toXML with `required: "strict"`. */
+export declare class ValidationError extends Error {
+  constructor(violations: Violation[]);
+  violations: Violation[];
+}
+
+/** A generated simple type class, as the item or member type of a list or union. */
+export type SimpleTypeClass = (new (value?: any) => SimpleType) & {
+  parse(value: unknown): any;
+  format(value: unknown): string;
+  check(value: unknown, path?: string): Violation[];
+};
+
+/** Base class of the generated simpleType wrappers, holding a value of type T. */
+export declare class SimpleType<T = any> {
+  constructor(value?: T | string | SimpleType<T> | { "#text"?: string } | null);
+
+  static _create<S extends SimpleType>(
+    this: new (value?: any) => S,
+    value?: unknown
+  ): S;
+
+  static get facets(): Record<string, unknown>;
+  static get xsdBase(): string | undefined;
+  static parse(value: unknown): any;
+  static format(value: unknown): string;
+  static check(value: unknown, path?: string): Violation[];
+
+  get value(): T;
+  set value(v: T | string | SimpleType<T>);
+
+  validate(path?: string): Violation[];
+  valueOf(): T;
+  toString(): string;
+  toJSON(): unknown;
+
+  protected _value: T;
+  /** Called by the value setter: rejects an invalid value in strict mode. */
+  protected _assertValue(property: string, value: unknown): void;
+  /** Called by the setters of generated enumerations when a subclass defines it. */
+  protected _notifyPropertyChanged?(property: string, oldValue: unknown, newValue: unknown): void;
+}
+
+/** Base class of the generated xs:list types: the value is an array of items. */
+export declare class ListType<T = any> extends SimpleType<T[]> {
+  static get itemType(): string | SimpleTypeClass | undefined;
+}
+
+/** Base class of the generated xs:union types. */
+export declare class UnionType<T = any> extends SimpleType<T> {
+  static get memberTypes(): Array<string | SimpleTypeClass>;
+  static memberTypeOf(value: unknown): string | SimpleTypeClass | undefined;
+  get memberType(): string | SimpleTypeClass | undefined;
+}
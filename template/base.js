@@ -18,11 +18,13 @@ export function normalizeXml2js(node) {
   // '__text__' child element which later would be serialized as <__text__>.
   if (node._ !== undefined && !Array.isArray(node.$$)) result["#text"] = node._;
   if (Array.isArray(node.$$)) {
+    const hasElements = node.$$.some((c) => c["#name"] !== "__text__");
     for (const child of node.$$) {
       const name = child["#name"];
-      // Collapse explicit text children into '#text'
+      // Collapse explicit text children into '#text'. Whitespace between child
+      // elements only stays in the raw children (it matters in mixed content).
       if (name === "__text__") {
-        if (child._ !== undefined) {
+        if (child._ !== undefined && (!hasElements || child._.trim())) {
           if (result["#text"] === undefined) result["#text"] = child._;
           else result["#text"] = String(result["#text"]) + String(child._);
         }
@@ -36,12 +38,12 @@ export function normalizeXml2js(node) {
         result[name].push(n);
       } else result[name] = n;
     }
-    // Preserve the raw xml2js children array on the normalized object so generated
-    // constructors can access original raw nodes when needed (non-enumerable).
+    // Preserve the raw xml2js children array (text children included) on the
+    // normalized object so generated constructors can access original raw nodes and
+    // the order of mixed content when needed (non-enumerable).
     try {
-      const filtered = node.$$.filter((c) => c["#name"] !== "__text__");
       Object.defineProperty(result, "__rawChildren", {
-        value: filtered,
+        value: node.$$,
         enumerable: false,
         writable: false,
       });
@@ -66,7 +68,13 @@ export function normalizeXml2js(node) {
 function stringifyValue(v) {
   if (v === undefined || v === null) return v;
   if (typeof v === "string") return v;
-  if (typeof v === "number" || typeof v === "boolean") return String(v);
+  if (
+    typeof v === "number" ||
+    typeof v === "boolean" ||
+    typeof v === "bigint"
+  )
+    return String(v);
+  if (v instanceof SimpleType) return v.toString();
   // If it's a Base-derived instance with a `value` property prefer that.
   if (v && typeof v === "object" && "value" in v)
     return stringifyValue(v.value);
@@ -74,8 +82,37 @@ function stringifyValue(v) {
   return String(v);
 }
 
+/**
+ * The metadata of a property of a generated class (see `__getXSDMeta`).
+ * @typedef {{xmlName: string, xsdType?: string, isAttribute?: boolean, isList?: boolean, isAny?: boolean, namespace?: string|null, form?: string, minOccurs?: number, maxOccurs?: number|string, position?: number, choice?: string, required?: boolean, nillable?: boolean, prohibited?: boolean, default?: string, fixed?: string, abstract?: boolean, substitutes?: Array<{xmlName: string, namespace?: string|null, xsdType?: string}>}} XSDPropertyMeta
+ */
+
+/**
+ * What the static `__getXSDMeta` of a generated class returns: the metadata of the
+ * properties it declares, by property name.
+ * @typedef {Object<string, XSDPropertyMeta>} XSDMeta
+ */
+
+/**
+ * What the static `__getXSDChoices` of a generated class returns: its xs:choice groups
+ * by name, with the properties of each branch.
+ * @typedef {Object<string, {repeated: boolean, required: boolean, branches: Array<Array<string>>}>} XSDChoices
+ */
+
+/**
+ * A generated class, as the `this` of the static methods building its instances.
+ * @template {Base} T
+ * @typedef {(new (data?: any) => T) & Omit<typeof Base, "prototype">} BaseClass
+ */
+
+/**
+ * The parts of a Node Writable toXMLStream uses.
+ * @typedef {{write(chunk: string, callback?: (error?: Error|null) => void): boolean, end(): unknown, on(event: string, listener: (...args: any[]) => void): unknown, once(event: string, listener: (...args: any[]) => void): unknown, off(event: string, listener: (...args: any[]) => void): unknown, errored?: Error|null, destroyed?: boolean, writableFinished?: boolean}} XMLWritable
+ */
+
 // Merge XSD metadata from the class and its superclasses so attributes
-// declared on parent classes are visible for instances of subclasses.
+// declared on parent classes are visible for instances of subclasses. Attributes a
+// subclass prohibits (restriction with use="prohibited") are left out.
 function getMergedXSDMeta(ctor) {
   const metas = [];
   let c = ctor;
@@ -84,341 +121,2505 @@ function getMergedXSDMeta(ctor) {
     c = Object.getPrototypeOf(c);
     if (!c || c === Function.prototype) break;
   }
-  return Object.assign({}, ...metas);
+  const merged = Object.assign({}, ...metas);
+  for (const key of Object.keys(merged)) {
+    if (merged[key].prohibited) delete merged[key];
+  }
+  return merged;
+}
+
+// Merge the xs:choice groups of the class and its superclasses, by group name.
+function getMergedXSDChoices(ctor) {
+  const groups = [];
+  for (let c = ctor; c && c !== Function.prototype; c = Object.getPrototypeOf(c)) {
+    if (typeof c.__getXSDChoices === "function") groups.unshift(c.__getXSDChoices());
+  }
+  return Object.assign({}, ...groups);
+}
+
+// True when a property holds a value (an empty list counts as absent).
+function isSet(value) {
+  return (
+    value !== undefined &&
+    value !== null &&
+    !(Array.isArray(value) && value.length === 0)
+  );
+}
+
+// The local part of an element name.
+function localPart(name) {
+  return name.substring(name.indexOf(":") + 1);
+}
+
+// True for a raw xml2js text child holding only whitespace.
+function isBlankText(rawChild) {
+  return rawChild["#name"] === "__text__" && !String(rawChild._ ?? "").trim();
+}
+
+// The value stored for a property: the field behind a generated accessor, whose getter
+// may fall back to the schema default (or fixed) value when it is not set.
+function storedValue(node, key) {
+  const field = `_${key}`;
+  return field in node ? node[field] : node[key];
+}
+
+// The raw children of a normalized node that are elements.
+function rawElementChildren(node) {
+  return (node.__rawChildren || []).filter((c) => c["#name"] !== "__text__");
+}
+
+// The document order of the elements of a repeating choice group: the property name of
+// each element, in order (kept non-enumerable on the instance).
+function choiceOrderOf(node, group) {
+  if (!node.__choiceOrder) {
+    Object.defineProperty(node, "__choiceOrder", {
+      value: {},
+      enumerable: false,
+      writable: true,
+      configurable: true,
+    });
+  }
+  return (node.__choiceOrder[group] = node.__choiceOrder[group] || []);
+}
+
+// Record the order of the elements of repeating choices from the raw children of the
+// normalized node an instance is built from.
+function recordChoiceOrder(node, data) {
+  const raw = data && data.__rawChildren;
+  if (!raw) return;
+  const meta = getMergedXSDMeta(node.constructor);
+  const choices = getMergedXSDChoices(node.constructor);
+  const branchByName = {};
+  for (const [key, info] of Object.entries(meta)) {
+    const group = info.choice && choices[info.choice];
+    if (group && group.repeated) {
+      branchByName[localPart(info.xmlName || key)] = key;
+      (info.substitutes || []).forEach((m) => (branchByName[m.xmlName] = key));
+    }
+  }
+  if (!Object.keys(branchByName).length) return;
+  for (const child of raw) {
+    const key = branchByName[localPart(child["#name"] || "")];
+    if (key) choiceOrderOf(node, meta[key].choice).push(key);
+  }
+}
+
+// The items of the `keys` properties of a node as [property, item] pairs, following a
+// recorded order of property names first, then the items not covered by that order.
+// Text entries of the order ({ text }) give [null, text] pairs.
+function orderedItems(node, keys, order) {
+  const lists = {};
+  const next = {};
+  keys.forEach((k) => {
+    const value = storedValue(node, k);
+    lists[k] = isSet(value) ? [].concat(value) : [];
+    next[k] = 0;
+  });
+  const pairs = [];
+  order.forEach((entry) => {
+    if (typeof entry !== "string") pairs.push([null, entry.text]);
+    else if (lists[entry] && next[entry] < lists[entry].length) {
+      pairs.push([entry, lists[entry][next[entry]++]]);
+    }
+  });
+  keys.forEach((k) => {
+    while (next[k] < lists[k].length) pairs.push([k, lists[k][next[k]++]]);
+  });
+  return pairs;
+}
+
+// The elements of a repeating choice group as [property, item] pairs, in recorded
+// document order.
+function choiceSequence(node, group, meta) {
+  const branches = Object.keys(meta).filter((k) => meta[k].choice === group);
+  const order = (node.__choiceOrder && node.__choiceOrder[group]) || [];
+  return orderedItems(node, branches, order);
+}
+
+// The element properties of a class, in metadata order.
+function elementKeys(meta) {
+  return Object.keys(meta).filter(
+    (k) => !meta[k].isAttribute && meta[k].xmlName !== "#text"
+  );
+}
+
+// The merged metadata of a mixed-content class.
+function mixedMetaOf(ctor) {
+  if (!getXSDTypeInfo(ctor).mixed) {
+    throw new Error(`${ctor.name} does not have mixed content`);
+  }
+  return getMergedXSDMeta(ctor);
+}
+
+// Record the content of a mixed-content node (typeInfo `mixed`) built from a
+// normalized node: its text pieces ({ text }) and the property name of each child
+// element, in document order (kept non-enumerable on the instance).
+function recordMixedContent(node, data) {
+  if (!data || !getXSDTypeInfo(node.constructor).mixed) return;
+  const meta = getMergedXSDMeta(node.constructor);
+  const keyByName = {};
+  elementKeys(meta).forEach((k) => {
+    keyByName[localPart(meta[k].xmlName || k)] = k;
+    (meta[k].substitutes || []).forEach((m) => (keyByName[m.xmlName] = k));
+  });
+  let order = [];
+  if (data.__rawChildren) {
+    data.__rawChildren.forEach((child) => {
+      if (child["#name"] === "__text__") {
+        if (child._ !== undefined) order.push({ text: String(child._) });
+      } else if (keyByName[localPart(child["#name"] || "")]) {
+        order.push(keyByName[localPart(child["#name"])]);
+      }
+    });
+  } else if (typeof data["#text"] === "string") {
+    order = [{ text: data["#text"] }];
+  }
+  Object.defineProperty(node, "__mixedContent", {
+    value: order,
+    enumerable: false,
+    writable: true,
+    configurable: true,
+  });
+}
+
+// Gather the elements of a substitution group (the head and the members listed in the
+// metadata `substitutes`) under the property of the head, in document order, and
+// record the element name of each item (non-enumerable `__substitutes`) so the
+// generated constructor instantiates the class of each member.
+function collectSubstitutes(node, data) {
+  if (!data || typeof data !== "object") return;
+  const meta = getMergedXSDMeta(node.constructor);
+  for (const [key, info] of Object.entries(meta)) {
+    if (!info.substitutes) continue;
+    const names = [
+      localPart(info.xmlName || key),
+      ...info.substitutes.map((m) => m.xmlName),
+    ];
+    if (!names.slice(1).some((n) => isSet(data[n]))) continue;
+    const pools = {};
+    names.forEach((n) => (pools[n] = isSet(data[n]) ? [].concat(data[n]) : []));
+    const order = data.__rawChildren
+      ? rawElementChildren(data).map((c) => localPart(c["#name"] || ""))
+      : [];
+    const items = [];
+    const elementNames = [];
+    [...order, ...names.flatMap((n) => pools[n].map(() => n))].forEach((n) => {
+      if (pools[n] && pools[n].length) {
+        items.push(pools[n].shift());
+        elementNames.push(n);
+      }
+    });
+    data[key] = info.isList ? items : items[0];
+    if (!node.__substitutes) {
+      Object.defineProperty(node, "__substitutes", {
+        value: {},
+        enumerable: false,
+        writable: true,
+        configurable: true,
+      });
+    }
+    node.__substitutes[key] = elementNames;
+  }
+}
+
+// True for a normalized element node carrying xsi:nil="true".
+function isNilNode(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v) || v instanceof Base) {
+    return false;
+  }
+  const scope = v.__namespaceScope || {};
+  return Object.keys(v).some((k) => {
+    if (!k.startsWith("@_")) return false;
+    const [prefix, local] = k.substring(2).split(":");
+    const ns = scope[prefix] || (prefix === "xsi" ? XSI_NAMESPACE : undefined);
+    return (
+      local === "nil" &&
+      ns === XSI_NAMESPACE &&
+      ["true", "1"].includes(String(v[k]).trim())
+    );
+  });
+}
+
+// Replace the nil elements (xsi:nil="true") of the node an instance is built from with
+// null, which generated constructors keep apart from absent (undefined) elements.
+function collectNils(node, data) {
+  if (!data || typeof data !== "object") return;
+  for (const key of elementKeys(getMergedXSDMeta(node.constructor))) {
+    const value = data[key];
+    if (Array.isArray(value)) {
+      if (value.some(isNilNode)) {
+        data[key] = value.map((item) => (isNilNode(item) ? null : item));
+      }
+    } else if (isNilNode(value)) {
+      data[key] = null;
+    }
+  }
+}
+
+// The member of a substitution group an item of the head property `key` is written
+// as (undefined for the head itself): the element it was read from when its class
+// matches, else the first member whose type is the item's class.
+function substituteOf(node, key, info, item, index) {
+  const ofClass = (xsdType) =>
+    !!item && !!xsdType && localPart(xsdType) === item.constructor.name;
+  const recorded = node.__substitutes && node.__substitutes[key];
+  const name = recorded && recorded[index];
+  const member = info.substitutes.find((m) => m.xmlName === name);
+  if (member && (ofClass(member.xsdType) || !(item instanceof Base))) return member;
+  if (ofClass(info.xsdType)) return undefined;
+  return info.substitutes.find((m) => ofClass(m.xsdType)) || member;
+}
+
+// Report the items of an abstract head property that are not written as a member of
+// its substitution group.
+function validateSubstitutes(node, path) {
+  const violations = [];
+  const meta = getMergedXSDMeta(node.constructor);
+  for (const [key, info] of Object.entries(meta)) {
+    if (!info.abstract || !isSet(node[key])) continue;
+    [].concat(node[key]).forEach((item, i) => {
+      if (!substituteOf(node, key, info, item, i)) {
+        violations.push({
+          path: `${propertyPath(path, info, key)}${info.isList ? `[${i}]` : ""}`,
+          rule: "abstract",
+          value: item && item.constructor ? item.constructor.name : item,
+          expected: (info.substitutes || []).map((m) => m.xmlName),
+        });
+      }
+    });
+  }
+  return violations;
+}
+
+// Split the values of substitution group heads into one entry per item, carrying the
+// member it is written as: [key, item (or [item] for a list), member].
+function expandSubstitutes(node, meta, entries) {
+  const counters = {};
+  return entries.flatMap(([key, value]) => {
+    const info = key !== null && meta[key];
+    if (!info || !info.substitutes || !isSet(value)) return [[key, value]];
+    return [].concat(value).map((item) => {
+      const index = (counters[key] = (counters[key] ?? -1) + 1);
+      return [
+        key,
+        info.isList ? [item] : item,
+        substituteOf(node, key, info, item, index),
+      ];
+    });
+  });
+}
+
+// The properties of a node as [key, value] entries in serialization order: metadata
+// order, except that the elements of a repeating choice with a recorded document order
+// are written in that order (one single-item list per element). The children of a
+// mixed-content node follow its recorded content, text pieces giving [null, text].
+// Items of a substitution group head carry their member (see expandSubstitutes).
+function serializationEntries(node, meta) {
+  const entries = [];
+  if (getXSDTypeInfo(node.constructor).mixed) {
+    const keys = elementKeys(meta);
+    Object.keys(meta)
+      .filter((k) => !keys.includes(k))
+      .forEach((k) => entries.push([k, storedValue(node, k)]));
+    orderedItems(node, keys, node.__mixedContent || []).forEach(([k, item]) =>
+      entries.push(k === null ? [k, item] : [k, [item]])
+    );
+    return expandSubstitutes(node, meta, entries);
+  }
+  const written = new Set();
+  for (const key of Object.keys(meta)) {
+    const group = meta[key].choice;
+    if (!group || !(node.__choiceOrder && node.__choiceOrder[group])) {
+      entries.push([key, storedValue(node, key)]);
+    } else if (!written.has(group)) {
+      written.add(group);
+      choiceSequence(node, group, meta).forEach(([k, item]) =>
+        entries.push([k, [item]])
+      );
+    }
+  }
+  return expandSubstitutes(node, meta, entries);
+}
+
+// The choice group a branch property belongs to ({name, repeated, branches}).
+function choiceGroupOf(ctor, property) {
+  const info = getMergedXSDMeta(ctor)[property];
+  if (!info || !info.choice) {
+    throw new Error(`${ctor.name}.${property} is not part of an xs:choice`);
+  }
+  return { name: info.choice, ...getMergedXSDChoices(ctor)[info.choice] };
+}
+
+// Report the non-repeating choice groups of a node with more than one branch set.
+function validateChoices(node, path) {
+  const violations = [];
+  for (const group of Object.values(getMergedXSDChoices(node.constructor))) {
+    if (group.repeated) continue;
+    const set = group.branches.filter((branch) =>
+      branch.some((k) => isSet(storedValue(node, k)))
+    );
+    if (set.length > 1) {
+      violations.push({
+        path,
+        rule: "choice",
+        value: set
+          .map((branch) => branch.filter((k) => isSet(storedValue(node, k))))
+          .flat(),
+        expected: group.branches,
+      });
+    }
+  }
+  return violations;
+}
+
+// Class-level XSD information (type name, namespace, element name) of a generated class.
+function getXSDTypeInfo(ctor) {
+  return (
+    (ctor &&
+      typeof ctor.__getXSDTypeInfo === "function" &&
+      ctor.__getXSDTypeInfo()) ||
+    {}
+  );
+}
+
+const XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace";
+const XSI_NAMESPACE = "http://www.w3.org/2001/XMLSchema-instance";
+
+// Collect the `xmlns` declarations found on a normalized node.
+function namespaceDeclarationsOf(node) {
+  const declarations = {};
+  for (const k of Object.keys(node || {})) {
+    if (k === "@_xmlns") declarations[""] = node[k];
+    else if (k.startsWith("@_xmlns:")) declarations[k.substring(8)] = node[k];
+  }
+  return declarations;
+}
+
+// Rename elements and attributes whose prefix is bound to `targetNs` to their local
+// name, so generated constructors find prefixed input (e.g. <tns:Item>) by local name.
+// Each node keeps its in-scope declarations (non-enumerable `__namespaceScope`) for
+// the names of other namespaces (see localizeForeignNames).
+function localizeNames(node, scope, targetNs) {
+  if (!node || typeof node !== "object") return;
+  const inner = { ...scope, ...namespaceDeclarationsOf(node) };
+  Object.defineProperty(node, "__namespaceScope", {
+    value: inner,
+    enumerable: false,
+    configurable: true,
+  });
+  for (const k of Object.keys(node)) {
+    if (k.startsWith("#")) continue;
+    const isAttr = k.startsWith("@_");
+    const name = isAttr ? k.substring(2) : k;
+    const idx = name.indexOf(":");
+    let key = k;
+    if (idx > 0 && targetNs && inner[name.substring(0, idx)] === targetNs) {
+      const local = `${isAttr ? "@_" : ""}${name.substring(idx + 1)}`;
+      if (!(local in node)) {
+        node[local] = node[k];
+        delete node[k];
+        key = local;
+      }
+    }
+    if (!isAttr) {
+      for (const child of [].concat(node[key])) {
+        localizeNames(child, inner, targetNs);
+      }
+    }
+  }
+}
+
+// Give the properties of a class that are in another namespace (references to global
+// declarations, e.g. xml:lang or an imported element) their local name in the node an
+// instance is built from: "@_xml:lang" is copied to "@_lang" when the metadata
+// declares "@_lang" in the XML namespace.
+function localizeForeignNames(ctor, data) {
+  if (!data || typeof data !== "object") return;
+  const scope = data.__namespaceScope || {};
+  const wanted = new Set();
+  for (const info of Object.values(getMergedXSDMeta(ctor))) {
+    if (info.namespace) wanted.add(`${info.namespace} ${info.xmlName}`);
+    (info.substitutes || []).forEach((m) => {
+      if (m.namespace) wanted.add(`${m.namespace} ${m.xmlName}`);
+    });
+  }
+  if (!wanted.size) return;
+  for (const k of Object.keys(data)) {
+    const isAttr = k.startsWith("@_");
+    const name = isAttr ? k.substring(2) : k;
+    const idx = name.indexOf(":");
+    if (idx <= 0) continue;
+    const prefix = name.substring(0, idx);
+    const ns = prefix === "xml" ? XML_NAMESPACE : scope[prefix];
+    const local = `${isAttr ? "@_" : ""}${name.substring(idx + 1)}`;
+    if (ns && wanted.has(`${ns} ${local}`) && !(local in data)) {
+      data[local] = data[k];
+    }
+  }
+}
+
+// Generated classes by qualified type name ("{namespace}name", or the name alone for
+// types without a namespace), filled as their modules load (see Base.registerType).
+const typeRegistry = new Map();
+
+function typeKey(namespace, name) {
+  return namespace ? `{${namespace}}${name}` : name;
+}
+
+// The class an element is built with: the one named by the xsi:type attribute of its
+// normalized node (a QName resolved through the node's namespace scope), which must
+// derive from the declared class `ctor`, or `ctor` itself.
+function xsiTypeOf(ctor, data) {
+  if (!data || typeof data !== "object" || data instanceof Base) return ctor;
+  const scope = data.__namespaceScope || {};
+  const attr = Object.keys(data).find((k) => {
+    if (!k.startsWith("@_")) return false;
+    const [prefix, local] = k.substring(2).split(":");
+    const ns = scope[prefix] || (prefix === "xsi" ? XSI_NAMESPACE : undefined);
+    return local === "type" && ns === XSI_NAMESPACE;
+  });
+  if (!attr) return ctor;
+  const qname = String(data[attr]).trim();
+  const idx = qname.indexOf(":");
+  const name = qname.substring(idx + 1);
+  const namespace = idx > 0 ? scope[qname.substring(0, idx)] : scope[""];
+  // Without declarations (plain objects) the type is found by its local name
+  const found =
+    typeRegistry.get(typeKey(namespace, name)) ||
+    (namespace === undefined
+      ? [...typeRegistry.values()].find(
+          (c) => getXSDTypeInfo(c).typeName === name
+        )
+      : undefined);
+  if (!found) throw new Error(`Unknown xsi:type "${qname}" for ${ctor.name}`);
+  if (found !== ctor && !(found.prototype instanceof ctor)) {
+    throw new Error(`xsi:type "${qname}" does not derive from ${ctor.name}`);
+  }
+  return found;
+}
+
+// Track the namespace prefixes used by one serialization. Starts from the given
+// declarations (prefix -> URI, "" for the default namespace) and allocates new
+// prefixes for namespaces that have none.
+function createNamespaceContext(initial) {
+  const declarations = {};
+  for (const [prefix, uri] of Object.entries(initial || {})) {
+    if (uri !== undefined && uri !== null) declarations[prefix] = uri;
+  }
+  const findPrefix = (uri) =>
+    Object.keys(declarations).find((p) => p && declarations[p] === uri);
+  return {
+    declarations,
+    findPrefix,
+    prefixFor(uri) {
+      if (uri === XML_NAMESPACE) return "xml";
+      let prefix = findPrefix(uri);
+      if (prefix) return prefix;
+      prefix = uri === XSI_NAMESPACE ? "xsi" : undefined;
+      for (let i = 1; !prefix || prefix in declarations; i++) {
+        prefix = `ns${i}`;
+      }
+      declarations[prefix] = uri;
+      return prefix;
+    },
+    toAttributes(escape) {
+      return Object.entries(declarations).map(
+        ([prefix, uri]) =>
+          `${prefix ? `xmlns:${prefix}` : "xmlns"}="${escape(uri)}"`
+      );
+    },
+  };
+}
+
+// Runtime options shared by every generated class (see Base.configure).
+const runtimeOptions = {
+  // When true, generated setters throw a ValidationError for values that break the
+  // schema facets instead of accepting them silently.
+  strict: false,
+  // When true, values read from XML stay strings. Set at generation time from the
+  // `--only-string` option (the writer substitutes the placeholder below).
+  onlyString: /** @type {string} */ ("__ONLY_STRING__") !== "false",
+  // When true, setting a branch of an xs:choice clears the other branches.
+  exclusiveChoices: false,
+  // The parser fromXML uses: "xml2js", "dom" or a backend object (see xmlBackendOf).
+  // Set at generation time from the `--xml-backend` option.
+  xmlBackend: /** @type {string} */ ("__XML_BACKEND__") === "dom" ? "dom" : "xml2js",
+  // The DOMParser of the "dom" backend, for environments without a global one.
+  domParser: undefined,
+};
+
+// Options of xml2js.parseStringPromise for fromXML. Every backend builds the tree
+// xml2js builds with them, which normalizeXml2js turns into constructor data.
+const XML2JS_OPTIONS = {
+  explicitChildren: true,
+  preserveChildrenOrder: true,
+  explicitArray: false,
+  mergeAttrs: false,
+  charsAsChildren: true,
+  // Keep whitespace between elements in the raw children, for mixed content
+  includeWhiteChars: true,
+  explicitRoot: true,
+};
+
+// Namespaces of the element browsers put in the document DOMParser returns when the
+// text is not well-formed (Chromium and WebKit, inside the partial document, then
+// Firefox, as the root).
+const PARSER_ERROR_NAMESPACES = [
+  "http://www.w3.org/1999/xhtml",
+  "http://www.mozilla.org/newlayout/xml/parsererror.xml",
+];
+
+// The xml2js tree of a DOM element (see XML2JS_OPTIONS): attributes in `$`, the text
+// in `_` unless blank (CDATA excepted), the text pieces (`__text__`) and child elements
+// in document order in `$$`, and each child element also under its name.
+function xml2jsNodeOf(element) {
+  const node = /** @type {Object<string, *>} */ ({ _: "" });
+  for (let i = 0; i < element.attributes.length; i++) {
+    const { name, value } = element.attributes[i];
+    node.$ = node.$ || {};
+    node.$[name] = value;
+  }
+  node["#name"] = element.nodeName;
+  let cdata = false;
+  for (let i = 0; i < element.childNodes.length; i++) {
+    const child = element.childNodes[i];
+    if (child.nodeType === 3 || child.nodeType === 4) {
+      node._ += child.data;
+      node.$$ = node.$$ || [];
+      node.$$.push({ "#name": "__text__", _: child.data });
+      cdata = cdata || child.nodeType === 4;
+    } else if (child.nodeType === 1) {
+      let value = xml2jsNodeOf(child);
+      node.$$ = node.$$ || [];
+      node.$$.push({ ...value });
+      delete value["#name"];
+      if (Object.keys(value).length === 1 && "_" in value) value = value._;
+      const name = child.nodeName;
+      if (!(name in node)) node[name] = value;
+      else if (Array.isArray(node[name])) node[name].push(value);
+      else node[name] = [node[name], value];
+    }
+  }
+  if (/^\s*$/.test(node._) && !cdata) delete node._;
+  return node;
+}
+
+// Parsers of XML text for fromXML: `parse(xmlString)` returns (or resolves to) the
+// tree xml2js builds with XML2JS_OPTIONS.
+const XML_BACKENDS = {
+  xml2js: {
+    parse: (xmlString) => parseStringPromise(xmlString, XML2JS_OPTIONS),
+  },
+  // DOMParser, in browsers (or any DOM implementation set as `domParser`)
+  dom: {
+    parse(xmlString) {
+      const DOMParserImpl = runtimeOptions.domParser || globalThis.DOMParser;
+      if (!DOMParserImpl) {
+        throw new Error(
+          'The "dom" XML backend needs a DOMParser: set one with Base.configure({ domParser })'
+        );
+      }
+      let doc;
+      try {
+        doc = new DOMParserImpl().parseFromString(
+          xmlString.replace(/^\uFEFF/, ""),
+          "application/xml"
+        );
+      } catch (e) {
+        // DOM implementations for Node (xmldom) throw where browsers return a document
+        throw new Error(`Invalid XML: ${e.message}`);
+      }
+      const failure = Array.from(doc.getElementsByTagName("parsererror")).find(
+        (e) => PARSER_ERROR_NAMESPACES.includes(e.namespaceURI)
+      );
+      if (failure || !doc.documentElement) {
+        throw new Error(
+          `Invalid XML: ${failure ? failure.textContent.trim() : "no root element"}`
+        );
+      }
+      const root = doc.documentElement;
+      return { [root.nodeName]: xml2jsNodeOf(root) };
+    },
+  },
+};
+
+// The backend named by the xmlBackend option, or the backend object it holds.
+function xmlBackendOf(backend) {
+  if (backend && typeof backend.parse === "function") return backend;
+  if (!XML_BACKENDS[backend]) throw new Error(`Unknown XML backend: ${backend}`);
+  return XML_BACKENDS[backend];
+}
+
+const INTEGER_LEXICAL = /^[+-]?[0-9]+$/;
+const DECIMAL_LEXICAL = /^[+-]?([0-9]+(\.[0-9]*)?|\.[0-9]+)$/;
+const DOUBLE_LEXICAL = /^[+-]?([0-9]+(\.[0-9]*)?|\.[0-9]+)([Ee][+-]?[0-9]+)?$/;
+
+// Lexical <-> value conversions of the built-in types converted in typed mode.
+// `parse` returns the lexical string unchanged when it is not valid for the type,
+// so the value is never lost (validate() reports it).
+const BOOLEAN_CONVERSION = {
+  parse(lexical) {
+    const s = lexical.trim();
+    if (s === "true" || s === "1") return true;
+    if (s === "false" || s === "0") return false;
+    return lexical;
+  },
+  format: (v) => (v ? "true" : "false"),
+};
+const INTEGER_CONVERSION = {
+  // Integers beyond the safe range become BigInt so no digit is lost.
+  parse(lexical) {
+    const s = lexical.trim();
+    if (!INTEGER_LEXICAL.test(s)) return lexical;
+    const n = Number(s);
+    return Number.isSafeInteger(n) ? n : BigInt(s);
+  },
+  format: (v) =>
+    typeof v === "number" && Number.isInteger(v)
+      ? BigInt(v).toString()
+      : String(v),
+};
+// The canonical form of an xs:decimal lexical value: no "+", no leading or trailing
+// zeros, "0" for zero.
+function canonicalDecimal(lexical) {
+  const [intPart = "", fracPart = ""] = lexical.replace(/^[+-]/, "").split(".");
+  const integer = intPart.replace(/^0+/, "") || "0";
+  const fraction = fracPart.replace(/0+$/, "");
+  const digits = fraction ? `${integer}.${fraction}` : integer;
+  return lexical.startsWith("-") && digits !== "0" ? `-${digits}` : digits;
+}
+const DECIMAL_CONVERSION = {
+  // Decimals a number cannot hold exactly keep their canonical lexical form, so no
+  // digit is lost.
+  parse(lexical) {
+    const s = lexical.trim();
+    if (!DECIMAL_LEXICAL.test(s)) return lexical;
+    const n = Number(s);
+    const canonical = canonicalDecimal(s);
+    return DECIMAL_CONVERSION.format(n) === canonical ? n : canonical;
+  },
+  format(v) {
+    if (typeof v !== "number") return String(v);
+    if (Number.isInteger(v)) return BigInt(v).toString();
+    const s = String(v);
+    // Small values print with an exponent, which xs:decimal does not allow: the digits
+    // are moved behind the point instead
+    const exponent = /^(-?)([0-9])(?:\.([0-9]+))?e-([0-9]+)$/.exec(s);
+    if (!exponent) return s;
+    const [, sign, first, rest = "", power] = exponent;
+    return `${sign}0.${"0".repeat(Number(power) - 1)}${first}${rest}`;
+  },
+};
+const DOUBLE_CONVERSION = {
+  parse(lexical) {
+    const s = lexical.trim();
+    if (s === "INF" || s === "+INF") return Infinity;
+    if (s === "-INF") return -Infinity;
+    if (s === "NaN") return NaN;
+    return DOUBLE_LEXICAL.test(s) ? Number(s) : lexical;
+  },
+  format(v) {
+    if (typeof v !== "number") return String(v);
+    if (Number.isNaN(v)) return "NaN";
+    if (v === Infinity) return "INF";
+    if (v === -Infinity) return "-INF";
+    return Object.is(v, -0) ? "-0" : String(v);
+  },
+};
+// Lexical patterns of the built-in types (XSD regular expressions, see
+// xsdPatternToRegExp). Names use an ASCII approximation of the XML name characters.
+const TIMEZONE = "(Z|[+-][0-9]{2}:[0-9]{2})";
+const NCNAME = "[A-Za-z_][-.0-9A-Z_a-z\\u00B7\\u00C0-\\uFFFD]*";
+const NAME = "[A-Za-z_:][-.0-9:A-Z_a-z\\u00B7\\u00C0-\\uFFFD]*";
+const YEAR = "-?([1-9][0-9]{3,}|0[0-9]{3})";
+const TIME = "(([01][0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9](\\.[0-9]+)?|24:00:00(\\.0+)?)";
+const DATE = `${YEAR}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])`;
+const DURATION = "-?P(?=[0-9]|T[0-9])([0-9]+Y)?([0-9]+M)?([0-9]+D)?(T(?=[0-9])([0-9]+H)?([0-9]+M)?([0-9]+(\\.[0-9]+)?S)?)?";
+const DOUBLE = "[+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)([Ee][+-]?[0-9]+)?|[+-]?INF|NaN";
+const integerRange = (min, max) => {
+  const facets = { pattern: ["[+-]?[0-9]+"] };
+  if (min !== undefined) facets.minInclusive = min;
+  if (max !== undefined) facets.maxInclusive = max;
+  return facets;
+};
+
+// Built-in XSD datatypes (XML Schema 1.0 and 1.1): the type each one restricts, the
+// facets it adds, its whitespace handling and the conversion of its values. Facets
+// are checked along the whole `base` chain; `whiteSpace` and `conversion` are
+// inherited from the nearest ancestor defining them. The built-in list types name
+// their `itemType`. (The generator's copy of this hierarchy is XSD_BUILTIN_TYPES in
+// src/constants.js.)
+const XSD_BUILTINS = {
+  "xs:anyType": {},
+  "xs:anySimpleType": { base: "xs:anyType", whiteSpace: "preserve" },
+  "xs:anyAtomicType": { base: "xs:anySimpleType", whiteSpace: "collapse" },
+  "xs:string": { base: "xs:anyAtomicType", whiteSpace: "preserve" },
+  "xs:normalizedString": { base: "xs:string", whiteSpace: "replace" },
+  "xs:token": { base: "xs:normalizedString", whiteSpace: "collapse" },
+  "xs:language": {
+    base: "xs:token",
+    facets: { pattern: ["[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*"] },
+  },
+  "xs:NMTOKEN": {
+    base: "xs:token",
+    facets: { pattern: ["[-.0-9:A-Z_a-z\\u00B7\\u00C0-\\uFFFD]+"] },
+  },
+  "xs:NMTOKENS": {
+    base: "xs:anySimpleType",
+    itemType: "xs:NMTOKEN",
+    facets: { minLength: 1 },
+  },
+  "xs:Name": { base: "xs:token", facets: { pattern: [NAME] } },
+  "xs:NCName": { base: "xs:Name", facets: { pattern: [NCNAME] } },
+  "xs:ID": { base: "xs:NCName" },
+  "xs:IDREF": { base: "xs:NCName" },
+  "xs:IDREFS": {
+    base: "xs:anySimpleType",
+    itemType: "xs:IDREF",
+    facets: { minLength: 1 },
+  },
+  "xs:ENTITY": { base: "xs:NCName" },
+  "xs:ENTITIES": {
+    base: "xs:anySimpleType",
+    itemType: "xs:ENTITY",
+    facets: { minLength: 1 },
+  },
+  "xs:boolean": {
+    base: "xs:anyAtomicType",
+    conversion: BOOLEAN_CONVERSION,
+    facets: { pattern: ["true|false|1|0"] },
+  },
+  "xs:decimal": {
+    base: "xs:anyAtomicType",
+    conversion: DECIMAL_CONVERSION,
+    facets: { pattern: ["[+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)"] },
+  },
+  "xs:integer": {
+    base: "xs:decimal",
+    conversion: INTEGER_CONVERSION,
+    facets: integerRange(),
+  },
+  "xs:nonPositiveInteger": {
+    base: "xs:integer",
+    facets: integerRange(undefined, "0"),
+  },
+  "xs:negativeInteger": {
+    base: "xs:nonPositiveInteger",
+    facets: integerRange(undefined, "-1"),
+  },
+  "xs:long": {
+    base: "xs:integer",
+    facets: integerRange("-9223372036854775808", "9223372036854775807"),
+  },
+  "xs:int": {
+    base: "xs:long",
+    facets: integerRange("-2147483648", "2147483647"),
+  },
+  "xs:short": { base: "xs:int", facets: integerRange("-32768", "32767") },
+  "xs:byte": { base: "xs:short", facets: integerRange("-128", "127") },
+  "xs:nonNegativeInteger": {
+    base: "xs:integer",
+    facets: integerRange("0"),
+  },
+  "xs:unsignedLong": {
+    base: "xs:nonNegativeInteger",
+    facets: integerRange("0", "18446744073709551615"),
+  },
+  "xs:unsignedInt": {
+    base: "xs:unsignedLong",
+    facets: integerRange("0", "4294967295"),
+  },
+  "xs:unsignedShort": {
+    base: "xs:unsignedInt",
+    facets: integerRange("0", "65535"),
+  },
+  "xs:unsignedByte": {
+    base: "xs:unsignedShort",
+    facets: integerRange("0", "255"),
+  },
+  "xs:positiveInteger": {
+    base: "xs:nonNegativeInteger",
+    facets: integerRange("1"),
+  },
+  "xs:float": {
+    base: "xs:anyAtomicType",
+    conversion: DOUBLE_CONVERSION,
+    facets: { pattern: [DOUBLE] },
+  },
+  "xs:double": {
+    base: "xs:anyAtomicType",
+    conversion: DOUBLE_CONVERSION,
+    facets: { pattern: [DOUBLE] },
+  },
+  "xs:duration": { base: "xs:anyAtomicType", facets: { pattern: [DURATION] } },
+  "xs:dayTimeDuration": {
+    base: "xs:duration",
+    facets: { pattern: ["[^YM]*(T.*)?"] },
+  },
+  "xs:yearMonthDuration": {
+    base: "xs:duration",
+    facets: { pattern: ["[^DT]*"] },
+  },
+  "xs:dateTime": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: [`${DATE}T${TIME}${TIMEZONE}?`] },
+  },
+  "xs:dateTimeStamp": {
+    base: "xs:dateTime",
+    facets: { pattern: [`.*${TIMEZONE}`] },
+  },
+  "xs:time": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: [`${TIME}${TIMEZONE}?`] },
+  },
+  "xs:date": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: [`${DATE}${TIMEZONE}?`] },
+  },
+  "xs:gYearMonth": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: [`${YEAR}-(0[1-9]|1[0-2])${TIMEZONE}?`] },
+  },
+  "xs:gYear": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: [`${YEAR}${TIMEZONE}?`] },
+  },
+  "xs:gMonthDay": {
+    base: "xs:anyAtomicType",
+    facets: {
+      pattern: [`--(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])${TIMEZONE}?`],
+    },
+  },
+  "xs:gDay": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: [`---(0[1-9]|[12][0-9]|3[01])${TIMEZONE}?`] },
+  },
+  "xs:gMonth": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: [`--(0[1-9]|1[0-2])${TIMEZONE}?`] },
+  },
+  "xs:hexBinary": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: ["([0-9a-fA-F]{2})*"] },
+  },
+  "xs:base64Binary": {
+    base: "xs:anyAtomicType",
+    facets: {
+      pattern: [
+        "(([A-Za-z0-9+/] ?){4})*(([A-Za-z0-9+/] ?){3}[A-Za-z0-9+/]|([A-Za-z0-9+/] ?){2}[AEIMQUYcgkosw048] ?=|[A-Za-z0-9+/] ?[AQgw] ?= ?=)?",
+      ],
+    },
+  },
+  "xs:anyURI": { base: "xs:anyAtomicType" },
+  "xs:QName": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: [`(${NCNAME}:)?${NCNAME}`] },
+  },
+  "xs:NOTATION": {
+    base: "xs:anyAtomicType",
+    facets: { pattern: [`(${NCNAME}:)?${NCNAME}`] },
+  },
+};
+
+// The entries of a built-in type and of its ancestors, most derived first
+// (empty for types that are not built-in).
+function builtinChain(xsdType) {
+  const chain = [];
+  for (let t = xsdType; XSD_BUILTINS[t]; t = XSD_BUILTINS[t].base) {
+    chain.push(XSD_BUILTINS[t]);
+  }
+  return chain;
+}
+
+// A setting of a built-in type, inherited from the nearest ancestor defining it.
+function builtinSetting(xsdType, key) {
+  const entry = builtinChain(xsdType).find((e) => e[key] !== undefined);
+  return entry && entry[key];
+}
+
+// True when `xsdType` is the built-in type `ancestor` or derives from it.
+function derivesFromBuiltin(xsdType, ancestor) {
+  return builtinChain(xsdType).includes(XSD_BUILTINS[ancestor]);
+}
+
+// True for a normalized element node carrying only text (and attributes such as
+// namespace declarations), i.e. the XML form of a simple value.
+function isTextNode(v) {
+  return (
+    !!v &&
+    typeof v === "object" &&
+    !Array.isArray(v) &&
+    !(v instanceof Base) &&
+    !(v instanceof SimpleType) &&
+    Object.keys(v).every((k) => k === "#text" || k.startsWith("@_"))
+  );
+}
+
+// Convert a value read from XML (a lexical string or a text-only element node) to the
+// JavaScript value of its XSD type. Values that are already typed are kept.
+// Values of the built-in list types (xs:NMTOKENS...) become arrays of typed items.
+function parseLexical(value, xsdType) {
+  if (isTextNode(value)) value = value["#text"] !== undefined ? value["#text"] : "";
+  if (runtimeOptions.onlyString || typeof value !== "string") return value;
+  const itemType = builtinSetting(xsdType, "itemType");
+  if (itemType) {
+    return splitList(value).map((item) => parseLexical(item, itemType));
+  }
+  const conversion = builtinSetting(xsdType, "conversion");
+  return conversion ? conversion.parse(value) : value;
+}
+
+// Write a value in the canonical lexical form of its XSD type. A generated simple type
+// value is written by its own class.
+function formatLexical(value, xsdType) {
+  if (value === undefined || value === null) return value;
+  if (value instanceof SimpleType) return value.toString();
+  const itemType = builtinSetting(xsdType, "itemType");
+  if (itemType && Array.isArray(value)) {
+    return value.map((item) => formatLexical(item, itemType)).join(" ");
+  }
+  const conversion = builtinSetting(xsdType, "conversion");
+  if (conversion && typeof value !== "string" && typeof value !== "object") {
+    return conversion.format(value);
+  }
+  return stringifyValue(value);
+}
+
+// Split the lexical value of a list type into its items.
+function splitList(lexical) {
+  const collapsed = normalizeWhiteSpace(String(lexical), "collapse");
+  return collapsed ? collapsed.split(" ") : [];
+}
+
+// Compiled XSD patterns, keyed by their source.
+const patternCache = new Map();
+
+// Translate an XSD regular expression to an anchored RegExp. XSD patterns always match
+// the whole value and support the multi-character escapes \i and \c (XML name
+// characters), which JavaScript lacks. Returns null for patterns JavaScript cannot
+// express (e.g. character class subtraction), which are then not checked.
+function xsdPatternToRegExp(pattern) {
+  if (patternCache.has(pattern)) return patternCache.get(pattern);
+  const source = pattern
+    .replace(/\\i/g, "[A-Za-z_:]")
+    .replace(/\\I/g, "[^A-Za-z_:]")
+    .replace(/\\c/g, "[-.0-9:A-Z_a-z\\u00B7]")
+    .replace(/\\C/g, "[^-.0-9:A-Z_a-z\\u00B7]");
+  let regex = null;
+  for (const flags of ["u", ""]) {
+    try {
+      regex = new RegExp(`^(?:${source})$`, flags);
+      break;
+    } catch (e) {
+      // retry without the unicode flag, then give up on this pattern
+    }
+  }
+  patternCache.set(pattern, regex);
+  return regex;
+}
+
+// Apply the whiteSpace facet: xs:string preserves, xs:normalizedString replaces and
+// every other type collapses whitespace before the other facets are checked.
+// Without an explicit facet the mode is inherited from the built-in type.
+function normalizeWhiteSpace(lexical, mode, xsdBase) {
+  const effective =
+    mode || builtinSetting(xsdBase, "whiteSpace") || "collapse";
+  if (effective === "preserve") return lexical;
+  const replaced = lexical.replace(/[\t\n\r]/g, " ");
+  return effective === "replace"
+    ? replaced
+    : replaced.replace(/ +/g, " ").trim();
+}
+
+// Built-in types whose values are compared as numbers and as dates.
+const NUMERIC_BUILTINS = ["xs:decimal", "xs:float", "xs:double"];
+const DATE_BUILTINS = [
+  "xs:dateTime",
+  "xs:time",
+  "xs:date",
+  "xs:gYearMonth",
+  "xs:gYear",
+  "xs:gMonthDay",
+  "xs:gDay",
+  "xs:gMonth",
+];
+
+// How the values of a type are compared: "number", "date" or "string", and undefined
+// for types that are not built-in.
+function orderingOf(xsdType) {
+  if (!XSD_BUILTINS[xsdType]) return undefined;
+  if (NUMERIC_BUILTINS.some((t) => derivesFromBuiltin(xsdType, t))) return "number";
+  if (DATE_BUILTINS.some((t) => derivesFromBuiltin(xsdType, t))) return "date";
+  return "string";
+}
+
+// Compare two lexical values of `xsdType`: numerically for the numeric types (exactly
+// for integers), as dates for the date and time types, and as strings for the other
+// built-in types. Without a built-in type, numbers and dates are recognized by their
+// form.
+function compareLexical(a, b, xsdType) {
+  const ordering = orderingOf(xsdType);
+  if (ordering === "string") return a < b ? -1 : a > b ? 1 : 0;
+  if (ordering !== "date" && INTEGER_LEXICAL.test(a) && INTEGER_LEXICAL.test(b)) {
+    const diff = BigInt(a) - BigInt(b);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+  }
+  const toNumber = (s) =>
+    s === "INF" || s === "+INF" ? Infinity : s === "-INF" ? -Infinity : Number(s);
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (
+    ordering !== "date" &&
+    a !== "" &&
+    b !== "" &&
+    !Number.isNaN(na) &&
+    !Number.isNaN(nb)
+  ) {
+    return na === nb ? 0 : na - nb;
+  }
+  const da = Date.parse(a);
+  const db = Date.parse(b);
+  if (!Number.isNaN(da) && !Number.isNaN(db)) return da - db;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Count the significant digits of a decimal lexical value.
+function countDigits(lexical) {
+  const [intPart = "", fracPart = ""] = lexical.replace(/^[+-]/, "").split(".");
+  const integer = intPart.replace(/^0+/, "");
+  const fraction = fracPart.replace(/0+$/, "");
+  return { total: integer.length + fraction.length, fraction: fraction.length };
+}
+
+// Check a value against the constraining facets of one restriction step.
+// Returns a list of violations ({path, rule, value, expected}).
+function checkFacets(value, facets, xsdBase, path) {
+  const violations = [];
+  if (value === undefined || value === null || !facets) return violations;
+  const items = Array.isArray(value) ? value : null;
+  const itemType = builtinSetting(xsdBase, "itemType");
+  const raw = items
+    ? items.map((item) => formatLexical(item, itemType)).join(" ")
+    : formatLexical(value, xsdBase);
+  const lexical = normalizeWhiteSpace(String(raw), facets.whiteSpace, xsdBase);
+  const fail = (rule, expected) =>
+    violations.push({ path, rule, value, expected });
+
+  if (facets.enumeration && !facets.enumeration.includes(lexical)) {
+    fail("enumeration", facets.enumeration);
+  }
+  if (facets.pattern) {
+    const regexes = facets.pattern.map(xsdPatternToRegExp).filter(Boolean);
+    if (regexes.length && !regexes.some((r) => r.test(lexical))) {
+      fail("pattern", facets.pattern);
+    }
+  }
+  // Binary types measure their length in octets, list types in items
+  const length = items
+    ? items.length
+    : derivesFromBuiltin(xsdBase, "xs:hexBinary")
+    ? lexical.length / 2
+    : derivesFromBuiltin(xsdBase, "xs:base64Binary")
+    ? Math.floor((lexical.replace(/[ =]/g, "").length * 3) / 4)
+    : [...lexical].length;
+  if (facets.length !== undefined && length !== facets.length) {
+    fail("length", facets.length);
+  }
+  if (facets.minLength !== undefined && length < facets.minLength) {
+    fail("minLength", facets.minLength);
+  }
+  if (facets.maxLength !== undefined && length > facets.maxLength) {
+    fail("maxLength", facets.maxLength);
+  }
+  // A value not matching the pattern cannot be ordered or counted in digits
+  if (violations.some((v) => v.rule === "pattern")) return violations;
+  if (
+    facets.minInclusive !== undefined &&
+    compareLexical(lexical, facets.minInclusive, xsdBase) < 0
+  ) {
+    fail("minInclusive", facets.minInclusive);
+  }
+  if (
+    facets.maxInclusive !== undefined &&
+    compareLexical(lexical, facets.maxInclusive, xsdBase) > 0
+  ) {
+    fail("maxInclusive", facets.maxInclusive);
+  }
+  if (
+    facets.minExclusive !== undefined &&
+    compareLexical(lexical, facets.minExclusive, xsdBase) <= 0
+  ) {
+    fail("minExclusive", facets.minExclusive);
+  }
+  if (
+    facets.maxExclusive !== undefined &&
+    compareLexical(lexical, facets.maxExclusive, xsdBase) >= 0
+  ) {
+    fail("maxExclusive", facets.maxExclusive);
+  }
+  if (
+    facets.totalDigits !== undefined ||
+    facets.fractionDigits !== undefined
+  ) {
+    const digits = countDigits(lexical);
+    if (facets.totalDigits !== undefined && digits.total > facets.totalDigits) {
+      fail("totalDigits", facets.totalDigits);
+    }
+    if (
+      facets.fractionDigits !== undefined &&
+      digits.fraction > facets.fractionDigits
+    ) {
+      fail("fractionDigits", facets.fractionDigits);
+    }
+  }
+  return violations;
+}
+
+// Check a value against the facets of a built-in type and its ancestors (and, for
+// the built-in list types, each item against the item type).
+function checkBuiltin(value, xsdType, path) {
+  const violations = [];
+  if (value === undefined || value === null) return violations;
+  const itemType = builtinSetting(xsdType, "itemType");
+  if (itemType && typeof value === "string") value = splitList(value);
+  for (const entry of builtinChain(xsdType)) {
+    if (!entry.facets) continue;
+    const found = checkFacets(value, entry.facets, xsdType, path);
+    violations.push(...found);
+    // Outside the lexical space the facets of the ancestors say nothing more
+    if (found.some((v) => v.rule === "pattern")) break;
+  }
+  if (itemType && Array.isArray(value)) {
+    value.forEach((item, i) =>
+      violations.push(...checkBuiltin(item, itemType, `${path}[${i}]`))
+    );
+  }
+  return violations;
+}
+
+// Path segment of a property: `@Name` for attributes, the element name otherwise.
+// Text content is reported on the element's own path.
+function propertyPath(path, metaInfo, key) {
+  const xmlName = metaInfo.xmlName || key;
+  if (xmlName === "#text") return path;
+  if (metaInfo.isAttribute) {
+    return `${path}.@${xmlName.startsWith("@_") ? xmlName.substring(2) : xmlName}`;
+  }
+  return `${path}.${xmlName}`;
+}
+
+// Report a value (or list item) different from the `fixed` value of its property,
+// compared as values of the property's built-in type (see compareLexical) after its
+// whitespace normalization; values of other types must be the same string.
+function checkFixed(value, metaInfo, path) {
+  if (metaInfo.fixed === undefined || !isSet(value) || value instanceof Base) {
+    return [];
+  }
+  if (Array.isArray(value) && metaInfo.isList) {
+    return value.flatMap((item, i) =>
+      checkFixed(item, { ...metaInfo, isList: false }, `${path}[${i}]`)
+    );
+  }
+  const xsdType =
+    value instanceof SimpleType ? builtinTypeOf(value.constructor) : metaInfo.xsdType;
+  const normalize = (lexical) => normalizeWhiteSpace(String(lexical), undefined, xsdType);
+  const lexical = normalize(formatLexical(value, xsdType));
+  const fixed = normalize(metaInfo.fixed);
+  const same = orderingOf(xsdType)
+    ? compareLexical(lexical, fixed, xsdType) === 0
+    : lexical === fixed;
+  return same
+    ? []
+    : [{ path, rule: "fixed", value, expected: metaInfo.fixed }];
+}
+
+// Validate one property value (or list item) against its metadata. Null (nil) is only
+// valid for nillable elements.
+function validateValue(value, metaInfo, path, seen) {
+  if (value === null && !metaInfo.isAttribute && !metaInfo.nillable) {
+    return [{ path, rule: "nillable", value, expected: false }];
+  }
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value) && metaInfo.isList) {
+    return value.flatMap((item, i) =>
+      validateValue(item, { ...metaInfo, isList: false }, `${path}[${i}]`, seen)
+    );
+  }
+  if (value instanceof Base) return validateNode(value, path, seen);
+  const fixed = checkFixed(value, metaInfo, path);
+  if (value instanceof SimpleType) return [...fixed, ...value.validate(path)];
+  return [...fixed, ...checkBuiltin(value, metaInfo.xsdType, path)];
+}
+
+// Report a repeated element with more items than its maxOccurs (which a restriction
+// may narrow below the range of its base type). Nil items count as occurrences.
+function checkMaxOccurs(value, metaInfo, path) {
+  if (!metaInfo.isList || !Array.isArray(value)) return [];
+  if (typeof metaInfo.maxOccurs !== "number" || value.length <= metaInfo.maxOccurs) {
+    return [];
+  }
+  return [
+    { path, rule: "maxOccurs", value: value.length, expected: metaInfo.maxOccurs },
+  ];
+}
+
+// Walk the properties of a generated instance and collect facet and occurrence
+// violations.
+function validateNode(node, path, seen) {
+  if (seen.has(node)) return [];
+  seen.add(node);
+  const meta = getMergedXSDMeta(node.constructor);
+  const violations = [];
+  for (const key of Object.keys(meta)) {
+    const metaInfo = meta[key] || {};
+    const itemPath = propertyPath(path, metaInfo, key);
+    violations.push(...checkMaxOccurs(node[key], metaInfo, itemPath));
+    violations.push(...validateValue(node[key], metaInfo, itemPath, seen));
+  }
+  violations.push(...validateChoices(node, path));
+  violations.push(...validateSubstitutes(node, path));
+  return violations;
+}
+
+// Report the required attributes (use="required") and elements (minOccurs) missing
+// from an object graph, the elements repeated beyond their maxOccurs, and the required
+// choices with no branch set. A value left to
+// its default is not missing when `materializeDefaults` makes toXML write it.
+function missingRequired(node, path, materializeDefaults, seen) {
+  if (seen.has(node)) return [];
+  seen.add(node);
+  const violations = [];
+  for (const [key, info] of Object.entries(getMergedXSDMeta(node.constructor))) {
+    const value = storedValue(node, key);
+    const itemPath = propertyPath(path, info, key);
+    // A nil element (null) is present
+    const count =
+      value === null && info.nillable
+        ? 1
+        : !isSet(value)
+          ? 0
+          : info.isList
+            ? [].concat(value).length
+            : 1;
+    const hasDefault = (info.fixed ?? info.default) !== undefined;
+    if (info.required && !count && !(materializeDefaults && hasDefault)) {
+      violations.push({
+        path: itemPath,
+        rule: "required",
+        value,
+        expected: info.isAttribute ? "required" : info.minOccurs,
+      });
+    } else if (info.required && info.isList && count < info.minOccurs) {
+      violations.push({
+        path: itemPath,
+        rule: "minOccurs",
+        value: count,
+        expected: info.minOccurs,
+      });
+    }
+    violations.push(...checkMaxOccurs(value, info, itemPath));
+    if (!count) continue;
+    (info.isList ? [].concat(value) : [value]).forEach((item, i) => {
+      if (!(item instanceof Base)) return;
+      violations.push(
+        ...missingRequired(
+          item,
+          info.isList ? `${itemPath}[${i}]` : itemPath,
+          materializeDefaults,
+          seen
+        )
+      );
+    });
+  }
+  for (const group of Object.values(getMergedXSDChoices(node.constructor))) {
+    const set = group.branches.some((branch) =>
+      branch.some((k) => isSet(storedValue(node, k)))
+    );
+    if (group.required && !set) {
+      violations.push({
+        path,
+        rule: "required",
+        value: undefined,
+        expected: group.branches,
+      });
+    }
+  }
+  return violations;
+}
+
+// One line describing a violation, as in ValidationError messages.
+function describeViolation(v) {
+  return `${v.path}: value ${JSON.stringify(v.value)} violates ${
+    v.rule
+  } (expected ${JSON.stringify(v.expected)})`;
+}
+
+// The chunks of a piece of XML: a string, or a function returning the chunks of a
+// nested element.
+function* chunksOf(xml) {
+  if (typeof xml === "string") yield xml;
+  else yield* xml();
+}
+
+// The text the chunks make.
+function joinChunks(chunks) {
+  let xml = "";
+  for (const chunk of chunks) xml += chunk;
+  return xml;
+}
+
+// The chunks without the leading whitespace of the text they make.
+function* trimStartChunks(chunks) {
+  let started = false;
+  for (const chunk of chunks) {
+    const text = started ? chunk : chunk.trimStart();
+    started = started || text !== "";
+    if (text) yield text;
+  }
+}
+
+// Groups small chunks into strings of at least `size` characters (the last excepted).
+function* coalesceChunks(chunks, size) {
+  let buffer = "";
+  for (const chunk of chunks) {
+    buffer += chunk;
+    if (buffer.length >= size) {
+      yield buffer;
+      buffer = "";
+    }
+  }
+  if (buffer) yield buffer;
+}
+
+// Watches a Node Writable for the time it is written, so its failures (an error, or
+// closing before finishing) reject the write: `check()` throws the failure seen so far,
+// `until(event)` resolves on "drain" or "finish" and `settled(promise)` with the promise,
+// unless the stream fails first; `dispose()` removes the listeners.
+function watchWritable(writable) {
+  /** @type {(error: Error) => void} */
+  let fail;
+  const failed = new Promise((resolve, reject) => (fail = reject));
+  // Observed through `settled`
+  failed.catch(() => {});
+  let error = writable.errored || null;
+  const onError = (e) => {
+    error = error || e;
+    fail(e);
+  };
+  const onClose = () => {
+    if (!writable.writableFinished) {
+      onError(new Error("The stream closed before the XML was written"));
+    }
+  };
+  writable.on("error", onError);
+  writable.on("close", onClose);
+  if (error) fail(error);
+  else if (writable.destroyed) onClose();
+  return {
+    check() {
+      if (error) throw error;
+    },
+    settled(promise) {
+      return Promise.race([promise, failed]);
+    },
+    until(event) {
+      let listener;
+      const reached = new Promise((resolve) => {
+        listener = resolve;
+        writable.once(event, listener);
+      });
+      return this.settled(reached).finally(() => writable.off(event, listener));
+    },
+    dispose() {
+      writable.off("error", onError);
+      writable.off("close", onClose);
+    },
+  };
+}
+
+// Serializes `instance` as the XML document toXML returns (see toXML for `rootName`,
+// `indentLevel` and `options`). `toString()` builds it in one string; `chunks()` yields
+// it piece by piece, building each nested element only when it is written.
+function createXMLSerializer(instance, rootName, indentLevel, options) {
+  const defaults = options.defaults || "omit";
+  if (defaults !== "omit" && defaults !== "materialize") {
+    throw new Error(`Unknown defaults option: ${defaults}`);
+  }
+  const materializeDefaults = defaults === "materialize";
+  const typeInfo = getXSDTypeInfo(instance.constructor);
+  const rootElement = rootName || typeInfo.elementName || instance.constructor.name;
+  const required = options.required || "ignore";
+  if (!["ignore", "strict", "lenient"].includes(required)) {
+    throw new Error(`Unknown required option: ${required}`);
+  }
+  if (required !== "ignore") {
+    const missing = missingRequired(
+      instance,
+      rootElement,
+      materializeDefaults,
+      new Set()
+    );
+    if (required === "strict" && missing.length) {
+      throw new ValidationError(missing);
+    }
+    const warn =
+      options.onWarning || ((v) => console.warn(describeViolation(v)));
+    missing.forEach((v) => warn(v));
+  }
+  const namespaces = createNamespaceContext({
+    ...instance.__namespaceDeclarations,
+    ...options.namespaces,
+  });
+  const rootNs = typeInfo.namespace;
+  if (
+    rootNs &&
+    namespaces.declarations[""] === undefined &&
+    !namespaces.findPrefix(rootNs)
+  ) {
+    namespaces.declarations[""] = rootNs;
+  }
+
+  // Resolve the tag of an element in namespace `ns` (null: unqualified, undefined:
+  // unknown) given the default namespace in scope. An unqualified element below a
+  // default namespace undeclares it with xmlns="".
+  const qualifyElement = (name, ns, defaultNs) => {
+    if (ns === undefined || (!ns && !defaultNs)) {
+      return { tag: name, xmlnsAttr: "", innerDefault: defaultNs };
+    }
+    if (!ns) return { tag: name, xmlnsAttr: 'xmlns=""', innerDefault: "" };
+    if (ns === defaultNs) {
+      return { tag: name, xmlnsAttr: "", innerDefault: defaultNs };
+    }
+    return {
+      tag: `${namespaces.prefixFor(ns)}:${name}`,
+      xmlnsAttr: "",
+      innerDefault: defaultNs,
+    };
+  };
+  // Attributes never use the default namespace: qualify them only when namespaced.
+  const qualifyAttribute = (name, ns) =>
+    ns ? `${namespaces.prefixFor(ns)}:${name}` : name;
+
+  // An element explicitly nil (its property or list item is null).
+  const nilElement = (name, level, ns, defaultNs) => {
+    const { tag, xmlnsAttr } = qualifyElement(name, ns, defaultNs);
+    const attrs = [xmlnsAttr, `${qualifyAttribute("nil", XSI_NAMESPACE)}="true"`]
+      .filter(Boolean)
+      .join(" ");
+    return `${"    ".repeat(level)}<${tag} ${attrs}></${tag}>`;
+  };
+
+  // "string": nested elements are built in their parent's string; "dry": they are
+  // only run, so namespace prefixes are allocated; "stream": they are yielded lazily.
+  let mode = "string";
+
+  // The XML of a nested element from the function returning its chunks: a string, or
+  // the function itself when streaming, so the element is only built when written
+  // (after the opening tag of its parent). The dry pass only runs it.
+  const nestedXML = (chunks) => {
+    if (mode === "stream") return chunks;
+    let xml = "";
+    for (const chunk of chunks()) {
+      if (mode === "string") xml += chunk;
+    }
+    return xml;
+  };
+
+  // Yields the XML of an element in document order.
+  // `declaredType` is the type the schema declares for the element: an instance of
+  // another (derived) class is written with its xsi:type.
+  function* generateXML(
+    node,
+    nodeName,
+    level,
+    ns,
+    defaultNs,
+    isRoot,
+    declaredType
+  ) {
+    if (node === undefined || node === null) return;
+    const { tag, xmlnsAttr, innerDefault } = qualifyElement(
+      nodeName,
+      ns,
+      defaultNs
+    );
+    const indent = "    ".repeat(level); // 4 spaces per indentation level
+
+    if (typeof node !== "object") {
+      yield `${indent}<${tag}${
+        xmlnsAttr ? " " + xmlnsAttr : ""
+      }>${escapeXML(node)}</${tag}>`;
+      return;
+    }
+
+    // Helper: detect a "normalized" xml2js node (the shape produced by normalizeXml2js)
+    function looksLikeNormalizedNode(v) {
+      if (!v || typeof v !== "object") return false;
+      // common markers: attribute keys starting with '@_' or '#text' or nested element keys
+      return Object.keys(v).some(
+        (k) => k.startsWith("@_") || k === "#text" || typeof v[k] === "object"
+      );
+    }
+
+    // Helper: build attributes string and children inner XML from a normalized node
+    function buildAttributesAndChildren(normNode, lvl) {
+      const attrParts = [];
+      let text = undefined;
+      const childLines = [];
+      for (const k of Object.keys(normNode)) {
+        if (k.startsWith("@_")) {
+          attrParts.push(
+            `${k.substring(2)}=\"${escapeXML(String(normNode[k]))}\"`
+          );
+        } else if (k === "#text") {
+          text = stringifyValue(normNode[k]);
+        } else {
+          const val = normNode[k];
+          if (Array.isArray(val)) {
+            val.forEach((item) => {
+              if (item === undefined || item === null) return;
+              if (typeof item === "object") {
+                // recursively build child
+                const child = joinChunks(generateXML(item, k, lvl));
+                childLines.push(child);
+              } else {
+                childLines.push(
+                  `${"    ".repeat(lvl)}<${k}>${escapeXML(
+                    String(item)
+                  )}</${k}>`
+                );
+              }
+            });
+          } else {
+            if (typeof val === "object") {
+              childLines.push(joinChunks(generateXML(val, k, lvl)));
+            } else {
+              childLines.push(
+                `${"    ".repeat(lvl)}<${k}>${escapeXML(String(val))}</${k}>`
+              );
+            }
+          }
+        }
+      }
+      return {
+        attrs: attrParts.join(" "),
+        text,
+        childrenXml: childLines.join("\n"),
+      };
+    }
+
+    // Helper: serialize a raw xml2js child node (the shape produced when explicitChildren=true)
+    function rawXml2jsNodeToXML(rawNode, forcedName, lvl) {
+      const nm = forcedName || rawNode["#name"];
+      const ind = "    ".repeat(lvl);
+      if (!nm) return "";
+      // If xml2js produced a text child node named '__text__', emit its
+      // text content directly instead of creating a <__text__> element.
+      if (nm === "__text__") {
+        if (rawNode._ !== undefined)
+          return ind + escapeXML(String(rawNode._));
+        // If there are nested children, flatten them (rare) and return concatenated text/html
+        if (Array.isArray(rawNode.$$)) {
+          return rawNode.$$.map((c) =>
+            rawXml2jsNodeToXML(c, c["#name"], lvl)
+          ).join("\n");
+        }
+        return "";
+      }
+      const parts = [];
+      // attributes
+      if (rawNode.$) {
+        const attrPairs = Object.entries(rawNode.$).map(
+          ([k, v]) => `${k}=\"${escapeXML(String(v))}\"`
+        );
+        parts.push(
+          `${ind}<${nm}${attrPairs.length ? " " + attrPairs.join(" ") : ""}>`
+        );
+      } else {
+        parts.push(`${ind}<${nm}>`);
+      }
+      // text
+      if (rawNode._ !== undefined) {
+        parts.push(escapeXML(String(rawNode._)));
+      }
+      // children
+      if (Array.isArray(rawNode.$$)) {
+        for (const c of rawNode.$$) {
+          if (isBlankText(c)) continue;
+          parts.push(rawXml2jsNodeToXML(c, c["#name"], lvl + 1));
+        }
+      }
+      parts.push(`${ind}</${nm}>`);
+      return parts.join("\n");
+    }
+
+    // If this is a plain normalized xml2js node (not a Base instance),
+    // serialize it directly so nested children are preserved.
+    if (
+      !(node instanceof Base) &&
+      (node.__rawChildren ||
+        Object.keys(node).some((k) => k.startsWith("@_") || k === "#text"))
+    ) {
+      // Use buildAttributesAndChildren to produce attributes/text and children
+      const built = buildAttributesAndChildren(node, level + 1);
+      const attrs = [xmlnsAttr, built.attrs].filter(Boolean).join(" ");
+      const opening = `${indent}<${tag}${attrs ? " " + attrs : ""}>`;
+      // If raw children are available prefer serializing them to preserve namespaces and order
+      const rawElements = rawElementChildren(node);
+      if (rawElements.length) {
+        const childLines = rawElements.map((rc) =>
+          rawXml2jsNodeToXML(rc, rc["#name"], level + 1)
+        );
+        yield childLines.length
+          ? `${opening}\n${childLines.join("\n")}\n${indent}</${tag}>`
+          : `${opening}</${tag}>`;
+      } else if (built.childrenXml) {
+        yield `${opening}\n${built.childrenXml}\n${indent}</${tag}>`;
+      } else if (built.text !== undefined) {
+        yield `${opening}${escapeXML(built.text)}</${tag}>`;
+      } else {
+        yield `${opening}</${tag}>`;
+      }
+      return;
+    }
+
+    const attributes = xmlnsAttr ? [xmlnsAttr] : [];
+    const nodeInfo = getXSDTypeInfo(node.constructor);
+    if (
+      declaredType &&
+      nodeInfo.typeName &&
+      localPart(declaredType) !== nodeInfo.typeName
+    ) {
+      const typeNs = nodeInfo.namespace;
+      const typeName =
+        typeNs && typeNs !== innerDefault
+          ? `${namespaces.prefixFor(typeNs)}:${nodeInfo.typeName}`
+          : nodeInfo.typeName;
+      attributes.push(
+        `${namespaces.prefixFor(XSI_NAMESPACE)}:type="${escapeXML(typeName)}"`
+      );
+    }
+    let textContent = "";
+    const children = [];
+    // Mixed content is written inline: indentation would add text to the content
+    const mixed = !!getXSDTypeInfo(node.constructor).mixed;
+
+    // Retrieve merged metadata for the class (includes superclasses)
+    const meta = getMergedXSDMeta(node.constructor) || {};
+
+    // Iterate over metadata keys, not instance fields, to support accessor-backed properties.
+    // Children are written in content-model order (the metadata order, base type
+    // elements first); for an xs:all content model
+    // (contentModel "all" in the type info) any order is valid and this one is stable.
+    // Elements of a repeating choice read from XML keep their document order.
+    // Members of a substitution group are written with their own element name.
+    for (const [key, entry, member] of serializationEntries(node, meta)) {
+      if (key === null) {
+        // A text piece of mixed content
+        children.push(escapeXML(entry));
+        continue;
+      }
+      // Values left to their schema default (or fixed) value are written on request
+      const value =
+        entry !== undefined || !materializeDefaults || meta[key].isList
+          ? entry
+          : (meta[key].fixed ?? meta[key].default);
+      if (value === undefined) continue;
+
+      const metaInfo = member
+        ? {
+            ...meta[key],
+            xmlName: member.xmlName,
+            namespace: member.namespace,
+            xsdType: member.xsdType,
+          }
+        : meta[key] || {};
+      const firstChild = children.length;
+      const xmlName = metaInfo.xmlName || key;
+
+      if (value === null) {
+        // Null is written as a nil element when the element is nillable
+        if (metaInfo.nillable && !metaInfo.isAttribute) {
+          children.push(
+            nilElement(xmlName, level + 1, metaInfo.namespace, innerDefault)
+          );
+        }
+        continue;
+      }
+
+      if (metaInfo.isAttribute) {
+        // Handle attributes
+        const attrName = qualifyAttribute(
+          xmlName.startsWith("@_") ? xmlName.substring(2) : xmlName,
+          metaInfo.namespace
+        );
+        // The text of an element holding a simple value (`--text-attribute-name`)
+        const text =
+          value instanceof Base ? /** @type {{value?: *}} */ (value).value : undefined;
+        const attrValue = text !== undefined ? text : value;
+        attributes.push(
+          `${attrName}="${escapeXML(
+            formatLexical(attrValue, metaInfo.xsdType)
+          )}"`
+        );
+      } else if (xmlName === "#text") {
+        // Handle text content
+        textContent = formatLexical(value, metaInfo.xsdType);
+      } else if (
+        Array.isArray(value) &&
+        (metaInfo.isList || !builtinSetting(metaInfo.xsdType, "itemType"))
+      ) {
+        // Handle arrays (recursively process each item). The value of a single
+        // element of a built-in list type (xs:NMTOKENS...) is written as one element.
+        value.forEach((item) => {
+          if (item === null) {
+            if (metaInfo.nillable) {
+              children.push(
+                nilElement(xmlName, level + 1, metaInfo.namespace, innerDefault)
+              );
+            }
+            return;
+          }
+          children.push(
+            nestedXML(() =>
+              generateXML(
+                typeof item !== "object" ||
+                  Array.isArray(item) ||
+                  item instanceof SimpleType
+                  ? formatLexical(item, metaInfo.xsdType)
+                  : item,
+                xmlName,
+                level + 1,
+                metaInfo.namespace,
+                innerDefault,
+                false,
+                metaInfo.xsdType
+              )
+            )
+          );
+        });
+      } else if (value instanceof Base) {
+        // Handle nested objects (recursively process)
+        children.push(
+          nestedXML(() =>
+            generateXML(
+              value,
+              xmlName,
+              level + 1,
+              metaInfo.namespace,
+              innerDefault,
+              false,
+              metaInfo.xsdType
+            )
+          )
+        );
+      } else {
+        // Handle simple properties or normalized xml fragments
+        const child = qualifyElement(
+          xmlName,
+          metaInfo.namespace,
+          innerDefault
+        );
+        const childIndent = `${indent}    `;
+        if (
+          !(value instanceof SimpleType) &&
+          looksLikeNormalizedNode(value)
+        ) {
+          const built = buildAttributesAndChildren(value, level + 1);
+          const attrs = [child.xmlnsAttr, built.attrs]
+            .filter(Boolean)
+            .join(" ");
+          const opening = `${childIndent}<${child.tag}${
+            attrs ? " " + attrs : ""
+          }>`;
+          if (built.childrenXml) {
+            children.push(
+              `${opening}\n${built.childrenXml}\n${childIndent}</${child.tag}>`
+            );
+          } else if (built.text !== undefined) {
+            children.push(
+              `${opening}${escapeXML(built.text)}</${child.tag}>`
+            );
+          } else {
+            children.push(`${opening}</${child.tag}>`);
+          }
+        } else if (value && value.__rawChildren) {
+          // The property holds a normalized object that also preserved the raw xml2js children
+          const childLines = [];
+          rawElementChildren(value).forEach((rawChild) => {
+            childLines.push(
+              rawXml2jsNodeToXML(rawChild, rawChild["#name"], level + 1)
+            );
+          });
+          const opening = `${childIndent}<${child.tag}${
+            child.xmlnsAttr ? " " + child.xmlnsAttr : ""
+          }>`;
+          if (childLines.length) {
+            children.push(
+              `${opening}\n${childLines.join(
+                "\n"
+              )}\n${childIndent}</${child.tag}>`
+            );
+          } else {
+            children.push(`${opening}</${child.tag}>`);
+          }
+        } else {
+          const s = formatLexical(value, metaInfo.xsdType);
+          children.push(
+            `${childIndent}<${child.tag}${
+              child.xmlnsAttr ? " " + child.xmlnsAttr : ""
+            }>${escapeXML(s)}</${child.tag}>`
+          );
+        }
+      }
+      if (mixed) {
+        for (let i = firstChild; i < children.length; i++) {
+          const child = children[i];
+          children[i] =
+            typeof child === "string"
+              ? child.trimStart()
+              : () => trimStartChunks(child());
+        }
+      }
+    }
+
+    // The root declares every namespace collected while serializing its content
+    if (isRoot) attributes.push(...namespaces.toAttributes(escapeXML));
+
+    // Build the opening tag with attributes
+    const openingTag = `${indent}<${tag}${
+      attributes.length > 0 ? " " + attributes.join(" ") : ""
+    }>`;
+
+    // Build the closing tag
+    const closingTag = `${indent}</${tag}>`;
+
+    // Combine everything
+    if (mixed) {
+      yield openingTag;
+      for (const child of children) yield* chunksOf(child);
+      yield `</${tag}>`;
+    } else if (children.length > 0) {
+      yield `${openingTag}\n${
+        textContent ? `${indent}    ${escapeXML(textContent)}\n` : ""
+      }`;
+      for (let i = 0; i < children.length; i++) {
+        if (i > 0) yield "\n";
+        yield* chunksOf(children[i]);
+      }
+      yield `\n${closingTag}`;
+    } else if (textContent) {
+      yield `${openingTag}${escapeXML(textContent)}</${tag}>`;
+    } else {
+      yield `${openingTag}</${tag}>`;
+    }
+  }
+
+  // Escape special XML characters
+  const escapeXML = (str) => {
+    if (typeof str !== "string") return str;
+    return str
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  };
+
+  // Start the XML generation with the root element
+  const rootChunks = () =>
+    generateXML(
+      instance,
+      rootElement,
+      indentLevel,
+      rootNs,
+      namespaces.declarations[""],
+      true
+    );
+  return {
+    toString() {
+      mode = "string";
+      return joinChunks(rootChunks());
+    },
+    *chunks() {
+      // The opening tag of the root declares the namespaces met in the whole
+      // document: a dry pass allocates their prefixes, in the order toString does,
+      // before anything is written.
+      mode = "dry";
+      nestedXML(rootChunks);
+      mode = "stream";
+      yield* rootChunks();
+    },
+  };
+}
+
+// Reads an XML document in chunks from a Node Readable (or any async iterable of
+// strings, Buffers or Uint8Arrays) or a file path, without holding the whole text.
+// Yields the source of each child of the root element `select(name)` accepts, as
+// `{ child, name, rootStartTag, rootName }`, as soon as it is complete; with `keep`, finally
+// yields `{ document }`, the document without these children. `onProgress` receives
+// `{ bytes, totalBytes, elements }` after each chunk.
+async function* readRootChildren(source, { select, keep, onProgress, totalBytes }) {
+  // Loaded on demand so documents read with fromXML only need xml2js
+  const sax = (await import("sax")).default;
+  let chunks = source;
+  if (typeof source === "string") {
+    // A variable specifier keeps bundlers from resolving this Node module for browsers
+    const fsModule = "fs";
+    const fs = await import(fsModule);
+    totalBytes = totalBytes ?? fs.statSync(source).size;
+    chunks = fs.createReadStream(source);
+  }
+  const parser = sax.parser(true);
+  const decoder = new TextDecoder("utf-8");
+  const encoder = new TextEncoder();
+  // The text not consumed yet starts at `offset` (a position of the parser)
+  let buffer = "";
+  let offset = 0;
+  const slice = (from, to) => buffer.substring(from - offset, to - offset);
+  let depth = 0;
+  let rootName;
+  let rootStartTag;
+  let childStart = -1;
+  let keptFrom = -1;
+  let kept = "";
+  let ready = [];
+  let bytes = 0;
+  let elements = 0;
+
+  parser.onerror = (e) => {
+    throw e;
+  };
+  parser.onopentag = ({ name }) => {
+    depth++;
+    const start = parser.startTagPosition - 1;
+    if (depth === 1) {
+      rootName = name;
+      rootStartTag = slice(start, parser.position);
+      keptFrom = start;
+    } else if (depth === 2 && select(localPart(name))) {
+      childStart = start;
+      if (keep) kept += slice(keptFrom, start);
+    }
+  };
+  parser.onclosetag = (name) => {
+    if (depth === 2 && childStart >= 0) {
+      ready.push({
+        child: slice(childStart, parser.position),
+        name: localPart(name),
+        rootStartTag,
+        rootName,
+      });
+      elements++;
+      childStart = -1;
+      keptFrom = parser.position;
+    } else if (depth === 1 && keep) {
+      kept += slice(keptFrom, parser.position);
+      keptFrom = -1;
+    }
+    depth--;
+  };
+
+  const consume = (text) => {
+    buffer += text;
+    parser.write(text);
+    // Keep the text of the child being read, of the content still to keep and of the
+    // tag the chunk may end in
+    const tagStart = parser.startTagPosition
+      ? parser.startTagPosition - 1
+      : parser.position;
+    const from = Math.min(
+      ...[childStart, keep ? keptFrom : -1].filter((p) => p >= 0),
+      tagStart,
+      parser.position
+    );
+    buffer = buffer.substring(from - offset);
+    offset = from;
+  };
+  for await (const chunk of chunks) {
+    bytes +=
+      typeof chunk === "string" ? encoder.encode(chunk).length : chunk.length;
+    consume(typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true }));
+    if (onProgress) onProgress({ bytes, totalBytes, elements });
+    const complete = ready;
+    ready = [];
+    yield* complete;
+  }
+  consume(decoder.decode());
+  parser.close();
+  yield* ready;
+  if (!rootName) throw new Error("No valid root element found in the XML.");
+  if (keep) yield { document: kept };
+}
+
+// The instance built for a child of the root element read by readRootChildren: the root
+// class reads a document holding only that child, so it is built as fromXML would
+// (xsi:type, substitution groups, the namespaces declared on the root).
+async function rootChildInstance(ctor, { child, name, rootStartTag, rootName }) {
+  const root = await ctor.fromXML(`${rootStartTag}${child}</${rootName}>`);
+  for (const [key, info] of Object.entries(getMergedXSDMeta(root.constructor))) {
+    const names = [info.xmlName, ...(info.substitutes || []).map((m) => m.xmlName)];
+    if (info.isAttribute || !names.includes(name)) continue;
+    const value = root[key];
+    return info.isList ? [].concat(value)[0] : value;
+  }
+  throw new Error(`${rootName} has no element named ${name}`);
+}
+
+// The names of the children of the root element to stream: those given, or every
+// element that may repeat.
+function streamedNames(ctor, elements) {
+  if (elements) return new Set([].concat(elements));
+  const names = new Set();
+  for (const info of Object.values(getMergedXSDMeta(ctor))) {
+    if (info.isAttribute || !info.isList) continue;
+    names.add(info.xmlName);
+    (info.substitutes || []).forEach((m) => names.add(m.xmlName));
+  }
+  return names;
 }
 
 export class Base {
+  /**
+   * @param {Object} [data] - The normalized XML node (or plain object) the generated
+   *   constructor reads. Its raw children give the document order of repeating choices,
+   *   of the members of substitution groups and of the text and elements of mixed
+   *   content.
+   */
+  constructor(data = {}) {
+    const typeInfo = getXSDTypeInfo(new.target);
+    // Subclasses written by hand may make an abstract generated type concrete
+    if (typeInfo.abstract && typeInfo.typeName === new.target.name) {
+      throw new Error(
+        `${new.target.name} is abstract: use a derived type (xsi:type)`
+      );
+    }
+    localizeForeignNames(this.constructor, data);
+    collectSubstitutes(this, data);
+    collectNils(this, data);
+    recordChoiceOrder(this, data);
+    recordMixedContent(this, data);
+  }
+
   /**
    * Unmarshalls an XML string into an instance of the calling class.
    * This is the entry point for deserialization.
+   * The namespace declarations of the root element are kept on the instance
+   * (`__namespaceDeclarations`) so `toXML` reuses the same prefixes. The text is parsed
+   * by the XML backend set with `Base.configure({ xmlBackend })`.
+   * @template {Base} T
+   * @this {BaseClass<T>}
    * @param {string} xmlString - The XML content to parse.
-   * @returns {Promise<Base>} An instance of the class populated with data.
+   * @returns {Promise<T>} An instance of the class populated with data.
    */
   static async fromXML(xmlString) {
-    const raw = await parseStringPromise(xmlString, {
-      explicitChildren: true,
-      preserveChildrenOrder: true,
-      explicitArray: false,
-      mergeAttrs: false,
-      charsAsChildren: true,
-      explicitRoot: true,
-    });
+    const raw = await xmlBackendOf(runtimeOptions.xmlBackend).parse(xmlString);
     const json = normalizeXml2js(raw);
     const root = Object.keys(json).find(
       (k) => !k.startsWith("?") && !k.startsWith("#")
     );
     if (!root) throw new Error("No valid root element found in the XML.");
-    return new this(json[root]);
+    const declarations = namespaceDeclarationsOf(json[root]);
+    const { namespace } = getXSDTypeInfo(this);
+    localizeNames(json[root], {}, namespace);
+    const instance = this._create(json[root]);
+    Object.defineProperty(instance, "__namespaceDeclarations", {
+      value: declarations,
+      enumerable: false,
+      writable: true,
+      configurable: true,
+    });
+    return instance;
+  }
+
+  /**
+   * Unmarshalls an XML document read in chunks from a Node Readable (or any async
+   * iterable of chunks) or a file path, for documents too large to hold as a string.
+   * Children of the root element named in `elements` are built one at a time and
+   * passed to `onElement` instead of being kept on the returned instance.
+   * @template {Base} T
+   * @this {BaseClass<T>}
+   * @param {string|AsyncIterable<string|Uint8Array>} source - The stream, or the path
+   *   of the XML file.
+   * @param {Object} [options]
+   * @param {string|string[]} [options.elements] - Local names of the root's children
+   *   to stream (none by default).
+   * @param {(instance: Base, name: string) => (void|Promise<void>)} [options.onElement]
+   *   - Receives each streamed child, in document order.
+   * @param {(progress: {bytes: number, totalBytes?: number, elements: number}) => void} [options.onProgress]
+   *   - Called after each chunk with the bytes read, the size of the file (or
+   *   `options.totalBytes`) and the number of children streamed so far.
+   * @param {number} [options.totalBytes] - The size of the source, for the progress.
+   * @returns {Promise<T>} The instance, without the streamed children.
+   */
+  static async fromXMLStream(source, options = {}) {
+    const { elements, onElement, onProgress, totalBytes } = options;
+    const names = new Set(elements ? [].concat(elements) : []);
+    let document;
+    for await (const part of readRootChildren(source, {
+      select: (name) => names.has(name),
+      keep: true,
+      onProgress,
+      totalBytes,
+    })) {
+      if (part.document !== undefined) document = part.document;
+      else {
+        const instance = await rootChildInstance(this, part);
+        if (onElement) await onElement(instance, part.name);
+      }
+    }
+    return this.fromXML(document);
+  }
+
+  /**
+   * Reads the children of the root element of an XML document one at a time, from a
+   * Node Readable (or any async iterable of chunks) or a file path, without keeping
+   * the document: each child is built as by fromXML (as an instance of its generated
+   * class) once its end tag is read, and the stream is only read further when the
+   * next one is requested.
+   * @param {string|AsyncIterable<string|Uint8Array>} source - The stream, or the path
+   *   of the XML file.
+   * @param {Object} [options]
+   * @param {string|string[]} [options.elements] - Local names of the children to read;
+   *   by default every element of the root type that may repeat (e.g. each
+   *   `UAVariable` of a NodeSet). Other children are skipped.
+   * @param {(progress: {bytes: number, totalBytes?: number, elements: number}) => void} [options.onProgress]
+   *   - Called after each chunk, as for fromXMLStream.
+   * @param {number} [options.totalBytes] - The size of the source, for the progress.
+   * @returns {AsyncGenerator<Base>} The children, in document order.
+   */
+  static async *iterateXML(source, options = {}) {
+    const { elements, onProgress, totalBytes } = options;
+    const names = streamedNames(this, elements);
+    for await (const part of readRootChildren(source, {
+      select: (name) => names.has(name),
+      keep: false,
+      onProgress,
+      totalBytes,
+    })) {
+      yield await rootChildInstance(this, part);
+    }
+  }
+
+  /**
+   * Builds an instance from a normalized node (or plain object): of the class named by
+   * its `xsi:type` attribute when there is one (it must derive from this class), of
+   * this class otherwise. Generated constructors and setters build their elements
+   * with it.
+   * @template {Base} T
+   * @this {BaseClass<T>}
+   * @param {Object} [data] - The normalized node.
+   * @returns {T} The new instance.
+   */
+  static _create(data) {
+    const ctor = xsiTypeOf(this, data);
+    return new ctor(data);
+  }
+
+  /**
+   * Registers a generated class under its qualified type name, for `xsi:type`.
+   * Generated classes call it when their module loads, so a type is known once its
+   * module (or the generated index) is imported.
+   * @param {Function} ctor - The generated class.
+   */
+  static registerType(ctor) {
+    const { typeName, namespace } = getXSDTypeInfo(ctor);
+    if (typeName) typeRegistry.set(typeKey(namespace, typeName), ctor);
+  }
+
+  /**
+   * Finds a registered class by qualified type name.
+   * @param {string} name - The type name, in `{namespace}name` form for a type with a
+   *   namespace.
+   * @returns {Function|undefined} The generated class.
+   */
+  static lookupType(name) {
+    return typeRegistry.get(name);
   }
 
   /**
    * Marshalls the current object instance into a formatted XML string.
    * This is the entry point for serialization.
+   *
+   * Elements and attributes are qualified from the namespace recorded in the generated
+   * metadata (`namespace`, `form`). The root element declares the namespaces parsed from
+   * the input document (so their prefixes are reused), the root type's namespace as the
+   * default namespace when no prefix is bound to it, and any other namespace met while
+   * serializing.
+   *
    * @param {string} rootName - The name of the root element for the XML (e.g., 'User').
-   * @param {number} indentLevel - The current indentation level (used for recursive calls).
+   * @param {number|object} [indentLevel] - The current indentation level (used for recursive calls), or the options object.
+   * @param {{namespaces?: Object<string,string>, defaults?: "omit"|"materialize", required?: "ignore"|"strict"|"lenient", onWarning?: Function}} [options]
+   *   - Serialization options. `namespaces` maps prefixes ("" for the default namespace)
+   *   to URIs to declare on the root. `defaults` tells whether the attributes and
+   *   elements left to their schema `default` or `fixed` value are left out ("omit",
+   *   the default) or written with that value ("materialize"). `required` checks that
+   *   the required attributes and elements are present first: "strict" throws a
+   *   ValidationError listing the missing ones (`required` and `minOccurs` rules, with
+   *   paths such as "UANodeSet.UAObject[3].@NodeId"), "lenient" passes each of them to
+   *   `onWarning` (console.warn by default), "ignore" (the default) skips the check.
    * @returns {string} The formatted XML string.
    */
-  toXML(rootName, indentLevel = 0) {
-    const generateXML = (node, nodeName, level) => {
-      if (node === undefined || node === null) return "";
+  toXML(rootName, indentLevel = 0, options = {}) {
+    if (indentLevel && typeof indentLevel === "object") {
+      options = indentLevel;
+      indentLevel = 0;
+    }
+    return createXMLSerializer(this, rootName, indentLevel, options).toString();
+  }
 
-      if (typeof node !== "object") {
-        const indent = "    ".repeat(level); // Indentation for the current level
-        return `${indent}<${nodeName}>${escapeXML(node)}</${nodeName}>`;
-      }
+  /**
+   * Serializes the instance as `toXML` does, in chunks: each nested element is only
+   * built when it is written, so the whole document is never held in memory. The
+   * chunks joined are the string `toXML` returns.
+   *
+   * The opening tag of the root declares the namespaces used in the whole document, so
+   * the graph is walked once (without keeping its XML) before the first chunk.
+   *
+   * @param {string} [rootName] - The name of the root element (see toXML); may be the
+   *   options object.
+   * @param {{namespaces?: Object<string,string>, defaults?: "omit"|"materialize", required?: "ignore"|"strict"|"lenient", onWarning?: Function, chunkSize?: number}} [options]
+   *   - The options of toXML, and `chunkSize`: the minimum length of the chunks
+   *   (16384 characters by default).
+   * @returns {AsyncGenerator<string>} The chunks of the XML document.
+   */
+  async *toXMLChunks(rootName, options = {}) {
+    if (rootName && typeof rootName === "object") {
+      options = rootName;
+      rootName = undefined;
+    }
+    const serializer = createXMLSerializer(this, rootName, 0, options);
+    yield* coalesceChunks(serializer.chunks(), options.chunkSize || 16384);
+  }
 
-      // If this is a plain normalized xml2js node (not a Base instance),
-      // serialize it directly so nested children are preserved.
-      if (
-        !(node instanceof Base) &&
-        (node.__rawChildren ||
-          Object.keys(node).some((k) => k.startsWith("@_") || k === "#text"))
-      ) {
-        // Use buildAttributesAndChildren to produce attributes/text and children
-        const { attrs, text, childrenXml } = buildAttributesAndChildren(
-          node,
-          level + 1
-        );
-        // If raw children are available prefer serializing them to preserve namespaces and order
-        if (node.__rawChildren && node.__rawChildren.length) {
-          const childLines = node.__rawChildren.map((rc) =>
-            rawXml2jsNodeToXML(rc, rc["#name"], level + 1)
-          );
-          const opening = `${"    ".repeat(level)}<${nodeName}${
-            attrs ? " " + attrs : ""
-          }>`;
-          return childLines.length
-            ? `${opening}\n${childLines.join("\n")}\n${"    ".repeat(
-                level
-              )}</${nodeName}>`
-            : `${opening}</${nodeName}>`;
-        }
-        const opening = `${"    ".repeat(level)}<${nodeName}${
-          attrs ? " " + attrs : ""
-        }>`;
-        if (childrenXml)
-          return `${opening}\n${childrenXml}\n${"    ".repeat(
-            level
-          )}</${nodeName}>`;
-        if (text !== undefined)
-          return `${opening}${escapeXML(text)}</${nodeName}>`;
-        return `${opening}</${nodeName}>`;
+  /**
+   * Writes the instance as XML (see toXMLChunks) to a Node Writable, waiting for the
+   * stream to drain whenever `write` returns false. The text written is the string
+   * `toXML` returns.
+   *
+   * @param {XMLWritable} writable - The destination, e.g. a file stream.
+   * @param {string} [rootName] - The name of the root element (see toXML); may be the
+   *   options object.
+   * @param {{namespaces?: Object<string,string>, defaults?: "omit"|"materialize", required?: "ignore"|"strict"|"lenient", onWarning?: Function, chunkSize?: number, end?: boolean}} [options]
+   *   - The options of toXMLChunks, and `end`: whether the stream is ended once the
+   *   document is written (true by default).
+   * @returns {Promise<void>} Resolves when the document is written (and the stream
+   *   finished, when ended); rejects when the stream fails or closes first, e.g. a file
+   *   stream that cannot open its file.
+   */
+  async toXMLStream(writable, rootName, options = {}) {
+    if (rootName && typeof rootName === "object") {
+      options = rootName;
+      rootName = undefined;
+    }
+    const watch = watchWritable(writable);
+    try {
+      watch.check();
+      // Resolves once the last chunk is handed to the underlying resource
+      let flushed = Promise.resolve();
+      for await (const chunk of this.toXMLChunks(rootName, options)) {
+        let more;
+        flushed = new Promise((resolve, reject) => {
+          more = writable.write(chunk, (error) => (error ? reject(error) : resolve()));
+        });
+        // A failed write is reported through the stream's error as well
+        flushed.catch(() => {});
+        if (!more) await watch.until("drain");
+        watch.check();
       }
-
-      const indent = "    ".repeat(level); // 4 spaces per indentation level
-      const attributes = [];
-      let textContent = "";
-      const children = [];
-
-      // Helper: detect a "normalized" xml2js node (the shape produced by normalizeXml2js)
-      function looksLikeNormalizedNode(v) {
-        if (!v || typeof v !== "object") return false;
-        // common markers: attribute keys starting with '@_' or '#text' or nested element keys
-        return Object.keys(v).some(
-          (k) => k.startsWith("@_") || k === "#text" || typeof v[k] === "object"
-        );
+      if (options.end === false) {
+        await watch.settled(flushed);
+        return;
       }
+      const finished = watch.until("finish");
+      writable.end();
+      await finished;
+    } finally {
+      watch.dispose();
+    }
+  }
 
-      // Helper: build attributes string and children inner XML from a normalized node
-      function buildAttributesAndChildren(normNode, lvl) {
-        const attrParts = [];
-        let text = undefined;
-        const childLines = [];
-        for (const k of Object.keys(normNode)) {
-          if (k.startsWith("@_")) {
-            attrParts.push(
-              `${k.substring(2)}=\"${escapeXML(String(normNode[k]))}\"`
-            );
-          } else if (k === "#text") {
-            text = stringifyValue(normNode[k]);
-          } else {
-            const val = normNode[k];
-            if (Array.isArray(val)) {
-              val.forEach((item) => {
-                if (item === undefined || item === null) return;
-                if (typeof item === "object") {
-                  // recursively build child
-                  const child = generateXML(item, k, lvl);
-                  childLines.push(child);
-                } else {
-                  childLines.push(
-                    `${"    ".repeat(lvl)}<${k}>${escapeXML(
-                      String(item)
-                    )}</${k}>`
-                  );
-                }
-              });
-            } else {
-              if (typeof val === "object") {
-                childLines.push(generateXML(val, k, lvl));
-              } else {
-                childLines.push(
-                  `${"    ".repeat(lvl)}<${k}>${escapeXML(String(val))}</${k}>`
-                );
-              }
-            }
-          }
-        }
-        return {
-          attrs: attrParts.join(" "),
-          text,
-          childrenXml: childLines.join("\n"),
-        };
-      }
+  /**
+   * Sets runtime options shared by all generated classes.
+   * @param {{strict?: boolean, onlyString?: boolean, exclusiveChoices?: boolean, xmlBackend?: "xml2js"|"dom"|{parse: Function}, domParser?: Function}} [options]
+   *   `strict` makes generated setters throw a ValidationError when a value breaks the
+   *   schema facets; `onlyString` keeps values read from XML as strings instead of
+   *   numbers/booleans; `exclusiveChoices` makes the generated setter of an xs:choice
+   *   branch clear the other branches of that choice. `xmlBackend` selects the parser
+   *   of fromXML: "xml2js", "dom" (DOMParser, for browsers) or an object whose
+   *   `parse(xmlString)` returns the tree xml2js builds; `domParser` is the DOMParser
+   *   class of the "dom" backend when there is no global one.
+   * @returns {{strict: boolean, onlyString: boolean, exclusiveChoices: boolean, xmlBackend: *, domParser: *}}
+   *   The current options.
+   */
+  static configure(options = {}) {
+    if (options.xmlBackend !== undefined) xmlBackendOf(options.xmlBackend);
+    Object.assign(runtimeOptions, options);
+    return { ...runtimeOptions };
+  }
 
-      // Helper: serialize a raw xml2js child node (the shape produced when explicitChildren=true)
-      function rawXml2jsNodeToXML(rawNode, forcedName, lvl) {
-        const nm = forcedName || rawNode["#name"];
-        const ind = "    ".repeat(lvl);
-        if (!nm) return "";
-        // If xml2js produced a text child node named '__text__', emit its
-        // text content directly instead of creating a <__text__> element.
-        if (nm === "__text__") {
-          if (rawNode._ !== undefined)
-            return ind + escapeXML(String(rawNode._));
-          // If there are nested children, flatten them (rare) and return concatenated text/html
-          if (Array.isArray(rawNode.$$)) {
-            return rawNode.$$.map((c) =>
-              rawXml2jsNodeToXML(c, c["#name"], lvl)
-            ).join("\n");
-          }
-          return "";
-        }
-        const parts = [];
-        // attributes
-        if (rawNode.$) {
-          const attrPairs = Object.entries(rawNode.$).map(
-            ([k, v]) => `${k}=\"${escapeXML(String(v))}\"`
-          );
-          parts.push(
-            `${ind}<${nm}${attrPairs.length ? " " + attrPairs.join(" ") : ""}>`
-          );
-        } else {
-          parts.push(`${ind}<${nm}>`);
-        }
-        // text
-        if (rawNode._ !== undefined) {
-          parts.push(escapeXML(String(rawNode._)));
-        }
-        // children
-        if (Array.isArray(rawNode.$$)) {
-          for (const c of rawNode.$$) {
-            parts.push(rawXml2jsNodeToXML(c, c["#name"], lvl + 1));
-          }
-        }
-        parts.push(`${ind}</${nm}>`);
-        return parts.join("\n");
-      }
-      // Retrieve merged metadata for the class (includes superclasses)
-      const meta = getMergedXSDMeta(node.constructor) || {};
-
-      // If this is a plain normalized xml2js node (not a Base instance),
-      // serialize it directly so nested children are preserved.
-      if (
-        !(node instanceof Base) &&
-        (node.__rawChildren ||
-          Object.keys(node).some((k) => k.startsWith("@_") || k === "#text"))
-      ) {
-        const { attrs, text, childrenXml } = buildAttributesAndChildren(
-          node,
-          level + 1
-        );
-        if (node.__rawChildren && node.__rawChildren.length) {
-          const childLines = node.__rawChildren.map((rc) =>
-            rawXml2jsNodeToXML(rc, rc["#name"], level + 1)
-          );
-          const opening = `${"    ".repeat(level)}<${nodeName}${
-            attrs ? " " + attrs : ""
-          }>`;
-          return childLines.length
-            ? `${opening}\n${childLines.join("\n")}\n${"    ".repeat(
-                level
-              )}</${nodeName}>`
-            : `${opening}</${nodeName}>`;
-        }
-        const opening = `${"    ".repeat(level)}<${nodeName}${
-          attrs ? " " + attrs : ""
-        }>`;
-        if (childrenXml)
-          return `${opening}\n${childrenXml}\n${"    ".repeat(
-            level
-          )}</${nodeName}>`;
-        if (text !== undefined)
-          return `${opening}${escapeXML(text)}</${nodeName}>`;
-        return `${opening}</${nodeName}>`;
-      }
+  /**
+   * Checks this object graph against the facets recorded in the generated metadata
+   * (pattern, length, bounds, digits, enumeration...) and the maxOccurs of repeated
+   * elements.
+   * @param {string} [path] - Path of this object, used as prefix in the reported paths.
+   *   Defaults to the element or class name.
+   * @returns {Array<{path: string, rule: string, value: *, expected: *}>} The violations
+   *   found, e.g. `{ path: "Order.@Code", rule: "maxLength", value: "ABCDEFGHI", expected: 8 }`.
+   */
+  validate(path) {
+    const typeInfo = getXSDTypeInfo(this.constructor);
+    return validateNode(
+      this,
+      path || typeInfo.elementName || this.constructor.name,
+      new Set()
+    );
+  }
 
-      // Iterate over metadata keys, not instance fields, to support accessor-backed properties
-      for (const key of Object.keys(meta)) {
-        // Use accessor (getter) for value
-        const value = node[key];
-        if (value === undefined || value === null) continue;
+  /**
+   * Called by generated setters before a new value is stored. In strict mode
+   * (see Base.configure) an invalid value is rejected with a ValidationError; a value
+   * other than the `fixed` value of the property is rejected in every mode.
+   * @param {string} property - The property being set.
+   * @param {*} value - The new value.
+   */
+  _assertValue(property, value) {
+    const metaInfo = getMergedXSDMeta(this.constructor)[property] || {};
+    const path = propertyPath(this.constructor.name, metaInfo, property);
+    // A fixed value is enforced in every mode
+    const violations = runtimeOptions.strict
+      ? validateValue(value, metaInfo, path, new Set())
+      : checkFixed(value, metaInfo, path);
+    if (violations.length) throw new ValidationError(violations);
+  }
 
-        const metaInfo = meta[key] || {};
-        const xmlName = metaInfo.xmlName || key;
+  /**
+   * Called by generated constructors and setters to turn the lexical value of a
+   * built-in XSD type into a JavaScript value (number, boolean, BigInt for integers
+   * beyond the safe range). Values stay strings when `onlyString` is set.
+   * @param {*} value - The lexical value, a text-only element node, or a typed value.
+   * @param {string} xsdType - The XSD type, e.g. "xs:int".
+   * @returns {*}
+   */
+  _parseValue(value, xsdType) {
+    return parseLexical(value, xsdType);
+  }
 
-        if (metaInfo.isAttribute) {
-          // Handle attributes
-          var output = `${
-            xmlName.startsWith("@_") ? xmlName.substring(2) : xmlName
-          }=`;
+  /**
+   * Returns the branch of an xs:choice that is set: the first property set among the
+   * branches of the choice `property` belongs to (in document order for a repeating
+   * choice read from XML), or undefined when none is.
+   * @param {string} property - Any property of the choice.
+   * @returns {string|undefined} The name of the property set.
+   */
+  activeChoice(property) {
+    const group = choiceGroupOf(this.constructor, property);
+    const meta = getMergedXSDMeta(this.constructor);
+    if (group.repeated) {
+      const [first] = choiceSequence(this, group.name, meta);
+      return first && first[0];
+    }
+    return group.branches.flat().find((k) => isSet(this[k]));
+  }
 
-          if (value instanceof Base && value.value !== undefined) {
-            output = output + `"${stringifyValue(value.value)}"`;
-          } else {
-            output = output + `"${stringifyValue(value)}"`;
-          }
-          attributes.push(output);
-        } else if (xmlName === "#text") {
-          // Handle text content
-          textContent = stringifyValue(value);
-        } else if (Array.isArray(value)) {
-          // Handle arrays (recursively process each item)
-          value.forEach((item) => {
-            children.push(generateXML(item, xmlName, level + 1));
-          });
-        } else if (value instanceof Base) {
-          // Handle nested objects (recursively process)
-          children.push(generateXML(value, xmlName, level + 1));
-        } else {
-          // Handle simple properties or normalized xml fragments
-          if (looksLikeNormalizedNode(value)) {
-            const { attrs, text, childrenXml } = buildAttributesAndChildren(
-              value,
-              level + 1
-            );
-            const opening = `${indent}    <${xmlName}${
-              attrs ? " " + attrs : ""
-            }>`;
-            if (childrenXml) {
-              children.push(
-                `${opening}\n${childrenXml}\n${indent}    </${xmlName}>`
-              );
-            } else if (text !== undefined) {
-              children.push(`${opening}${escapeXML(text)}</${xmlName}>`);
-            } else {
-              children.push(`${opening}</${xmlName}>`);
-            }
-          } else if (value && value.__rawChildren) {
-            // The property holds a normalized object that also preserved the raw xml2js children
-            const childLines = [];
-            value.__rawChildren.forEach((rawChild) => {
-              childLines.push(
-                rawXml2jsNodeToXML(rawChild, rawChild["#name"], level + 1)
-              );
-            });
-            const opening = `${indent}    <${xmlName}>`;
-            if (childLines.length) {
-              children.push(
-                `${opening}\n${childLines.join(
-                  "\n"
-                )}\n${indent}    </${xmlName}>`
-              );
-            } else {
-              children.push(`${opening}</${xmlName}>`);
-            }
-          } else {
-            const s = stringifyValue(value);
-            children.push(
-              `${indent}    <${xmlName}>${escapeXML(s)}</${xmlName}>`
-            );
-          }
-        }
-      }
+  /**
+   * Returns the elements of a repeating xs:choice as an ordered list of single-key
+   * objects, e.g. `[{ A: a1 }, { B: b1 }, { A: a2 }]` for `<A/><B/><A/>`.
+   * @param {string} property - Any property of the choice.
+   * @returns {Array<Object>}
+   */
+  getChoiceItems(property) {
+    const group = choiceGroupOf(this.constructor, property);
+    return choiceSequence(
+      this,
+      group.name,
+      getMergedXSDMeta(this.constructor)
+    ).map(([k, item]) => ({ [k]: item }));
+  }
 
-      // Build the opening tag with attributes
-      const openingTag = `${indent}<${nodeName}${
-        attributes.length > 0 ? " " + attributes.join(" ") : ""
-      }>`;
-
-      // Build the closing tag
-      const closingTag = `${indent}</${nodeName}>`;
-
-      // Combine everything
-      if (children.length > 0) {
-        return `${openingTag}\n${
-          textContent ? `${indent}    ${escapeXML(textContent)}\n` : ""
-        }${children.join("\n")}\n${closingTag}`;
-      } else if (textContent) {
-        return `${openingTag}${escapeXML(textContent)}${closingTag}`;
-      } else {
-        return `${openingTag}${closingTag}`;
+  /**
+   * Replaces the elements of a repeating xs:choice with an ordered list of single-key
+   * objects (see getChoiceItems). `toXML` writes them in that order.
+   * @param {string} property - Any property of the choice.
+   * @param {Array<Object>} items
+   */
+  setChoiceItems(property, items) {
+    const group = choiceGroupOf(this.constructor, property);
+    const keys = items.map((item) => Object.keys(item)[0]);
+    group.branches.flat().forEach((k) => {
+      this[k] = items.filter((item, i) => keys[i] === k).map((item) => item[k]);
+    });
+    const order = choiceOrderOf(this, group.name);
+    order.splice(0, order.length, ...keys);
+  }
+
+  /**
+   * Returns the content of a mixed-content element (`mixed="true"`) as an ordered list
+   * of text pieces and single-key element objects, e.g.
+   * `["Hello ", { b: "world" }, " again"]` for `Hello <b>world</b> again`.
+   * @returns {Array<string|Object>}
+   */
+  getMixedContent() {
+    mixedMetaOf(this.constructor);
+    return orderedItems(
+      this,
+      elementKeys(getMergedXSDMeta(this.constructor)),
+      /** @type {*} */ (this).__mixedContent || []
+    ).map(([k, item]) => (k === null ? item : { [k]: item }));
+  }
+
+  /**
+   * Replaces the content of a mixed-content element with an ordered list of text
+   * pieces and single-key element objects (see getMixedContent). `toXML` writes them
+   * in that order.
+   * @param {Array<string|Object>} items
+   */
+  setMixedContent(items) {
+    const meta = mixedMetaOf(this.constructor);
+    const keys = elementKeys(meta);
+    const order = items.map((item) => {
+      if (typeof item === "string") return { text: item };
+      const key = Object.keys(item)[0];
+      if (!keys.includes(key)) {
+        throw new Error(`${this.constructor.name}.${key} is not a child element`);
       }
-    };
+      return key;
+    });
+    keys.forEach((k) => {
+      const values = items
+        .filter((item, i) => order[i] === k)
+        .map((item) => item[k]);
+      this[k] = meta[k].isList ? values : values[0];
+    });
+    Object.defineProperty(this, "__mixedContent", {
+      value: order,
+      enumerable: false,
+      writable: true,
+      configurable: true,
+    });
+  }
 
-    // Escape special XML characters
-    const escapeXML = (str) => {
-      if (typeof str !== "string") return str;
-      return str
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&apos;");
-    };
+  // Called by the generated setters of choice branches: with `exclusiveChoices`, setting
+  // a branch of a non-repeating choice clears the other branches.
+  _selectChoice(property, value) {
+    if (!runtimeOptions.exclusiveChoices || !isSet(value)) return;
+    const group = choiceGroupOf(this.constructor, property);
+    if (group.repeated) return;
+    group.branches
+      .filter((branch) => !branch.includes(property))
+      .flat()
+      .forEach((k) => {
+        if (isSet(this[k])) this[k] = undefined;
+      });
+  }
 
-    // Start the XML generation with the root element
-    return generateXML(this, rootName || this.constructor.name, indentLevel);
+  // Called by generated constructors of substitution group heads: the element name the
+  // `index`-th item of `property` was read from (see collectSubstitutes).
+  _substituteName(property, index) {
+    const substitutes = /** @type {*} */ (this).__substitutes;
+    return substitutes && substitutes[property]
+      ? substitutes[property][index]
+      : undefined;
   }
 
   /**
@@ -432,13 +2633,12 @@ export class Base {
     const attributes = {}; // Store attributes separately in `$`
 
     // Retrieve metadata for the class
-    const meta = this.constructor.__getXSDMeta
-      ? this.constructor.__getXSDMeta()
-      : {};
+    const meta = getMergedXSDMeta(this.constructor);
 
     // Iterate over metadata keys so accessors are used when present (backing fields ignored)
     for (const key of Object.keys(meta)) {
-      const value = this[key];
+      // Default values the getters fall back to are not part of the content
+      const value = storedValue(this, key);
       if (value === undefined || value === null) continue; // Skip undefined or null values
 
       // Use metadata to determine if this is an attribute, content, or element
@@ -448,21 +2648,26 @@ export class Base {
       if (metaInfo.isAttribute) {
         // Handle attributes (stored in `$`)
         attributes[xmlName.startsWith("@_") ? xmlName.substring(2) : xmlName] =
-          stringifyValue(value);
+          formatLexical(value, metaInfo.xsdType);
       } else if (xmlName === "#text") {
         // Handle text content (stored in `#`)
-        obj["#"] = stringifyValue(value);
+        obj["#"] = formatLexical(value, metaInfo.xsdType);
       } else if (value instanceof Base) {
         // Handle nested objects (recursively call `toObject`)
         obj[xmlName] = value.toObject();
-      } else if (Array.isArray(value)) {
+      } else if (
+        Array.isArray(value) &&
+        (metaInfo.isList || !builtinSetting(metaInfo.xsdType, "itemType"))
+      ) {
         // Handle arrays (map each item to its object representation)
         obj[xmlName] = value.map((item) =>
-          item instanceof Base ? item.toObject() : stringifyValue(item)
+          item instanceof Base
+            ? item.toObject()
+            : formatLexical(item, metaInfo.xsdType)
         );
       } else {
         // Handle simple properties
-        obj[xmlName] = stringifyValue(value);
+        obj[xmlName] = formatLexical(value, metaInfo.xsdType);
       }
     }
 
@@ -513,3 +2718,276 @@ export class Base {
     }
   }
 }
+
+/**
+ * Error thrown in strict mode when a value breaks the schema facets.
+ * The individual problems are available as `violations` (see Base#validate).
+ */
+export class ValidationError extends Error {
+  constructor(violations) {
+    super(violations.map(describeViolation).join("\n"));
+    this.name = "ValidationError";
+    this.violations = violations;
+  }
+}
+
+// The class of a simple value, whose static members its methods use.
+function simpleTypeOf(value) {
+  return /** @type {typeof SimpleType} */ (value.constructor);
+}
+
+/**
+ * Base class of the generated simpleType wrappers (enumerations and restrictions).
+ * Each generated class exposes the facets of its restriction (`static get facets()`)
+ * and the XSD type it restricts (`static get xsdBase()`). A type restricting another
+ * generated type extends its class; values are parsed, formatted and checked like the
+ * built-in type at the root of the chain. Generated classes give the type of their
+ * values (`T`) with an `@extends` tag. Instances convert like their value (`valueOf`,
+ * `toString`) but are not `String` objects, aliases of xs:string included.
+ * @template [T=any]
+ */
+export class SimpleType {
+  /**
+   * @param {*} value - The lexical value, another wrapper, or a normalized element
+   *   node (its `#text` is used).
+   */
+  constructor(value) {
+    if (value instanceof SimpleType) value = value.value;
+    this._value = simpleTypeOf(this).parse(value);
+    /**
+     * Called by the setter of generated enumerations with `--accessors-notification`,
+     * when a subclass defines it (see Base#_notifyPropertyChanged).
+     * @type {((property: string, oldValue: *, newValue: *) => void) | undefined}
+     */
+    this._notifyPropertyChanged;
+  }
+
+  /**
+   * Generated constructors and setters build element values with `_create` (see
+   * Base._create); simple values have no xsi:type to follow.
+   * @template {SimpleType} S
+   * @this {new (value?: any) => S}
+   * @param {*} value
+   * @returns {S}
+   */
+  static _create(value) {
+    return new this(value);
+  }
+
+  static get facets() {
+    return {};
+  }
+
+  static get xsdBase() {
+    return undefined;
+  }
+
+  /**
+   * Reads a lexical value (or a normalized text node) into the value space of the type.
+   * @param {*} value
+   * @returns {*}
+   */
+  static parse(value) {
+    return parseLexical(value, builtinTypeOf(this));
+  }
+
+  /**
+   * Writes a value of the type in its canonical lexical form.
+   * @param {*} value
+   * @returns {string}
+   */
+  static format(value) {
+    return formatLexical(value, builtinTypeOf(this));
+  }
+
+  /**
+   * Checks a value against the type, see SimpleType#validate.
+   * @param {*} value
+   * @param {string} [path]
+   * @returns {Array<{path: string, rule: string, value: *, expected: *}>}
+   */
+  static check(value, path = this.name) {
+    return validateSimpleValue(this, value, path);
+  }
+
+  /** @type {T} */
+  get value() {
+    return this._value;
+  }
+
+  /** @param {T|string|SimpleType<T>} v */
+  set value(v) {
+    const newVal = simpleTypeOf(this).parse(v instanceof SimpleType ? v.value : v);
+    this._assertValue("value", newVal);
+    this._value = newVal;
+  }
+
+  /**
+   * Checks the value against the facets of this type and of every generated type it
+   * derives from.
+   * @param {string} [path] - Path reported in the violations (defaults to the type name).
+   * @returns {Array<{path: string, rule: string, value: *, expected: *}>}
+   */
+  validate(path = this.constructor.name) {
+    return simpleTypeOf(this).check(this.value, path);
+  }
+
+  // Rejects an invalid value in strict mode (see Base.configure).
+  _assertValue(property, value) {
+    if (!runtimeOptions.strict) return;
+    const violations = simpleTypeOf(this).check(value);
+    if (violations.length) throw new ValidationError(violations);
+  }
+
+  valueOf() {
+    return this.value;
+  }
+
+  // The canonical lexical form of the value.
+  toString() {
+    return this.value === undefined || this.value === null
+      ? ""
+      : simpleTypeOf(this).format(this.value);
+  }
+
+  toJSON() {
+    return typeof this.value === "bigint" ? this.toString() : this.value;
+  }
+}
+
+/**
+ * Base class of generated xs:list types. The value is an array of items of the
+ * static `itemType` (a built-in QName or a generated SimpleType class), read from and
+ * written as a whitespace-separated list. Length facets count items.
+ * @template [T=any]
+ * @extends {SimpleType<Array<T>>}
+ */
+export class ListType extends SimpleType {
+  static get itemType() {
+    return undefined;
+  }
+
+  static parse(value) {
+    if (isTextNode(value)) value = value["#text"] !== undefined ? value["#text"] : "";
+    if (value === undefined || value === null) return value;
+    const items = Array.isArray(value) ? value : splitList(value);
+    return items.map((item) => parseWith(this.itemType, item));
+  }
+
+  static format(value) {
+    if (!Array.isArray(value)) return stringifyValue(value);
+    return value.map((item) => formatWith(this.itemType, item)).join(" ");
+  }
+
+  static check(value, path = this.name) {
+    if (typeof value === "string") value = splitList(value);
+    const violations = super.check(value, path);
+    if (Array.isArray(value)) {
+      value.forEach((item, i) =>
+        violations.push(...checkWith(this.itemType, item, `${path}[${i}]`))
+      );
+    }
+    return violations;
+  }
+}
+
+/**
+ * Base class of generated xs:union types. A value belongs to the first of the static
+ * `memberTypes` (built-in QNames or generated SimpleType classes), in declaration
+ * order, that accepts it; `memberType` tells which one matched.
+ * @template [T=any]
+ * @extends {SimpleType<T>}
+ */
+export class UnionType extends SimpleType {
+  static get memberTypes() {
+    return [];
+  }
+
+  /**
+   * Returns the first member type accepting the value, or undefined.
+   * @param {*} value - A lexical or typed value.
+   * @returns {string|Function|undefined}
+   */
+  static memberTypeOf(value) {
+    if (value === undefined || value === null) return undefined;
+    const lexical =
+      typeof value === "number"
+        ? DOUBLE_CONVERSION.format(value)
+        : stringifyValue(value);
+    return this.memberTypes.find(
+      (member) => !checkWith(member, lexical, "").length
+    );
+  }
+
+  static parse(value) {
+    if (isTextNode(value)) value = value["#text"] !== undefined ? value["#text"] : "";
+    if (typeof value !== "string") return value;
+    const member = this.memberTypeOf(value);
+    return member ? parseWith(member, value) : value;
+  }
+
+  static format(value) {
+    const member = this.memberTypeOf(value);
+    return member ? formatWith(member, value) : stringifyValue(value);
+  }
+
+  static check(value, path = this.name) {
+    const violations = super.check(value, path);
+    if (value !== undefined && value !== null && !this.memberTypeOf(value)) {
+      violations.push({
+        path,
+        rule: "memberTypes",
+        value,
+        expected: this.memberTypes.map((m) =>
+          typeof m === "function" ? m.name : m
+        ),
+      });
+    }
+    return violations;
+  }
+
+  // The member type the current value was read with.
+  get memberType() {
+    return /** @type {typeof UnionType} */ (this.constructor).memberTypeOf(this.value);
+  }
+}
+
+// Item and member types of lists and unions are built-in QNames or SimpleType classes.
+function parseWith(type, value) {
+  return typeof type === "function" ? type.parse(value) : parseLexical(value, type);
+}
+
+function formatWith(type, value) {
+  return typeof type === "function"
+    ? type.format(value)
+    : formatLexical(value, type);
+}
+
+function checkWith(type, value, path) {
+  return typeof type === "function"
+    ? type.check(value, path)
+    : checkBuiltin(value, type, path);
+}
+
+// The built-in type a simple type class ultimately restricts: the first `xsdBase`
+// along its class chain that is a built-in type.
+function builtinTypeOf(ctor) {
+  for (let c = ctor; c && c !== SimpleType; c = Object.getPrototypeOf(c)) {
+    if (XSD_BUILTINS[c.xsdBase]) return c.xsdBase;
+  }
+  return undefined;
+}
+
+// Check a value against the facets declared by a simple type class, its generated
+// ancestors and the built-in type they restrict.
+function validateSimpleValue(ctor, value, path) {
+  const builtin = builtinTypeOf(ctor);
+  const violations = [];
+  for (let c = ctor; c && c !== SimpleType; c = Object.getPrototypeOf(c)) {
+    if (Object.prototype.hasOwnProperty.call(c, "facets")) {
+      violations.push(...checkFacets(value, c.facets, builtin, path));
+    }
+  }
+  violations.push(...checkBuiltin(value, builtin, path));
+  return violations;
+}
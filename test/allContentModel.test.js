@@ -0,0 +1,91 @@
+// Unitary test: xs:all content models generate properties for their elements, which
+// are read in any order and written back in a stable (declaration) order.
+
+import { describe, it, expect } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:group name="Contact">
+    <xs:all>
+      <xs:element name="Email" type="xs:string"/>
+      <xs:element name="Phone" type="xs:string" minOccurs="0"/>
+    </xs:all>
+  </xs:group>
+  <xs:complexType name="Person">
+    <xs:all>
+      <xs:element name="Name" type="xs:string"/>
+      <xs:element name="Age" type="xs:int" minOccurs="0"/>
+      <xs:element name="Nickname" type="xs:string" minOccurs="0" maxOccurs="3"/>
+    </xs:all>
+    <xs:attribute name="Id" type="xs:string"/>
+  </xs:complexType>
+  <xs:complexType name="Supplier">
+    <xs:group ref="Contact"/>
+  </xs:complexType>
+  <xs:element name="Directory">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Person" type="Person" maxOccurs="unbounded"/>
+        <xs:element name="Supplier" type="Supplier" minOccurs="0"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `<Directory>
+    <Person Id="p1">
+        <Nickname>Bob</Nickname>
+        <Age>42</Age>
+        <Nickname>Bobby</Nickname>
+        <Name>Robert</Name>
+    </Person>
+    <Supplier>
+        <Phone>555</Phone>
+        <Email>sales@example.com</Email>
+    </Supplier>
+</Directory>`;
+
+describe("xs:all content models", () => {
+  it("generates properties for xs:all elements, including XSD 1.1 repeated ones and group references", async () => {
+    const { Person, Supplier } = await generateModule("all-model", xsd);
+    expect(Object.keys(Person.__getXSDMeta())).toEqual([
+      "Name",
+      "Age",
+      "Nickname",
+      "Id",
+    ]);
+    expect(Person.__getXSDMeta().Nickname.isList).toBe(true);
+    expect(Person.__getXSDTypeInfo().contentModel).toBe("all");
+    expect(Object.keys(Supplier.__getXSDMeta())).toEqual(["Email", "Phone"]);
+    expect(Supplier.__getXSDTypeInfo().contentModel).toBe("all");
+  });
+
+  it("reads elements in any order and writes them in declaration order", async () => {
+    const { Directory } = await generateModule("all-model-roundtrip", xsd, {
+      "only-string": false,
+    });
+    const directory = await Directory.fromXML(xml);
+    const [person] = directory.Person;
+    expect(person.Name).toBe("Robert");
+    expect(person.Age).toBe(42);
+    expect(person.Nickname).toEqual(["Bob", "Bobby"]);
+    expect(directory.Supplier.Email).toBe("sales@example.com");
+
+    const expected = `<Directory>
+    <Person Id="p1">
+        <Name>Robert</Name>
+        <Age>42</Age>
+        <Nickname>Bob</Nickname>
+        <Nickname>Bobby</Nickname>
+    </Person>
+    <Supplier>
+        <Email>sales@example.com</Email>
+        <Phone>555</Phone>
+    </Supplier>
+</Directory>`;
+    expect(directory.toXML()).toBe(expected);
+    const again = await Directory.fromXML(directory.toXML());
+    expect(again.toXML()).toBe(expected);
+  });
+});
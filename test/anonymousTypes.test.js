@@ -0,0 +1,144 @@
+// Unitary test: anonymous complex and simple types declared at any depth get generated
+// classes with deterministic names, following the configured naming strategy, and
+// colliding names get a numeric suffix.
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { parseXml } from "../src/xmlNormalizer.js";
+import { parseXsd } from "../src/parser.js";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:group name="Contact">
+    <xs:sequence>
+      <xs:element name="Phone">
+        <xs:complexType>
+          <xs:attribute name="kind">
+            <xs:simpleType>
+              <xs:restriction base="xs:string">
+                <xs:enumeration value="home"/>
+                <xs:enumeration value="work"/>
+              </xs:restriction>
+            </xs:simpleType>
+          </xs:attribute>
+        </xs:complexType>
+      </xs:element>
+    </xs:sequence>
+  </xs:group>
+  <xs:complexType name="Party">
+    <xs:sequence>
+      <xs:element name="Name" type="xs:string"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:complexType name="Customer">
+    <xs:complexContent>
+      <xs:extension base="Party">
+        <xs:sequence>
+          <xs:choice>
+            <xs:element name="Address">
+              <xs:complexType>
+                <xs:sequence>
+                  <xs:element name="Street" type="xs:string"/>
+                  <xs:element name="Geo">
+                    <xs:complexType>
+                      <xs:attribute name="lat" type="xs:decimal"/>
+                    </xs:complexType>
+                  </xs:element>
+                </xs:sequence>
+              </xs:complexType>
+            </xs:element>
+            <xs:group ref="Contact"/>
+          </xs:choice>
+        </xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:complexType name="Customer_Address">
+    <xs:attribute name="id" type="xs:string"/>
+  </xs:complexType>
+  <xs:element name="Customers">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Customer" type="Customer" maxOccurs="unbounded"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `<Customers>
+    <Customer>
+        <Name>Ada</Name>
+        <Address>
+            <Street>Main St</Street>
+            <Geo lat="48.85"></Geo>
+        </Address>
+    </Customer>
+    <Customer>
+        <Name>Bob</Name>
+        <Phone kind="work"></Phone>
+    </Customer>
+</Customers>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("anonymousTypes", xsd);
+});
+
+describe("Anonymous types", () => {
+  it("generates named classes for anonymous types at any depth", async () => {
+    const { Customers, Customer_Address_2, Customer_Address_2_Geo, Contact_Phone } =
+      mod;
+    expect(Customer_Address_2.__getXSDMeta().Geo.xsdType).toBe(
+      "Customer_Address_2_Geo"
+    );
+    expect(mod.Customer_Address.__getXSDMeta().id.isAttribute).toBe(true);
+    expect(mod.Contact_Phone_kind_Type.facets.enumeration).toEqual([
+      "home",
+      "work",
+    ]);
+
+    const customers = await Customers.fromXML(xml);
+    const [ada, bob] = customers.Customer;
+    expect(ada.Address).toBeInstanceOf(Customer_Address_2);
+    expect(ada.Address.Geo).toBeInstanceOf(Customer_Address_2_Geo);
+    expect(ada.Address.Geo.lat).toBe("48.85");
+    expect(bob.Phone).toBeInstanceOf(Contact_Phone);
+    expect(bob.Phone.kind.value).toBe("work");
+    expect(customers.toXML()).toBe(xml);
+  });
+
+  it("follows the configured naming strategy", async () => {
+    const names = async (naming) => {
+      const { complexTypes, simpleTypes } = parseXsd(await parseXml(xsd), {
+        "anonymous-type-naming": naming,
+      });
+      return [...complexTypes, ...simpleTypes].map((t) => t["@_name"]);
+    };
+    expect(await names("child")).toEqual([
+      "Party",
+      "Customer",
+      "Customer_Address",
+      "Customers",
+      "Address",
+      "Geo",
+      "Phone",
+      "kind_Type",
+    ]);
+    expect(
+      await names(({ parentName, name }) => `${parentName || "Root"}.${name}`)
+    ).toEqual([
+      "Party",
+      "Customer",
+      "Customer_Address",
+      "Root_Customers",
+      "Customer_Address_2",
+      "Customer_Address_2_Geo",
+      "Contact_Phone",
+      "Contact_Phone_kind",
+    ]);
+    await expect(names("short")).rejects.toThrow(
+      /Unknown anonymous type naming strategy/
+    );
+  });
+});
@@ -0,0 +1,98 @@
+// Unitary test: every built-in XSD datatype is handled as a plain value, and simple
+// types restricting built-ins (directly or through other simple types) inherit their
+// conversion and constraints.
+
+import { describe, it, expect } from "vitest";
+import { XSD_BUILTIN_TYPES, XSD_TYPE_TO_JS } from "../src/constants.js";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="Level">
+    <xs:restriction base="xs:byte">
+      <xs:minInclusive value="0"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="LowLevel">
+    <xs:restriction base="Level">
+      <xs:maxInclusive value="10"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:element name="Device">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Checksum" type="xs:hexBinary"/>
+        <xs:element name="Timeout" type="xs:duration"/>
+        <xs:element name="Extra" type="xs:anyType" minOccurs="0"/>
+      </xs:sequence>
+      <xs:attribute name="Port" type="xs:unsignedShort"/>
+      <xs:attribute name="Tags" type="xs:NMTOKENS"/>
+      <xs:attribute name="Name" type="xs:token"/>
+      <xs:attribute name="Level" type="LowLevel"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `<Device Port="8080" Tags="  alpha   beta " Name="main" Level="4">
+    <Checksum>0FB7</Checksum>
+    <Timeout>PT30S</Timeout>
+</Device>`;
+
+describe("Built-in datatypes", () => {
+  it("knows every built-in type of XSD 1.0 and 1.1 and its base", () => {
+    expect(Object.keys(XSD_BUILTIN_TYPES).length).toBeGreaterThanOrEqual(49);
+    for (const [name, { base }] of Object.entries(XSD_BUILTIN_TYPES)) {
+      if (name !== "xs:anyType") expect(XSD_BUILTIN_TYPES[base]).toBeDefined();
+    }
+    expect(XSD_TYPE_TO_JS["xs:unsignedInt"]).toBe("number");
+    expect(XSD_TYPE_TO_JS["xs:IDREFS"]).toBe("string[]");
+    expect(XSD_BUILTIN_TYPES["xs:dateTimeStamp"].base).toBe("xs:dateTime");
+  });
+
+  it("generates plain values instead of wrapper classes", async () => {
+    const { Device } = await generateModule("builtin-types", xsd, {
+      "only-string": false,
+    });
+    const device = await Device.fromXML(xml);
+    expect(device.Port).toBe(8080);
+    expect(device.Tags).toEqual(["alpha", "beta"]);
+    expect(device.Name).toBe("main");
+    expect(device.Checksum).toBe("0FB7");
+    expect(device.Timeout).toBe("PT30S");
+    expect(device.Level.value).toBe(4);
+    expect(device.validate()).toEqual([]);
+    expect(device.toXML()).toBe(`<Device Port="8080" Tags="alpha beta" Name="main" Level="4">
+    <Checksum>0FB7</Checksum>
+    <Timeout>PT30S</Timeout>
+</Device>`);
+  });
+
+  it("checks the value space of built-in and derived types", async () => {
+    const { Device, LowLevel } = await generateModule(
+      "builtin-types-validate",
+      xsd,
+      { "only-string": false }
+    );
+    const device = new Device({
+      "@_Port": "70000",
+      "@_Tags": "ok no/slash",
+      "@_Level": "11",
+      Checksum: "ABC",
+      Timeout: "30 seconds",
+    });
+    expect(device.validate().map(({ path, rule }) => `${path} ${rule}`)).toEqual([
+      "Device.Checksum pattern",
+      "Device.Timeout pattern",
+      "Device.@Port maxInclusive",
+      "Device.@Tags[1] pattern",
+      "Device.@Level maxInclusive",
+    ]);
+    expect(new LowLevel("-1").validate()).toMatchObject([
+      { rule: "minInclusive", expected: "0" },
+    ]);
+    expect(new LowLevel("200").validate().map((v) => v.rule)).toEqual([
+      "maxInclusive",
+      "maxInclusive",
+    ]);
+  });
+});
@@ -0,0 +1,136 @@
+// Unitary test: xs:choice groups are described in the generated metadata, their active
+// branch is exposed, multiple branches are reported by validate(), and the elements of
+// a repeating choice keep their document order.
+
+import { describe, it, expect, beforeAll, afterEach } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:complexType name="Payment">
+    <xs:sequence>
+      <xs:element name="Amount" type="xs:decimal"/>
+      <xs:choice>
+        <xs:element name="Card" type="xs:string"/>
+        <xs:element name="Iban" type="xs:string"/>
+        <xs:sequence>
+          <xs:element name="Bank" type="xs:string"/>
+          <xs:element name="Account" type="xs:string"/>
+        </xs:sequence>
+      </xs:choice>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:complexType name="Shape">
+    <xs:attribute name="Id" type="xs:string"/>
+  </xs:complexType>
+  <xs:element name="Drawing">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:choice minOccurs="0" maxOccurs="unbounded">
+          <xs:element name="Circle" type="Shape"/>
+          <xs:element name="Square" type="Shape"/>
+          <xs:element name="Note" type="xs:string"/>
+        </xs:choice>
+        <xs:element name="Payment" type="Payment" minOccurs="0"/>
+      </xs:sequence>
+      <xs:attribute name="Title" type="xs:string"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `<Drawing Title="shapes">
+    <Circle Id="c1"></Circle>
+    <Square Id="s1"></Square>
+    <Note>between</Note>
+    <Circle Id="c2"></Circle>
+</Drawing>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("choice", xsd);
+});
+
+afterEach(() => {
+  mod.Base.configure({ exclusiveChoices: false });
+});
+
+describe("xs:choice modeling", () => {
+  it("describes choice groups and their branches in the metadata", () => {
+    const { Payment, Drawing } = mod;
+    expect(Payment.__getXSDChoices()).toEqual({
+      "Payment.choice1": {
+        repeated: false,
+        required: true,
+        branches: [["Card"], ["Iban"], ["Bank", "Account"]],
+      },
+    });
+    expect(Payment.__getXSDMeta().Bank.choice).toBe("Payment.choice1");
+    expect(Payment.__getXSDMeta().Amount.choice).toBeUndefined();
+    expect(Drawing.__getXSDChoices()["Drawing.choice1"].repeated).toBe(true);
+    expect(Drawing.__getXSDMeta().Note.isList).toBe(true);
+  });
+
+  it("exposes the active branch and reports several branches set", () => {
+    const payment = new mod.Payment({ Amount: "10", Iban: "FR76" });
+    expect(payment.activeChoice("Card")).toBe("Iban");
+    expect(payment.validate()).toEqual([]);
+
+    payment.Account = "123";
+    expect(payment.activeChoice("Card")).toBe("Iban");
+    expect(payment.validate()).toEqual([
+      {
+        path: "Payment",
+        rule: "choice",
+        value: ["Iban", "Account"],
+        expected: [["Card"], ["Iban"], ["Bank", "Account"]],
+      },
+    ]);
+    expect(() => payment.activeChoice("Amount")).toThrow(/not part of an xs:choice/);
+  });
+
+  it("clears the other branches when exclusive choices are enabled", () => {
+    const payment = new mod.Payment({ Amount: "10", Card: "4111" });
+    payment.Iban = "FR76";
+    expect(payment.Card).toBe("4111");
+
+    mod.Base.configure({ exclusiveChoices: true });
+    payment.Bank = "ACME";
+    expect(payment.Card).toBeUndefined();
+    expect(payment.Iban).toBeUndefined();
+    expect(payment.activeChoice("Iban")).toBe("Bank");
+    expect(payment.validate()).toEqual([]);
+  });
+
+  it("keeps the document order of a repeating choice", async () => {
+    const drawing = await mod.Drawing.fromXML(xml);
+    expect(drawing.Circle.map((c) => c.Id)).toEqual(["c1", "c2"]);
+    expect(drawing.toXML()).toBe(xml);
+
+    const items = drawing.getChoiceItems("Note");
+    expect(items.map((item) => Object.keys(item)[0])).toEqual([
+      "Circle",
+      "Square",
+      "Note",
+      "Circle",
+    ]);
+    expect(items[2]).toEqual({ Note: "between" });
+    expect(drawing.activeChoice("Note")).toBe("Circle");
+  });
+
+  it("writes an ordered heterogeneous list back in its order", () => {
+    const drawing = new mod.Drawing({ "@_Title": "built" });
+    drawing.setChoiceItems("Circle", [
+      { Note: "first" },
+      { Square: { "@_Id": "s1" } },
+      { Note: "last" },
+    ]);
+    expect(drawing.Note).toEqual(["first", "last"]);
+    expect(drawing.Square[0]).toBeInstanceOf(mod.Shape);
+    expect(drawing.toXML()).toBe(`<Drawing Title="built">
+    <Note>first</Note>
+    <Square Id="s1"></Square>
+    <Note>last</Note>
+</Drawing>`);
+  });
+});
@@ -0,0 +1,157 @@
+// Unitary test: --declarations writes TypeScript declarations next to the generated
+// modules: classes with their constructor data and typed accessors, simple types with
+// their values (enumerations as string-literal unions) and the Base runtime API.
+
+import fs from "fs";
+import path from "path";
+import { describe, it, expect, beforeAll } from "vitest";
+import { parseXml } from "../src/xmlNormalizer.js";
+import { parseXsd } from "../src/parser.js";
+import { buildClassCode, buildSimpleTypeCode } from "../src/generator.js";
+import { writeOutput } from "../src/writer.js";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="ModeType">
+    <xs:restriction base="xs:string">
+      <xs:enumeration value="auto"/>
+      <xs:enumeration value="manual"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="CodeType">
+    <xs:restriction base="xs:string">
+      <xs:maxLength value="8"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="SizeList">
+    <xs:list itemType="xs:int"/>
+  </xs:simpleType>
+  <xs:complexType name="Item">
+    <xs:sequence>
+      <xs:element name="Label" type="xs:string"/>
+      <xs:element name="Note" type="xs:string" minOccurs="0" nillable="true"/>
+      <xs:element name="Count" type="xs:int" minOccurs="0" maxOccurs="unbounded"/>
+      <xs:element name="Sizes" type="SizeList" minOccurs="0"/>
+    </xs:sequence>
+    <xs:attribute name="Code" type="CodeType" use="required"/>
+    <xs:attribute name="Mode" type="ModeType" default="auto"/>
+  </xs:complexType>
+  <xs:complexType name="Order">
+    <xs:sequence>
+      <xs:element name="Item" type="Item" maxOccurs="unbounded"/>
+    </xs:sequence>
+    <xs:attribute name="Id" type="xs:long"/>
+  </xs:complexType>
+  <xs:complexType name="UrgentOrder">
+    <xs:complexContent>
+      <xs:extension base="Order">
+        <xs:attribute name="Deadline" type="xs:date"/>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+</xs:schema>`;
+
+const outputDir = path.resolve("test", "generated-unit", "declarations");
+const read = (file) => fs.readFileSync(path.join(outputDir, file), "utf-8");
+
+beforeAll(async () => {
+  await generateModule("declarations", xsd, {
+    declarations: true,
+    "only-string": false,
+  });
+});
+
+describe("TypeScript declarations", () => {
+  it("writes a declaration file next to every generated module", () => {
+    ["Base", "simpleTypes", "Item", "Order", "UrgentOrder", "index"].forEach(
+      (name) => expect(fs.existsSync(path.join(outputDir, `${name}.d.ts`))).toBe(true)
+    );
+    expect(read("index.d.ts")).toBe(read("index.js"));
+  });
+
+  it("declares the constructor data and typed accessors of a class", () => {
+    const item = read("Item.d.ts");
+    expect(item).toContain(
+      "import { SizeList, SizeList_Data, CodeType, CodeType_Data, ModeType, ModeType_Data } from './simpleTypes.js';"
+    );
+    expect(item).toContain("export interface Item_Data {");
+    expect(item).toContain('    "@_Code"?: CodeType | CodeType_Data;');
+    expect(item).toContain("    Count?: Array<number | string> | number | string;");
+    expect(item).toContain("export declare class Item extends Base {");
+    expect(item).toContain("    constructor(data?: Item_Data);");
+    // Required and defaulted values are always there, optional ones may be undefined
+    expect(item).toContain("    get Label(): string;");
+    expect(item).toContain("    get Code(): CodeType;");
+    expect(item).toContain("    get Mode(): ModeType;");
+    expect(item).toContain("    get Sizes(): SizeList | undefined;");
+    expect(item).toContain("    set Sizes(v: SizeList | SizeList_Data | undefined);");
+    // Nil elements are null, lists are arrays
+    expect(item).toContain("    get Note(): string | null | undefined;");
+    expect(item).toContain("    get Count(): number[];");
+  });
+
+  it("imports the classes a class references and extends its parent's data", () => {
+    expect(read("Order.d.ts")).toContain("import { Item, Item_Data } from './Item.js';");
+    expect(read("Order.d.ts")).toContain("    get Id(): number | bigint | undefined;");
+    const urgent = read("UrgentOrder.d.ts");
+    expect(urgent).toContain("import { Order, Order_Data } from './Order.js';");
+    expect(urgent).toContain("export interface UrgentOrder_Data extends Order_Data {");
+    expect(urgent).toContain("export declare class UrgentOrder extends Order {");
+  });
+
+  it("declares enumerations as string-literal unions and lists as arrays", () => {
+    const simpleTypes = read("simpleTypes.d.ts");
+    expect(simpleTypes).toContain('export type ModeType_Value = "auto" | "manual";');
+    expect(simpleTypes).toContain(
+      "export declare class ModeType extends SimpleType<ModeType_Value> {"
+    );
+    expect(simpleTypes).toContain("    static get values(): ModeType_Value[];");
+    expect(simpleTypes).toContain("export type CodeType_Value = string;");
+    expect(simpleTypes).toContain("export type SizeList_Value = number[];");
+    expect(simpleTypes).toContain("export declare class SizeList extends ListType<number> {}");
+  });
+
+  it("declares the Base runtime API", () => {
+    const base = read("Base.d.ts");
+    expect(base).toContain("static fromXML<T extends Base>(");
+    expect(base).toContain(
+      "toXML(rootName?: string, indentLevel?: number, options?: ToXMLOptions): string;"
+    );
+    expect(base).toContain("toObject(): Record<string, unknown>;");
+    expect(base).toContain("subscribe(listener: PropertyChangeListener): symbol;");
+  });
+
+  it("types built-in values as strings with only-string", async () => {
+    await generateModule("declarationsOnlyString", xsd, { declarations: true });
+    const item = fs.readFileSync(
+      path.resolve("test", "generated-unit", "declarationsOnlyString", "Item.d.ts"),
+      "utf-8"
+    );
+    expect(item).toContain("    get Count(): string[];");
+    expect(item).toContain("    set Count(v: Array<number | string> | number | string | undefined);");
+  });
+
+  it("writes a single declaration file next to a single output file", async () => {
+    const config = {
+      output: path.resolve("test", "generated-unit", "declarationsSingle", "model.js"),
+      "transparent-attributes": true,
+      "generate-accessors": true,
+      declarations: true,
+    };
+    const schemaObj = await parseXml(xsd);
+    const { complexTypes, simpleTypes } = parseXsd(schemaObj, config);
+    writeOutput({
+      generatedClasses: complexTypes.map((t) => buildClassCode(t, config, schemaObj)),
+      generatedSimpleTypes: simpleTypes.map((t) => buildSimpleTypeCode(t, config)),
+      config,
+    });
+    const declarations = fs.readFileSync(config.output.replace(/js$/, "d.ts"), "utf-8");
+    expect(declarations).toContain("declare class Base {");
+    expect(declarations).toContain("declare class Order extends Base {");
+    expect(declarations).not.toContain("export declare");
+    expect(declarations).toContain(
+      "export { Base, SimpleType, ListType, UnionType, ValidationError };"
+    );
+  });
+});
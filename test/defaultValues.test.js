@@ -0,0 +1,113 @@
+// Unitary test: default and fixed values are recorded in the metadata, returned by the
+// getters of absent properties, written by toXML only when requested, and fixed values
+// are enforced by setters and validation, compared as values of their declared type.
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="ModeType">
+    <xs:restriction base="xs:string">
+      <xs:enumeration value="auto"/>
+      <xs:enumeration value="manual"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:complexType name="Setting">
+    <xs:sequence>
+      <xs:element name="Label" type="xs:string"/>
+      <xs:element name="Status" type="xs:string" default="Active" minOccurs="0"/>
+    </xs:sequence>
+    <xs:attribute name="Version" type="xs:int" default="1"/>
+    <xs:attribute name="Scale" type="xs:decimal" fixed="2.0"/>
+    <xs:attribute name="Mode" type="ModeType" default="auto"/>
+  </xs:complexType>
+  <xs:complexType name="Release">
+    <xs:attribute name="Scale" type="xs:decimal" fixed="2.0"/>
+    <xs:attribute name="Code" type="xs:string" fixed="007"/>
+    <xs:attribute name="Since" type="xs:string" fixed="2024-01-01"/>
+    <xs:attribute name="Unit" type="xs:token" fixed="m/s"/>
+  </xs:complexType>
+</xs:schema>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("defaultValues", xsd, { "only-string": false });
+});
+
+describe("Default and fixed values", () => {
+  it("records default and fixed values in the metadata", () => {
+    const meta = mod.Setting.__getXSDMeta();
+    expect(meta.Version.default).toBe("1");
+    expect(meta.Scale.fixed).toBe("2.0");
+    expect(meta.Status.default).toBe("Active");
+    expect(meta.Label.default).toBeUndefined();
+  });
+
+  it("returns the default of absent properties without writing it", async () => {
+    const setting = await mod.Setting.fromXML(
+      `<Setting><Label>Speed</Label></Setting>`
+    );
+    expect(setting.Version).toBe(1);
+    expect(setting.Scale).toBe(2);
+    expect(setting.Status).toBe("Active");
+    expect(setting.Mode).toBeInstanceOf(mod.ModeType);
+    expect(String(setting.Mode)).toBe("auto");
+    expect(setting.toXML()).toBe(`<Setting>
+    <Label>Speed</Label>
+</Setting>`);
+    expect(setting.toXML("Setting", { defaults: "materialize" }))
+      .toBe(`<Setting Version="1" Scale="2.0" Mode="auto">
+    <Label>Speed</Label>
+    <Status>Active</Status>
+</Setting>`);
+  });
+
+  it("keeps values that are set", () => {
+    const setting = new mod.Setting({ Label: "Speed", "@_Version": "3" });
+    expect(setting.Version).toBe(3);
+    setting.Status = "Paused";
+    expect(setting.toXML()).toBe(`<Setting Version="3">
+    <Label>Speed</Label>
+    <Status>Paused</Status>
+</Setting>`);
+    expect(() => setting.toXML("Setting", { defaults: "always" })).toThrow(
+      "Unknown defaults option: always"
+    );
+  });
+
+  it("enforces fixed values in setters and validation", () => {
+    const setting = new mod.Setting({ Label: "Speed" });
+    setting.Scale = "2";
+    expect(setting.Scale).toBe(2);
+    expect(() => (setting.Scale = 3)).toThrow(mod.ValidationError);
+    const read = new mod.Setting({ Label: "Speed", "@_Scale": "2.5" });
+    expect(read.validate()).toEqual([
+      { path: "Setting.@Scale", rule: "fixed", value: 2.5, expected: "2.0" },
+    ]);
+  });
+
+  it("compares fixed values as values of the declared type", () => {
+    const release = new mod.Release({
+      "@_Scale": "2.00",
+      "@_Code": "7",
+      "@_Since": "2024-01-01T00:00:00Z",
+      "@_Unit": " m/s ",
+    });
+    // Strings that look like numbers or dates are compared as strings
+    expect(release.validate()).toEqual([
+      { path: "Release.@Code", rule: "fixed", value: "7", expected: "007" },
+      {
+        path: "Release.@Since",
+        rule: "fixed",
+        value: "2024-01-01T00:00:00Z",
+        expected: "2024-01-01",
+      },
+    ]);
+    release.Code = "007";
+    release.Since = "2024-01-01";
+    expect(release.validate()).toEqual([]);
+    expect(() => (release.Code = "7.0")).toThrow(mod.ValidationError);
+  });
+});
@@ -0,0 +1,144 @@
+// Unitary test: complex types derived by restriction extend their base class (and
+// the occurrences they narrow are checked), and simpleContent types derived from other
+// complex types inherit the text and the attributes of every ancestor.
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:complexType name="Shape">
+    <xs:sequence>
+      <xs:element name="Name" type="xs:string"/>
+      <xs:element name="Tag" type="xs:string" minOccurs="0" maxOccurs="unbounded"/>
+    </xs:sequence>
+    <xs:attribute name="Id" type="xs:string"/>
+  </xs:complexType>
+  <xs:complexType name="Square">
+    <xs:complexContent>
+      <xs:restriction base="Shape">
+        <xs:sequence>
+          <xs:element name="Name" type="xs:string"/>
+          <xs:element name="Tag" type="xs:string" minOccurs="0"/>
+        </xs:sequence>
+      </xs:restriction>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:complexType name="Polygon">
+    <xs:complexContent>
+      <xs:restriction base="Shape">
+        <xs:sequence>
+          <xs:element name="Name" type="xs:string"/>
+          <xs:element name="Tag" type="xs:string" minOccurs="0" maxOccurs="2"/>
+        </xs:sequence>
+      </xs:restriction>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:complexType name="Price">
+    <xs:simpleContent>
+      <xs:extension base="xs:decimal">
+        <xs:attribute name="Currency" type="xs:string"/>
+      </xs:extension>
+    </xs:simpleContent>
+  </xs:complexType>
+  <xs:complexType name="LocalPrice">
+    <xs:simpleContent>
+      <xs:extension base="Price">
+        <xs:attribute name="Region" type="xs:string"/>
+      </xs:extension>
+    </xs:simpleContent>
+  </xs:complexType>
+  <xs:complexType name="CappedPrice">
+    <xs:simpleContent>
+      <xs:restriction base="LocalPrice">
+        <xs:maxInclusive value="100"/>
+      </xs:restriction>
+    </xs:simpleContent>
+  </xs:complexType>
+  <xs:element name="Catalog">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Square" type="Square"/>
+        <xs:element name="Price" type="CappedPrice"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `<Catalog>
+    <Square Id="s1">
+        <Name>tile</Name>
+        <Tag>blue</Tag>
+    </Square>
+    <Price Currency="EUR" Region="north">42.50</Price>
+</Catalog>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("derivation", xsd, { "only-string": false });
+});
+
+describe("Type derivation", () => {
+  it("extends the base class of a complexContent restriction", async () => {
+    const { Catalog, Shape, Square } = mod;
+    expect(Object.getPrototypeOf(Square)).toBe(Shape);
+    expect(Square.__getXSDMeta().Tag.isList).toBe(false);
+    expect(Shape.__getXSDMeta().Tag.isList).toBe(true);
+
+    const catalog = await Catalog.fromXML(xml);
+    expect(catalog.Square).toBeInstanceOf(Shape);
+    expect(catalog.Square.Id).toBe("s1");
+    expect(catalog.Square.Tag).toBe("blue");
+  });
+
+  it("checks the maxOccurs a complexContent restriction narrows", () => {
+    const { Shape, Polygon } = mod;
+    expect(Polygon.__getXSDMeta().Tag.maxOccurs).toBe(2);
+    const polygon = new Polygon({ Name: "hexagon", Tag: ["a", "b", "c"] });
+    const violation = { path: "Polygon.Tag", rule: "maxOccurs", value: 3, expected: 2 };
+    expect(polygon.validate()).toEqual([violation]);
+    expect(() => polygon.toXML(undefined, { required: "strict" })).toThrow(
+      "Polygon.Tag: value 3 violates maxOccurs (expected 2)"
+    );
+    const warnings = [];
+    polygon.toXML(undefined, { required: "lenient", onWarning: (v) => warnings.push(v) });
+    expect(warnings).toEqual([violation]);
+
+    polygon.Tag = ["a", "b"];
+    expect(polygon.validate()).toEqual([]);
+    expect(() => polygon.toXML(undefined, { required: "strict" })).not.toThrow();
+    expect(new Shape({ Name: "hexagon", Tag: ["a", "b", "c"] }).validate()).toEqual([]);
+  });
+
+  it("inherits text and attributes through simpleContent derivations", async () => {
+    const { Catalog, Price, LocalPrice, CappedPrice } = mod;
+    expect(Object.getPrototypeOf(LocalPrice)).toBe(Price);
+    expect(Object.getPrototypeOf(CappedPrice)).toBe(LocalPrice);
+    expect(Object.keys(LocalPrice.__getXSDMeta())).toEqual(["Region"]);
+
+    const catalog = await Catalog.fromXML(xml);
+    const price = catalog.Price;
+    expect(price.Currency).toBe("EUR");
+    expect(price.Region).toBe("north");
+    expect(price.value.value).toBe(42.5);
+    expect(catalog.toXML()).toBe(xml.replace("42.50", "42.5"));
+    expect(price.toObject()).toEqual({
+      "#": "42.5",
+      $: { Currency: "EUR", Region: "north" },
+    });
+  });
+
+  it("checks the facets of a simpleContent restriction against the inherited text type", async () => {
+    const { CappedPrice, CappedPrice_Content_Type } = mod;
+    expect(CappedPrice_Content_Type.facets).toEqual({ maxInclusive: "100" });
+    expect(CappedPrice_Content_Type.xsdBase).toBe("xs:decimal");
+
+    const price = new CappedPrice({ "#text": "150", "@_Currency": "EUR" });
+    expect(price.validate()).toMatchObject([
+      { path: "CappedPrice", rule: "maxInclusive", expected: "100" },
+    ]);
+    price.value = "99.5";
+    expect(price.validate()).toEqual([]);
+  });
+});
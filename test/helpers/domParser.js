@@ -0,0 +1,42 @@
+// Test helper: DOMParsers built on @xmldom/xmldom that, like browsers, return a document
+// with a <parsererror> element for text that is not well-formed where xmldom throws.
+// Chromium and WebKit put an XHTML <parsererror> inside the root element of what they
+// could read, Firefox returns a <parsererror> document.
+
+import { DOMParser } from "@xmldom/xmldom";
+
+const escapeText = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;");
+
+// A DOMParser that parses the document `errorDocument(message, text)` returns when
+// xmldom cannot parse the text
+const browserDOMParser = (errorDocument) =>
+  class extends DOMParser {
+    parseFromString(text, mimeType) {
+      try {
+        return new DOMParser({ onError: () => {} }).parseFromString(text, mimeType);
+      } catch (e) {
+        return new DOMParser().parseFromString(
+          errorDocument(escapeText(e.message), text),
+          mimeType
+        );
+      }
+    }
+  };
+
+export const ChromiumDOMParser = browserDOMParser((message, text) => {
+  // The root element, without its prefix and namespace declarations
+  const root = (/<(?:[^\s/>?!:]+:)?([^\s/>?!:]+)/.exec(text) || [])[1] || "html";
+  return (
+    `<${root}><parsererror xmlns="http://www.w3.org/1999/xhtml">` +
+    `<h3>This page contains the following errors:</h3><div>${message}</div>` +
+    `<h3>Below is a rendering of the page up to the first error.</h3>` +
+    `</parsererror></${root}>`
+  );
+});
+
+export const FirefoxDOMParser = browserDOMParser(
+  (message, text) =>
+    `<parsererror xmlns="http://www.mozilla.org/newlayout/xml/parsererror.xml">` +
+    `XML Parsing Error: ${message}<sourcetext>${escapeText(text)}</sourcetext>` +
+    `</parsererror>`
+);
@@ -0,0 +1,41 @@
+// Test helper: generate classes from an inline XSD into test/generated-unit/<name>
+// and import the generated index module.
+
+import path from "path";
+import { pathToFileURL } from "url";
+import { parseXml } from "../../src/xmlNormalizer.js";
+import { loadSchemaSet } from "../../src/schemaLoader.js";
+import { parseXsd } from "../../src/parser.js";
+import { buildClassCode, buildSimpleTypeCode } from "../../src/generator.js";
+import { writeOutput } from "../../src/writer.js";
+
+export async function generateModule(name, xsd, overrides = {}) {
+  return generateFromSchema(name, await parseXml(xsd), overrides);
+}
+
+// Same as generateModule, for a schema file and the documents it includes or imports.
+export async function generateModuleFromFile(name, file, overrides = {}) {
+  const { schemaObj } = await loadSchemaSet(file);
+  return generateFromSchema(name, schemaObj, overrides);
+}
+
+async function generateFromSchema(name, schemaObj, overrides) {
+  const config = {
+    output: path.resolve("test", "generated-unit", name),
+    multipleFiles: true,
+    "transparent-attributes": true,
+    "text-attribute-name": "value",
+    "generate-accessors": true,
+    "accessors-notification": true,
+    ...overrides,
+  };
+  const { complexTypes, simpleTypes } = parseXsd(schemaObj, config);
+  const generatedClasses = complexTypes.map((typeDef) =>
+    buildClassCode(typeDef, config, schemaObj)
+  );
+  const generatedSimpleTypes = simpleTypes.map((t) =>
+    buildSimpleTypeCode(t, config)
+  );
+  writeOutput({ generatedClasses, generatedSimpleTypes, config });
+  return import(pathToFileURL(path.join(config.output, "index.js")).href);
+}
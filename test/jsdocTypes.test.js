@@ -0,0 +1,162 @@
+// Unitary test: generated classes carry JSDoc typed from the schema (constructor data
+// typedefs, accessor and enumeration types, list and union values, nullable and optional
+// markers) together with the xs:documentation of types, elements and enumeration values.
+
+import fs from "fs";
+import path from "path";
+import ts from "typescript";
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule, generateModuleFromFile } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="ModeType">
+    <xs:annotation><xs:documentation>How the setting is applied.</xs:documentation></xs:annotation>
+    <xs:restriction base="xs:string">
+      <xs:enumeration value="auto">
+        <xs:annotation><xs:documentation>Chosen by the device.</xs:documentation></xs:annotation>
+      </xs:enumeration>
+      <xs:enumeration value="manual"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="SizeList">
+    <xs:list itemType="xs:int"/>
+  </xs:simpleType>
+  <xs:simpleType name="Level">
+    <xs:union memberTypes="xs:int ModeType"/>
+  </xs:simpleType>
+  <xs:simpleType name="CodeType">
+    <xs:annotation><xs:documentation>Ends a comment: */</xs:documentation></xs:annotation>
+    <xs:restriction base="xs:string">
+      <xs:maxLength value="3"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:element name="Comment" type="xs:string">
+    <xs:annotation><xs:documentation>A free comment.</xs:documentation></xs:annotation>
+  </xs:element>
+  <xs:complexType name="Item">
+    <xs:annotation>
+      <xs:documentation>
+        One line of an order.
+        Counted once.
+      </xs:documentation>
+    </xs:annotation>
+    <xs:sequence>
+      <xs:element name="Label" type="xs:string">
+        <xs:annotation><xs:documentation>Shown to users.</xs:documentation></xs:annotation>
+      </xs:element>
+      <xs:element name="Note" type="xs:string" minOccurs="0" nillable="true"/>
+      <xs:element name="Count" type="xs:int" minOccurs="0" maxOccurs="unbounded"/>
+      <xs:element name="Sizes" type="SizeList" minOccurs="0"/>
+      <xs:element name="Level" type="Level" minOccurs="0"/>
+      <xs:element ref="Comment" minOccurs="0"/>
+    </xs:sequence>
+    <xs:attribute name="Code" type="CodeType" use="required"/>
+    <xs:attribute name="Mode" type="ModeType" default="auto"/>
+  </xs:complexType>
+  <xs:complexType name="Order">
+    <xs:sequence>
+      <xs:element name="Item" type="Item" maxOccurs="unbounded"/>
+    </xs:sequence>
+  </xs:complexType>
+</xs:schema>`;
+
+const read = (name, file) =>
+  fs.readFileSync(path.resolve("test", "generated-unit", name, file), "utf-8");
+
+// The errors of `tsc --checkJs` on the modules generated in test/generated-unit/<name>
+const checkJs = (name) => {
+  const dir = path.resolve("test", "generated-unit", name);
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".js"))
+    .map((f) => path.join(dir, f));
+  const program = ts.createProgram(files, {
+    allowJs: true,
+    checkJs: true,
+    noEmit: true,
+    skipLibCheck: true,
+    target: ts.ScriptTarget.ES2022,
+    module: ts.ModuleKind.NodeNext,
+    moduleResolution: ts.ModuleResolutionKind.NodeNext,
+  });
+  return ts.getPreEmitDiagnostics(program).map((d) => {
+    const message = ts.flattenDiagnosticMessageText(d.messageText, "\n");
+    if (!d.file) return message;
+    const { line } = d.file.getLineAndCharacterOfPosition(d.start);
+    return `${path.basename(d.file.fileName)}:${line + 1}: ${message}`;
+  });
+};
+
+beforeAll(async () => {
+  await generateModule("jsdocTypes", xsd, { "only-string": false });
+});
+
+describe("JSDoc types and schema documentation", () => {
+  it("documents a class and types its constructor data", () => {
+    const item = read("jsdocTypes", "Item.js");
+    expect(item).toContain(" * One line of an order.\n * Counted once.\n */\nexport class Item");
+    expect(item).toContain(" * @typedef {{\n *     Label?: string,\n");
+    expect(item).toContain(' *     "@_Code"?: CodeType | CodeType_Data,\n');
+    expect(item).toContain(" * }} Item_Data");
+    expect(item).toContain("     * @param {Item_Data} [data]\n     */\n    constructor(data = {}) {");
+    expect(item).toContain(
+      "/** @import { SizeList_Data, Level_Data, CodeType_Data, ModeType_Data } from './simpleTypes.js' */"
+    );
+    expect(read("jsdocTypes", "Order.js")).toContain(
+      "/** @import { Item_Data } from './Item.js' */"
+    );
+  });
+
+  it("types the accessors, with the documentation of their element", () => {
+    const item = read("jsdocTypes", "Item.js");
+    expect(item).toContain(
+      "     * Shown to users.\n     *\n     * @type {string}\n     */\n    get Label()"
+    );
+    expect(item).toContain("     * @type {string | null | undefined}\n     */\n    get Note()");
+    expect(item).toContain("     * @type {number[]}\n     */\n    get Count()");
+    expect(item).toContain(
+      "     * @param {Array<number | string> | number | string | undefined} v\n     */\n    set Count(v)"
+    );
+    expect(item).toContain("     * @type {SizeList | undefined}\n     */\n    get Sizes()");
+    expect(item).toContain("     * @type {ModeType}\n     */\n    get Mode()");
+    // The documentation of a referenced element follows the reference
+    expect(item).toContain("     * A free comment.\n     *\n     * @type {string | undefined}");
+  });
+
+  it("types the fields when there are no accessors", async () => {
+    await generateModule("jsdocTypesFields", xsd, { "generate-accessors": false });
+    const item = read("jsdocTypesFields", "Item.js");
+    expect(item).toContain(
+      "         * Shown to users.\n         *\n         * @type {string}\n         */\n        this.Label ="
+    );
+    expect(item).toContain("         * @type {string[]}\n         */\n        this.Count =");
+  });
+
+  it("types simple types and documents enumeration values", () => {
+    const simpleTypes = read("jsdocTypes", "simpleTypes.js");
+    expect(simpleTypes).toContain('/** @typedef {"auto" | "manual"} ModeType_Value */');
+    expect(simpleTypes).toContain(
+      ' * How the setting is applied.\n *\n * - "auto": Chosen by the device.\n *\n * @extends {SimpleType<ModeType_Value>}'
+    );
+    expect(simpleTypes).toContain("/** @typedef {number[]} SizeList_Value */");
+    expect(simpleTypes).toContain(" * @extends {ListType<number>}");
+    expect(simpleTypes).toContain(" * @extends {UnionType<Level_Value>}");
+    // A closing comment marker in the documentation is escaped
+    expect(simpleTypes).toContain(" * Ends a comment: *\\/\n");
+  });
+
+  it("passes tsc --checkJs", async () => {
+    expect(checkJs("jsdocTypes")).toEqual([]);
+    // The runtime declarations stand for Base.js next to it
+    await generateModule("jsdocTypesDeclarations", xsd, { declarations: true });
+    expect(checkJs("jsdocTypesDeclarations")).toEqual([]);
+    // Static metadata of a class hierarchy, choices, enumerations with notifications
+    await generateModuleFromFile(
+      "jsdocTypesNodeSet",
+      path.resolve("examples", "UANodeSet.xsd"),
+      { "XSD-type": true, "XML-type": true }
+    );
+    expect(checkJs("jsdocTypesNodeSet")).toEqual([]);
+  }, 120000);
+});
@@ -0,0 +1,263 @@
+// Unitary test: --json-schema writes a JSON Schema (2020-12) of the objects toObject
+// produces: one $defs entry per type, inheritance through allOf, facets as string
+// constraints, arrays for list properties and required content from occurrences.
+
+import fs from "fs";
+import path from "path";
+import { describe, it, expect, beforeAll } from "vitest";
+import Ajv2020 from "ajv/dist/2020.js";
+import { parseXml } from "../src/xmlNormalizer.js";
+import { parseXsd } from "../src/parser.js";
+import { buildClassCode, buildSimpleTypeCode } from "../src/generator.js";
+import { writeOutput } from "../src/writer.js";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="ModeType">
+    <xs:annotation><xs:documentation>How the setting is applied.</xs:documentation></xs:annotation>
+    <xs:restriction base="xs:string">
+      <xs:enumeration value="auto"/>
+      <xs:enumeration value="manual"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="CodeType">
+    <xs:restriction base="xs:string">
+      <xs:pattern value="[A-Z]+"/>
+      <xs:maxLength value="8"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="ShortCode">
+    <xs:restriction base="CodeType">
+      <xs:maxLength value="3"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="Percent">
+    <xs:restriction base="xs:int">
+      <xs:minInclusive value="0"/>
+      <xs:maxInclusive value="100"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="Ratio">
+    <xs:restriction base="xs:decimal">
+      <xs:minInclusive value="0"/>
+      <xs:maxExclusive value="1"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="SizeList">
+    <xs:list itemType="xs:int"/>
+  </xs:simpleType>
+  <xs:simpleType name="Pair">
+    <xs:restriction base="SizeList">
+      <xs:length value="2"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="Level">
+    <xs:union memberTypes="xs:int ModeType"/>
+  </xs:simpleType>
+  <xs:complexType name="Price">
+    <xs:simpleContent>
+      <xs:extension base="xs:decimal">
+        <xs:attribute name="Currency" type="xs:string" use="required"/>
+      </xs:extension>
+    </xs:simpleContent>
+  </xs:complexType>
+  <xs:complexType name="Item">
+    <xs:sequence>
+      <xs:element name="Label" type="xs:string"/>
+      <xs:element name="Count" type="xs:int" minOccurs="0" maxOccurs="5"/>
+      <xs:element name="Level" type="Level" minOccurs="0"/>
+      <xs:element name="Price" type="Price" minOccurs="0"/>
+    </xs:sequence>
+    <xs:attribute name="Code" type="ShortCode" use="required"/>
+    <xs:attribute name="Mode" type="ModeType" default="auto"/>
+    <xs:attribute name="Discount" type="Percent"/>
+  </xs:complexType>
+  <xs:complexType name="Order">
+    <xs:sequence>
+      <xs:element name="Item" type="Item" maxOccurs="unbounded"/>
+    </xs:sequence>
+    <xs:attribute name="Id" type="xs:long"/>
+  </xs:complexType>
+  <xs:complexType name="UrgentOrder">
+    <xs:complexContent>
+      <xs:extension base="Order">
+        <xs:attribute name="Deadline" type="xs:date" use="required"/>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:complexType name="PlainItem">
+    <xs:complexContent>
+      <xs:restriction base="Item">
+        <xs:sequence>
+          <xs:element name="Label" type="xs:string"/>
+        </xs:sequence>
+        <xs:attribute name="Discount" use="prohibited"/>
+      </xs:restriction>
+    </xs:complexContent>
+  </xs:complexType>
+</xs:schema>`;
+
+const outputDir = path.resolve("test", "generated-unit", "jsonSchema");
+let mod;
+let schema;
+
+beforeAll(async () => {
+  mod = await generateModule("jsonSchema", xsd, { "json-schema": true });
+  schema = JSON.parse(fs.readFileSync(path.join(outputDir, "schema.json"), "utf-8"));
+});
+
+describe("JSON Schema output", () => {
+  it("writes one definition per generated type", () => {
+    expect(schema.$schema).toBe("https://json-schema.org/draft/2020-12/schema");
+    expect(Object.keys(schema.$defs)).toEqual([
+      "ModeType",
+      "CodeType",
+      "ShortCode",
+      "Percent",
+      "Ratio",
+      "SizeList",
+      "Pair",
+      "Level",
+      "Price",
+      "Item",
+      "Order",
+      "UrgentOrder",
+      "PlainItem",
+    ]);
+  });
+
+  it("maps simple types to strings constrained by their facets", () => {
+    const { $defs } = schema;
+    expect($defs.ModeType).toEqual({
+      description: "How the setting is applied.",
+      type: "string",
+      enum: ["auto", "manual"],
+    });
+    expect($defs.CodeType).toEqual({
+      type: "string",
+      pattern: "^(?:[A-Z]+)$",
+      maxLength: 8,
+    });
+    expect($defs.ShortCode).toEqual({
+      allOf: [{ $ref: "#/$defs/CodeType" }],
+      maxLength: 3,
+    });
+    // toObject writes numbers in lexical form, which the range keywords of JSON Schema
+    // ignore: the range of an integer type becomes a pattern, other ranges are left out
+    expect($defs.Percent).toEqual({
+      allOf: [
+        { type: "string", pattern: "^(?:[+-]?[0-9]+)$" },
+        { pattern: "^(?:\\+?0*(?:[0-9]|[1-9][0-9]|100)|-0+)$" },
+      ],
+    });
+    expect($defs.Ratio).toEqual({
+      type: "string",
+      pattern: "^(?:[+-]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+))$",
+    });
+    // The length of a list counts items, not characters
+    expect($defs.SizeList).toEqual({ type: "string" });
+    expect($defs.Pair).toEqual({ allOf: [{ $ref: "#/$defs/SizeList" }] });
+    expect($defs.Level).toEqual({
+      anyOf: [
+        { type: "string", pattern: "^(?:[+-]?[0-9]+)$" },
+        { $ref: "#/$defs/ModeType" },
+      ],
+    });
+  });
+
+  it("describes elements, attributes in $ and text in #", () => {
+    const { Item, Price } = schema.$defs;
+    expect(Item.type).toBe("object");
+    expect(Item.required).toEqual(["Label", "$"]);
+    expect(Item.properties.Label).toEqual({ type: "string" });
+    expect(Item.properties.Count).toEqual({
+      type: "array",
+      items: { type: "string", pattern: "^(?:[+-]?[0-9]+)$" },
+      maxItems: 5,
+    });
+    expect(Item.properties.Price).toEqual({ $ref: "#/$defs/Price" });
+    expect(Item.properties.$).toEqual({
+      type: "object",
+      properties: {
+        Code: { $ref: "#/$defs/ShortCode" },
+        Mode: { $ref: "#/$defs/ModeType", default: "auto" },
+        Discount: { $ref: "#/$defs/Percent" },
+      },
+      required: ["Code"],
+    });
+    expect(Object.keys(Price.properties)).toEqual(["#", "$"]);
+    expect(schema.$defs.Order.properties.Item).toEqual({
+      type: "array",
+      items: { $ref: "#/$defs/Item" },
+      minItems: 1,
+    });
+  });
+
+  it("derives types through allOf", () => {
+    const { UrgentOrder, PlainItem } = schema.$defs;
+    expect(UrgentOrder.allOf[0]).toEqual({ $ref: "#/$defs/Order" });
+    expect(UrgentOrder.allOf[1]).toEqual({
+      type: "object",
+      properties: {
+        $: {
+          type: "object",
+          properties: { Deadline: { type: "string" } },
+          required: ["Deadline"],
+        },
+      },
+      required: ["$"],
+    });
+    expect(PlainItem.allOf[0]).toEqual({ $ref: "#/$defs/Item" });
+    expect(PlainItem.allOf[1].properties.$.properties.Discount).toBe(false);
+  });
+
+  it("matches the keys toObject produces", async () => {
+    const order = await mod.UrgentOrder.fromXML(
+      `<UrgentOrder Id="7" Deadline="2025-01-31"><Item Code="AB"><Label>Pen</Label><Count>1</Count><Count>2</Count><Price Currency="EUR">2.5</Price></Item></UrgentOrder>`
+    );
+    const obj = order.toObject();
+    const { Item, Price } = schema.$defs;
+    expect(Object.keys(obj.Item[0]).sort()).toEqual(
+      Object.keys(Item.properties).filter((k) => k in obj.Item[0]).sort()
+    );
+    expect(obj.Item[0].Count).toEqual(["1", "2"]);
+    expect(Object.keys(obj.Item[0].Price)).toEqual(Object.keys(Price.properties));
+    expect(Object.keys(obj.$)).toEqual(["Id", "Deadline"]);
+  });
+
+  it("validates the objects toObject produces", async () => {
+    const validate = new Ajv2020().compile({ ...schema, $ref: "#/$defs/Order" });
+    const item = (discount) =>
+      new mod.Order({
+        Item: [new mod.Item({ Label: "Pen", "@_Code": "AB", "@_Discount": discount })],
+      });
+    for (const discount of ["0", "50", "100", "+007", "-0"]) {
+      expect(validate(item(discount).toObject())).toBe(true);
+    }
+    for (const discount of ["500", "101", "-1", "1000"]) {
+      expect(validate(item(discount).toObject())).toBe(false);
+      expect(validate.errors.map((e) => e.instancePath)).toContain("/Item/0/$/Discount");
+    }
+    expect(validate({ Item: [{ Label: "Pen", $: {} }] })).toBe(false);
+  });
+
+  it("writes the schema next to a single output file", async () => {
+    const config = {
+      output: path.resolve("test", "generated-unit", "jsonSchemaSingle", "model.js"),
+      "transparent-attributes": true,
+      "json-schema": true,
+    };
+    const schemaObj = await parseXml(xsd);
+    const { complexTypes, simpleTypes } = parseXsd(schemaObj, config);
+    writeOutput({
+      generatedClasses: complexTypes.map((t) => buildClassCode(t, config, schemaObj)),
+      generatedSimpleTypes: simpleTypes.map((t) => buildSimpleTypeCode(t, config)),
+      config,
+    });
+    const single = JSON.parse(
+      fs.readFileSync(config.output.replace(/js$/, "schema.json"), "utf-8")
+    );
+    expect(single).toEqual(schema);
+  });
+});
@@ -0,0 +1,129 @@
+// Unitary test: xs:list and xs:union simple types generate wrapper classes. Lists read
+// into arrays of their item type and write back space-separated; unions use the first
+// member type accepting the value.
+
+import { describe, it, expect } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="Keyword">
+    <xs:restriction base="xs:string">
+      <xs:enumeration value="auto"/>
+      <xs:enumeration value="none"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="IntList">
+    <xs:list itemType="xs:int"/>
+  </xs:simpleType>
+  <xs:simpleType name="ShortIntList">
+    <xs:restriction base="IntList">
+      <xs:maxLength value="3"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="Percents">
+    <xs:list>
+      <xs:simpleType>
+        <xs:restriction base="xs:decimal">
+          <xs:maxInclusive value="100"/>
+        </xs:restriction>
+      </xs:simpleType>
+    </xs:list>
+  </xs:simpleType>
+  <xs:simpleType name="Size">
+    <xs:union memberTypes="Keyword xs:int">
+      <xs:simpleType>
+        <xs:restriction base="xs:string">
+          <xs:pattern value="[0-9]+%"/>
+        </xs:restriction>
+      </xs:simpleType>
+    </xs:union>
+  </xs:simpleType>
+  <xs:element name="Box">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Values" type="IntList"/>
+        <xs:element name="Ratios" type="Percents" minOccurs="0"/>
+      </xs:sequence>
+      <xs:attribute name="Width" type="Size"/>
+      <xs:attribute name="Height" type="Size"/>
+      <xs:attribute name="Corners" type="ShortIntList"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `<Box Width="auto" Height="50%" Corners="1  2 3">
+    <Values> 10 20
+ 30 </Values>
+    <Ratios>12.5 100</Ratios>
+</Box>`;
+
+describe("xs:list and xs:union types", () => {
+  it("reads lists into arrays of their item type and writes them space-separated", async () => {
+    const { Box, IntList, Percents } = await generateModule(
+      "list-union",
+      xsd,
+      { "only-string": false }
+    );
+    expect(IntList.itemType).toBe("xs:int");
+    expect(Percents.itemType.name).toBe("Percents_Item");
+
+    const box = await Box.fromXML(xml);
+    expect(box.Values).toBeInstanceOf(IntList);
+    expect(box.Values.value).toEqual([10, 20, 30]);
+    expect(box.Ratios.value).toEqual([12.5, 100]);
+    expect(box.Corners.value).toEqual([1, 2, 3]);
+    expect(box.validate()).toEqual([]);
+
+    box.Values.value = [4, 5];
+    expect(box.toXML()).toBe(`<Box Width="auto" Height="50%" Corners="1 2 3">
+    <Values>4 5</Values>
+    <Ratios>12.5 100</Ratios>
+</Box>`);
+  });
+
+  it("uses the first member type of a union accepting the value", async () => {
+    const { Size, Keyword } = await generateModule("list-union-members", xsd, {
+      "only-string": false,
+    });
+    expect(Size.memberTypes.map((m) => m.name || m)).toEqual([
+      "Keyword",
+      "xs:int",
+      "Size_Member1",
+    ]);
+    const keyword = new Size("none");
+    expect(keyword.value).toBe("none");
+    expect(keyword.memberType).toBe(Keyword);
+    const number = new Size(" 42 ");
+    expect(number.value).toBe(42);
+    expect(number.memberType).toBe("xs:int");
+    expect(number.toString()).toBe("42");
+    expect(new Size("75%").memberType.name).toBe("Size_Member1");
+    expect(new Size("big").memberType).toBeUndefined();
+  });
+
+  it("reports list item, length and union membership violations", async () => {
+    const { Box } = await generateModule("list-union-validate", xsd, {
+      "only-string": false,
+    });
+    const box = new Box({
+      "@_Width": "big",
+      "@_Corners": "1 2 3 4",
+      Values: "1 x",
+      Ratios: "101",
+    });
+    expect(box.validate().map(({ path, rule }) => `${path} ${rule}`)).toEqual([
+      "Box.Values[1] pattern",
+      "Box.Ratios[0] maxInclusive",
+      "Box.@Width memberTypes",
+      "Box.@Corners maxLength",
+    ]);
+  });
+
+  it("keeps list items as strings by default", async () => {
+    const { Box } = await generateModule("list-union-strings", xsd);
+    const box = await Box.fromXML(xml);
+    expect(box.Values.value).toEqual(["10", "20", "30"]);
+    expect(box.Height.value).toBe("50%");
+  });
+});
@@ -0,0 +1,77 @@
+// Unitary test: complex types with mixed="true" keep their text and child elements in
+// document order, read from XML, edited as an ordered list and written back inline.
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:complexType name="Link" mixed="true">
+    <xs:attribute name="href" type="xs:string"/>
+  </xs:complexType>
+  <xs:complexType name="Paragraph" mixed="true">
+    <xs:choice minOccurs="0" maxOccurs="unbounded">
+      <xs:element name="b" type="xs:string"/>
+      <xs:element name="i" type="xs:string"/>
+      <xs:element name="a" type="Link"/>
+    </xs:choice>
+    <xs:attribute name="lang" type="xs:string"/>
+  </xs:complexType>
+  <xs:element name="Doc">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="p" type="Paragraph" maxOccurs="unbounded"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `<Doc>
+    <p lang="en">Hello <b>world</b> <i>and</i> <a href="https://example.com">the web</a> again</p>
+    <p>plain text</p>
+</Doc>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("mixedContent", xsd);
+});
+
+describe("Mixed content", () => {
+  it("reads text and elements in document order and writes them back", async () => {
+    const { Doc, Paragraph } = mod;
+    expect(Paragraph.__getXSDTypeInfo().mixed).toBe(true);
+    expect(Doc.__getXSDTypeInfo().mixed).toBeUndefined();
+
+    const doc = await Doc.fromXML(xml);
+    const [first, second] = doc.p;
+    expect(first.b).toEqual(["world"]);
+    expect(first.getMixedContent()).toEqual([
+      "Hello ",
+      { b: "world" },
+      " ",
+      { i: "and" },
+      " ",
+      { a: first.a[0] },
+      " again",
+    ]);
+    expect(first.a[0].getMixedContent()).toEqual(["the web"]);
+    expect(second.getMixedContent()).toEqual(["plain text"]);
+    expect(doc.toXML()).toBe(xml);
+  });
+
+  it("replaces the content with an ordered list of text and elements", () => {
+    const paragraph = new mod.Paragraph({ "@_lang": "fr" });
+    paragraph.setMixedContent(["Un ", { i: "petit" }, " mot & ", { b: "fin" }]);
+    expect(paragraph.i).toEqual(["petit"]);
+    expect(paragraph.toXML("p")).toBe(
+      `<p lang="fr">Un <i>petit</i> mot &amp; <b>fin</b></p>`
+    );
+    expect(() => paragraph.setMixedContent([{ lang: "en" }])).toThrow(
+      /not a child element/
+    );
+    expect(() => new mod.Doc({}).getMixedContent()).toThrow(
+      /does not have mixed content/
+    );
+  });
+});
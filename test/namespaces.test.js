@@ -0,0 +1,67 @@
+// Unitary test: schemas are read whatever prefix they bind to the XML Schema namespace,
+// and QName references are resolved against their declared namespace.
+
+import { describe, it, expect } from "vitest";
+import { parseXml } from "../src/xmlNormalizer.js";
+import { parseXsd } from "../src/parser.js";
+import { buildClassCode } from "../src/generator.js";
+import { resolveQName } from "../src/namespaces.js";
+
+const generate = async (xsd) => {
+  const schemaObj = await parseXml(xsd);
+  const { complexTypes, simpleTypes } = parseXsd(schemaObj);
+  const classes = complexTypes.map((t) => buildClassCode(t, {}, schemaObj));
+  return { schemaObj, classes, simpleTypes };
+};
+
+describe("Namespace-agnostic schema reading", () => {
+  it("accepts the XML Schema namespace as the default namespace", async () => {
+    const { classes } = await generate(`
+      <schema xmlns="http://www.w3.org/2001/XMLSchema" xmlns:t="urn:t" targetNamespace="urn:t">
+        <complexType name="Order">
+          <sequence>
+            <element name="Id" type="string"/>
+            <element name="Line" type="t:Line" maxOccurs="unbounded"/>
+          </sequence>
+        </complexType>
+        <complexType name="Line"/>
+      </schema>`);
+    const order = classes.find((c) => c.className === "Order");
+    expect(order.code).toContain('"xsdType": "xs:string"');
+    expect(order.dependencies.has("Line")).toBe(true);
+    expect(order.dependencies.has("string")).toBe(false);
+  });
+
+  it("accepts custom prefixes and honors scoped redeclarations", async () => {
+    const { schemaObj, classes } = await generate(`
+      <xsd:schema xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:a="urn:a" targetNamespace="urn:main">
+        <xsd:complexType name="Base"/>
+        <xsd:complexType name="Derived">
+          <xsd:complexContent>
+            <xsd:extension base="a:Base">
+              <xsd:sequence xmlns:q="http://www.w3.org/2001/XMLSchema">
+                <q:element name="Count" type="q:int"/>
+                <xsd:element name="Ref" type="a:Base" xmlns:a="urn:main"/>
+              </xsd:sequence>
+            </xsd:extension>
+          </xsd:complexContent>
+        </xsd:complexType>
+      </xsd:schema>`);
+    const derived = classes.find((c) => c.className === "Derived");
+    expect(derived.code).toContain("class Derived extends Base");
+    expect(derived.code).toContain('"xsdType": "xs:int"');
+
+    const schema = schemaObj["xs:schema"];
+    const ext = schema["xs:complexType"][1]["xs:complexContent"]["xs:extension"];
+    // The extension base is declared in urn:a, the element type in urn:main
+    expect(resolveQName(ext["@_base"], schemaObj)).toEqual({
+      namespace: "urn:a",
+      localName: "Base",
+    });
+    const ref = ext["xs:sequence"]["xs:element"][1];
+    expect(resolveQName(ref["@_type"], schemaObj)).toEqual({
+      namespace: "urn:main",
+      localName: "Base",
+    });
+  });
+});
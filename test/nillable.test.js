@@ -0,0 +1,84 @@
+// Unitary test: elements with xsi:nil="true" are read as null (absent elements stay
+// undefined), nillable elements set to null are written back nil, and nil is reported
+// by validate() on elements that are not nillable.
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:complexType name="Address">
+    <xs:sequence>
+      <xs:element name="City" type="xs:string"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:complexType name="Contact">
+    <xs:sequence>
+      <xs:element name="Name" type="xs:string"/>
+      <xs:element name="Phone" type="xs:string" nillable="true" minOccurs="0"/>
+      <xs:element name="Address" type="Address" nillable="true"/>
+      <xs:element name="Tag" type="xs:string" nillable="true" maxOccurs="unbounded"/>
+      <xs:element name="Nickname" type="xs:string" minOccurs="0"/>
+    </xs:sequence>
+  </xs:complexType>
+</xs:schema>`;
+
+const xml = `<Contact xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <Name>Ada</Name>
+    <Phone xsi:nil="true"></Phone>
+    <Address xsi:nil="true"></Address>
+    <Tag>a</Tag>
+    <Tag xsi:nil="true"></Tag>
+</Contact>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("nillable", xsd);
+});
+
+describe("Nillable elements", () => {
+  it("records nillable elements in the metadata", () => {
+    const meta = mod.Contact.__getXSDMeta();
+    expect(meta.Phone.nillable).toBe(true);
+    expect(meta.Name.nillable).toBeUndefined();
+  });
+
+  it("reads xsi:nil as null and writes it back", async () => {
+    const contact = await mod.Contact.fromXML(xml);
+    expect(contact.Phone).toBeNull();
+    expect(contact.Address).toBeNull();
+    expect(contact.Tag).toEqual(["a", null]);
+    expect(contact.Nickname).toBeUndefined();
+    expect(contact.toXML()).toBe(xml);
+    expect(contact.validate()).toEqual([]);
+  });
+
+  it("declares the xsi namespace for null values set in code", () => {
+    const contact = new mod.Contact({ Name: "Bob", Address: { City: "Paris" } });
+    contact.Address = null;
+    expect(contact.Address).toBeNull();
+    expect(contact.toXML()).toBe(`<Contact xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <Name>Bob</Name>
+    <Address xsi:nil="true"></Address>
+</Contact>`);
+  });
+
+  it("reports nil on elements that are not nillable", async () => {
+    const contact = await mod.Contact.fromXML(
+      `<Contact xmlns:i="http://www.w3.org/2001/XMLSchema-instance">
+  <Name i:nil="true"/><Address><City>Lyon</City></Address><Nickname i:nil="1"/>
+</Contact>`
+    );
+    expect(contact.Name).toBeNull();
+    expect(contact.validate()).toEqual([
+      { path: "Contact.Name", rule: "nillable", value: null, expected: false },
+      {
+        path: "Contact.Nickname",
+        rule: "nillable",
+        value: null,
+        expected: false,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+// Unitary test: the metadata of each element carries its occurrence range and its
+// position in the content model, elements that may occur more than once are lists, and
+// toXML writes children in content-model order, inherited elements first.
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:complexType name="Item">
+    <xs:sequence>
+      <xs:element name="Code" type="xs:string"/>
+      <xs:choice>
+        <xs:element name="Price" type="xs:decimal"/>
+        <xs:element name="Free" type="xs:boolean"/>
+      </xs:choice>
+      <xs:element name="Label" type="xs:string" minOccurs="0" maxOccurs="5"/>
+      <xs:sequence minOccurs="0" maxOccurs="3">
+        <xs:element name="Key" type="xs:string"/>
+        <xs:element name="Value" type="xs:string" minOccurs="0"/>
+      </xs:sequence>
+    </xs:sequence>
+    <xs:attribute name="Id" type="xs:string"/>
+  </xs:complexType>
+  <xs:complexType name="Book">
+    <xs:complexContent>
+      <xs:extension base="Item">
+        <xs:sequence>
+          <xs:element name="Author" type="xs:string"/>
+        </xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+</xs:schema>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("occurrence", xsd);
+});
+
+describe("Content-model order and occurrences", () => {
+  it("records the occurrence range and position of each element", () => {
+    const meta = mod.Item.__getXSDMeta();
+    expect(Object.keys(meta)).toEqual([
+      "Code",
+      "Price",
+      "Free",
+      "Label",
+      "Key",
+      "Value",
+      "Id",
+    ]);
+    expect(meta.Code).toMatchObject({ minOccurs: 1, maxOccurs: 1, position: 0 });
+    expect(meta.Label).toMatchObject({ minOccurs: 0, maxOccurs: 5, isList: true });
+    expect(meta.Key).toMatchObject({ minOccurs: 0, maxOccurs: 3, isList: true });
+    expect(meta.Value).toMatchObject({ minOccurs: 0, maxOccurs: 3, position: 5 });
+    expect(meta.Id.position).toBeUndefined();
+    expect(mod.Book.__getXSDMeta().Author.position).toBe(6);
+  });
+
+  it("writes children in content-model order, base elements first", () => {
+    const book = new mod.Book({ "@_Id": "b1", Author: "Ada" });
+    book.Label = ["new"];
+    book.Price = "12.5";
+    book.Code = "B-1";
+    expect(book.toXML()).toBe(`<Book Id="b1">
+    <Code>B-1</Code>
+    <Price>12.5</Price>
+    <Label>new</Label>
+    <Author>Ada</Author>
+</Book>`);
+  });
+});
@@ -0,0 +1,56 @@
+// Unitary test: element and attribute references (ref=) resolve to the global
+// declarations they name, in the schema's own namespace, an imported one or the XML
+// namespace, and combine them with the occurrences given at the reference site.
+
+import path from "path";
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModuleFromFile } from "./helpers/generate.js";
+
+const xml = `<Book xml:lang="en" ext:Edition="2" xmlns="urn:test:refs" xmlns:ext="urn:test:ext">
+    <Title>Notes</Title>
+    <Author Name="Ada"></Author>
+    <Author Name="Charles"></Author>
+    <ext:Isbn>978-0</ext:Isbn>
+</Book>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModuleFromFile(
+    "references",
+    path.resolve("test", "fixtures", "refs", "main.xsd")
+  );
+});
+
+describe("Element and attribute references", () => {
+  it("takes the declaration of the referenced components", () => {
+    const meta = mod.Book.__getXSDMeta();
+    expect(meta.Title).toMatchObject({
+      xmlName: "Title",
+      xsdType: "xs:string",
+      namespace: "urn:test:refs",
+      minOccurs: 1,
+    });
+    expect(meta.Author).toMatchObject({
+      xsdType: "Author",
+      isList: true,
+      minOccurs: 0,
+    });
+    expect(meta.Isbn).toMatchObject({ namespace: "urn:test:ext", form: "qualified" });
+    expect(meta.lang).toMatchObject({
+      xmlName: "@_lang",
+      xsdType: "xs:language",
+      namespace: "http://www.w3.org/XML/1998/namespace",
+    });
+    expect(meta.Edition).toMatchObject({ xsdType: "xs:int", namespace: "urn:test:ext" });
+  });
+
+  it("reads and writes referenced elements and attributes", async () => {
+    const book = await mod.Book.fromXML(xml);
+    expect(book.lang).toBe("en");
+    expect(book.Edition).toBe("2");
+    expect(book.Isbn).toBe("978-0");
+    expect(book.Author.map((a) => a.Name)).toEqual(["Ada", "Charles"]);
+    expect(book.toXML()).toBe(xml);
+  });
+});
@@ -0,0 +1,112 @@
+// Unitary test: required attributes and elements are marked in the metadata, toXML can
+// refuse (strict) or report (lenient) missing required content with its path, and an
+// attribute prohibited by a restriction is removed from the derived class.
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:complexType name="UAObject">
+    <xs:sequence>
+      <xs:element name="DisplayName" type="xs:string"/>
+      <xs:element name="Description" type="xs:string" minOccurs="0"/>
+    </xs:sequence>
+    <xs:attribute name="NodeId" type="xs:string" use="required"/>
+    <xs:attribute name="EventNotifier" type="xs:int"/>
+  </xs:complexType>
+  <xs:complexType name="PlainObject">
+    <xs:complexContent>
+      <xs:restriction base="UAObject">
+        <xs:sequence>
+          <xs:element name="DisplayName" type="xs:string"/>
+        </xs:sequence>
+        <xs:attribute name="EventNotifier" use="prohibited"/>
+      </xs:restriction>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:element name="UANodeSet">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="UAObject" type="UAObject" minOccurs="2" maxOccurs="unbounded"/>
+        <xs:choice>
+          <xs:element name="Alias" type="xs:string"/>
+          <xs:element name="Model" type="xs:string"/>
+        </xs:choice>
+        <xs:choice minOccurs="0">
+          <xs:element name="Comment" type="xs:string"/>
+          <xs:element name="Remark" type="xs:string"/>
+        </xs:choice>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("requiredContent", xsd);
+});
+
+const object = (nodeId) =>
+  new mod.UAObject({ DisplayName: "Pump", "@_NodeId": nodeId });
+
+describe("Required content", () => {
+  it("marks required attributes, elements and choices", () => {
+    const meta = mod.UAObject.__getXSDMeta();
+    expect(meta.NodeId.required).toBe(true);
+    expect(meta.EventNotifier.required).toBe(false);
+    expect(meta.DisplayName.required).toBe(true);
+    expect(meta.Description.required).toBe(false);
+    expect(mod.UANodeSet.__getXSDMeta().Alias.required).toBe(false);
+    const choices = mod.UANodeSet.__getXSDChoices();
+    expect(choices["UANodeSet.choice1"].required).toBe(true);
+    // An optional choice: none of its branches is needed
+    expect(choices["UANodeSet.choice2"].required).toBe(false);
+  });
+
+  it("fails in strict mode with the path of the missing content", () => {
+    const set = new mod.UANodeSet({ Alias: "a" });
+    set.UAObject = [object("ns=1;i=1"), new mod.UAObject({ DisplayName: "X" })];
+    expect(() => set.toXML(undefined, { required: "strict" })).toThrow(
+      "UANodeSet.UAObject[1].@NodeId"
+    );
+    set.UAObject[1].NodeId = "ns=1;i=2";
+    expect(() => set.toXML(undefined, { required: "strict" })).not.toThrow();
+  });
+
+  it("reports warnings in lenient mode and still writes the document", () => {
+    const warnings = [];
+    const set = new mod.UANodeSet();
+    set.UAObject = [object("ns=1;i=1")];
+    const xml = set.toXML(undefined, {
+      required: "lenient",
+      onWarning: (v) => warnings.push(v),
+    });
+    expect(xml).toContain('<UAObject NodeId="ns=1;i=1">');
+    expect(warnings).toEqual([
+      { path: "UANodeSet.UAObject", rule: "minOccurs", value: 1, expected: 2 },
+      {
+        path: "UANodeSet",
+        rule: "required",
+        value: undefined,
+        expected: [["Alias"], ["Model"]],
+      },
+    ]);
+  });
+
+  it("removes attributes prohibited by a restriction", () => {
+    const plain = new mod.PlainObject({
+      DisplayName: "Valve",
+      "@_NodeId": "ns=1;i=3",
+      "@_EventNotifier": "1",
+    });
+    expect(plain.EventNotifier).toBeUndefined();
+    expect(() => (plain.EventNotifier = 1)).toThrow(
+      "PlainObject.EventNotifier is prohibited"
+    );
+    expect(plain.toXML("Plain")).toBe(`<Plain NodeId="ns=1;i=3">
+    <DisplayName>Valve</DisplayName>
+</Plain>`);
+  });
+});
@@ -0,0 +1,93 @@
+// Unitary test: load a schema split over several files (include, import, redefine)
+// and check that the merged result feeds the parser and the class generator.
+
+import path from "path";
+import { describe, it, expect, vi } from "vitest";
+import { loadSchemaSet } from "../src/schemaLoader.js";
+import { parseXsd } from "../src/parser.js";
+import { buildClassCode } from "../src/generator.js";
+
+const fixtures = path.resolve("test", "fixtures", "multi");
+
+describe("Schema loader", () => {
+  it("merges included, imported and redefined components", async () => {
+    const { schemaObj, namespaces, documents } = await loadSchemaSet(
+      path.join(fixtures, "main.xsd")
+    );
+    // main.xsd <-> common.xsd include each other: each file is loaded once
+    expect(documents.map((d) => path.basename(d.file)).sort()).toEqual([
+      "base.xsd",
+      "common.xsd",
+      "main.xsd",
+      "other.xsd",
+    ]);
+
+    const main = namespaces.get("urn:test:main");
+    expect([...main.complexType.keys()].sort()).toEqual([
+      "Address",
+      "Address_Redefined",
+      "Customer",
+    ]);
+    // Chameleon include: common.xsd adopts the includer's namespace
+    expect(main.simpleType.get("Status").__targetNamespace).toBe(
+      "urn:test:main"
+    );
+    expect(namespaces.get("urn:test:other").complexType.has("Item")).toBe(true);
+
+    const { complexTypes, simpleTypes } = parseXsd(schemaObj);
+    expect(complexTypes.map((t) => t["@_name"]).sort()).toEqual([
+      "Address",
+      "Address_Redefined",
+      "Customer",
+      "Item",
+      "Order",
+    ]);
+    expect(simpleTypes.map((t) => t["@_name"])).toEqual(["Status"]);
+
+    // The original kept for the redefinition has the children order of base.xsd
+    const base = documents.find((d) => path.basename(d.file) === "base.xsd");
+    const redefined = main.complexType.get("Address_Redefined");
+    expect(redefined.__rawChildren).toBeDefined();
+    expect(redefined.__rawChildren).toBe(base.schema["xs:complexType"].__rawChildren);
+    expect(Object.keys(redefined)).not.toContain("__rawChildren");
+
+    const address = complexTypes.find((t) => t["@_name"] === "Address");
+    const { code, dependencies } = buildClassCode(address, {}, schemaObj);
+    expect(code).toContain("class Address extends Address_Redefined");
+    expect(code).toContain("Country");
+    expect(dependencies.has("Address_Redefined")).toBe(true);
+  });
+
+  it("resolves remote imports through a catalog", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const without = await loadSchemaSet(path.join(fixtures, "remote.xsd"));
+    expect(without.namespaces.has("urn:test:other")).toBe(false);
+    expect(warn).toHaveBeenCalledOnce();
+    warn.mockRestore();
+
+    const { namespaces } = await loadSchemaSet(
+      path.join(fixtures, "remote.xsd"),
+      {
+        catalog: {
+          "http://example.com/schemas/other.xsd": path.join(
+            fixtures,
+            "other.xsd"
+          ),
+        },
+      }
+    );
+    expect(namespaces.get("urn:test:other").complexType.has("Item")).toBe(true);
+  });
+
+  it("rejects types of the same name in two namespaces", async () => {
+    await expect(loadSchemaSet(path.join(fixtures, "clash.xsd"))).rejects.toThrow(
+      /Types \{urn:test:clash\}Item \(.*clash\.xsd\) and \{urn:test:other\}Item \(.*other\.xsd\) would generate the same class "Item"/
+    );
+  });
+
+  it("reports missing schema files", async () => {
+    await expect(
+      loadSchemaSet(path.join(fixtures, "missing.xsd"))
+    ).rejects.toThrow("Schema file not found");
+  });
+});
@@ -0,0 +1,157 @@
+// Unitary test: Base.iterateXML and Base.fromXMLStream read documents in chunks from a
+// stream or a file, build the children of the root element one at a time and report
+// their progress.
+
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"
+           targetNamespace="urn:nodes" xmlns="urn:nodes" elementFormDefault="qualified">
+  <xs:complexType name="Node">
+    <xs:sequence>
+      <xs:element name="Name" type="xs:string"/>
+    </xs:sequence>
+    <xs:attribute name="Id" type="xs:string" use="required"/>
+  </xs:complexType>
+  <xs:complexType name="Variable">
+    <xs:complexContent>
+      <xs:extension base="Node">
+        <xs:sequence>
+          <xs:element name="Value" type="xs:string" minOccurs="0"/>
+        </xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:complexType name="Header">
+    <xs:sequence>
+      <xs:element name="Title" type="xs:string"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:element name="NodeSet">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Header" type="Header"/>
+        <xs:choice maxOccurs="unbounded">
+          <xs:element name="Object" type="Node"/>
+          <xs:element name="Variable" type="Variable"/>
+        </xs:choice>
+      </xs:sequence>
+      <xs:attribute name="Version" type="xs:string"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<n:NodeSet xmlns:n="urn:nodes" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" Version="2">
+  <n:Header><n:Title>Plant &amp; line</n:Title></n:Header>
+  <n:Object Id="o1"><n:Name>Líne ✓</n:Name></n:Object>
+  <n:Variable Id="v1"><n:Name>Speed</n:Name><n:Value>12</n:Value></n:Variable>
+  <n:Object Id="o2"><n:Name><![CDATA[<Pump>]]></n:Name></n:Object>
+  <n:Object Id="v2" xsi:type="n:Variable"><n:Name>Flow</n:Name><n:Value>3</n:Value></n:Object>
+</n:NodeSet>`;
+
+const xmlFile = path.resolve("test", "generated-unit", "streaming", "nodes.xml");
+let mod;
+
+// A stream of the document cut in small chunks, multi-byte characters included
+const chunked = (text, size = 7) =>
+  Readable.from(
+    Buffer.from(text)
+      .toString("latin1")
+      .match(new RegExp(`[\\s\\S]{1,${size}}`, "g"))
+      .map((s) => Buffer.from(s, "latin1"))
+  );
+
+beforeAll(async () => {
+  mod = await generateModule("streaming", xsd);
+  fs.writeFileSync(xmlFile, xml);
+});
+
+describe("Streaming deserialization", () => {
+  it("iterates over the repeated children of the root element", async () => {
+    const { NodeSet, Node, Variable } = mod;
+    const progress = [];
+    const items = [];
+    for await (const item of NodeSet.iterateXML(chunked(xml), {
+      onProgress: (p) => progress.push(p),
+    })) {
+      items.push(item);
+    }
+    expect(items.map((i) => [i.constructor, i.Id, i.Name])).toEqual([
+      [Node, "o1", "Líne ✓"],
+      [Variable, "v1", "Speed"],
+      [Node, "o2", "<Pump>"],
+      [Variable, "v2", "Flow"],
+    ]);
+    expect(items[3].Value).toBe("3");
+    expect(progress.at(-1)).toEqual({
+      bytes: Buffer.byteLength(xml),
+      totalBytes: undefined,
+      elements: 4,
+    });
+    expect(progress.length).toBeGreaterThan(10);
+  });
+
+  it("builds each child as fromXML does", async () => {
+    const { NodeSet } = mod;
+    const whole = await NodeSet.fromXML(xml);
+    const expected = new Map(
+      [...whole.Object, ...whole.Variable].map((i) => [i.Id, i.toXML()])
+    );
+    let count = 0;
+    for await (const item of NodeSet.iterateXML(chunked(xml, 3))) {
+      expect(item.toXML()).toBe(expected.get(item.Id));
+      count++;
+    }
+    expect(count).toBe(4);
+  });
+
+  it("reads only the children named by the elements option, from a file", async () => {
+    const { NodeSet } = mod;
+    const ids = [];
+    let last;
+    for await (const item of NodeSet.iterateXML(xmlFile, {
+      elements: "Variable",
+      onProgress: (p) => (last = p),
+    })) {
+      ids.push(item.Id);
+    }
+    expect(ids).toEqual(["v1"]);
+    expect(last.totalBytes).toBe(fs.statSync(xmlFile).size);
+  });
+
+  it("reads a whole document from a stream or a file", async () => {
+    const { NodeSet } = mod;
+    const expected = (await NodeSet.fromXML(xml)).toXML();
+    expect((await NodeSet.fromXMLStream(chunked(xml))).toXML()).toBe(expected);
+    expect((await NodeSet.fromXMLStream(xmlFile)).toXML()).toBe(expected);
+  });
+
+  it("hands the streamed children to onElement instead of keeping them", async () => {
+    const { NodeSet } = mod;
+    const streamed = [];
+    const nodeSet = await NodeSet.fromXMLStream(chunked(xml), {
+      elements: ["Object"],
+      onElement: (item, name) => streamed.push(`${name}:${item.Id}`),
+    });
+    expect(streamed).toEqual(["Object:o1", "Object:o2", "Object:v2"]);
+    expect(nodeSet.Version).toBe("2");
+    expect(nodeSet.Header.Title).toBe("Plant & line");
+    expect(nodeSet.Object).toEqual([]);
+    expect(nodeSet.Variable.map((v) => v.Id)).toEqual(["v1"]);
+  });
+
+  it("rejects malformed documents", async () => {
+    const { NodeSet } = mod;
+    const read = async () => {
+      for await (const item of NodeSet.iterateXML(chunked("<n:NodeSet><a></b>"))) {
+        expect(item).toBeUndefined();
+      }
+    };
+    await expect(read()).rejects.toThrow();
+  });
+});
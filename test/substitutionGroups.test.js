@@ -0,0 +1,119 @@
+// Unitary test: a reference to the head of a substitution group accepts every member
+// element (transitively, without abstract or blocked members), builds the class of each
+// member from XML and writes each item back with its own element name.
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:complexType name="ShapeType">
+    <xs:attribute name="id" type="xs:string"/>
+  </xs:complexType>
+  <xs:complexType name="CircleType">
+    <xs:complexContent>
+      <xs:extension base="ShapeType">
+        <xs:sequence>
+          <xs:element name="Radius" type="xs:double"/>
+        </xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:complexType name="SquareType">
+    <xs:complexContent>
+      <xs:extension base="ShapeType">
+        <xs:sequence>
+          <xs:element name="Side" type="xs:double"/>
+        </xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:element name="Shape" type="ShapeType" abstract="true"/>
+  <xs:element name="Circle" type="CircleType" substitutionGroup="Shape"/>
+  <xs:element name="Disc" substitutionGroup="Circle"/>
+  <xs:element name="Polygon" type="ShapeType" abstract="true" substitutionGroup="Shape"/>
+  <xs:element name="Square" type="SquareType" substitutionGroup="Polygon"/>
+  <xs:element name="Outline" type="ShapeType" block="extension"/>
+  <xs:element name="Ring" type="CircleType" substitutionGroup="Outline"/>
+  <xs:element name="Frame" type="ShapeType" substitutionGroup="Outline"/>
+  <xs:complexType name="DrawingType">
+    <xs:sequence>
+      <xs:element ref="Shape" maxOccurs="unbounded"/>
+      <xs:element ref="Outline" minOccurs="0"/>
+    </xs:sequence>
+  </xs:complexType>
+</xs:schema>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("substitutionGroups", xsd);
+});
+
+describe("Substitution groups", () => {
+  it("lists the members accepted in place of a head", () => {
+    const meta = mod.DrawingType.__getXSDMeta();
+    expect(meta.Shape.abstract).toBe(true);
+    expect(meta.Shape.substitutes.map((m) => [m.xmlName, m.xsdType])).toEqual([
+      ["Circle", "CircleType"],
+      ["Disc", "CircleType"],
+      ["Square", "SquareType"],
+    ]);
+    // Ring derives by extension, which Outline blocks
+    expect(meta.Outline.abstract).toBeUndefined();
+    expect(meta.Outline.substitutes.map((m) => m.xmlName)).toEqual(["Frame"]);
+  });
+
+  it("builds the class of each member and writes its element name back", async () => {
+    const xml = `<Drawing>
+    <Square id="s1">
+        <Side>2</Side>
+    </Square>
+    <Circle id="c1">
+        <Radius>1.5</Radius>
+    </Circle>
+    <Disc id="d1">
+        <Radius>3</Radius>
+    </Disc>
+    <Frame id="f1"></Frame>
+</Drawing>`;
+    const drawing = await mod.DrawingType.fromXML(xml);
+    expect(drawing.Shape.map((s) => s.constructor.name)).toEqual([
+      "SquareType",
+      "CircleType",
+      "CircleType",
+    ]);
+    expect(drawing.Shape[1].Radius).toBe("1.5");
+    expect(drawing.Outline).toBeInstanceOf(mod.ShapeType);
+    expect(drawing.toXML("Drawing")).toBe(xml);
+    expect(drawing.validate("Drawing")).toEqual([]);
+  });
+
+  it("writes new items as the member of their class", () => {
+    const drawing = new mod.DrawingType();
+    drawing.Shape = [
+      new mod.SquareType({ Side: 4 }),
+      new mod.CircleType({ Radius: 1 }),
+    ];
+    expect(drawing.toXML("Drawing")).toBe(`<Drawing>
+    <Square>
+        <Side>4</Side>
+    </Square>
+    <Circle>
+        <Radius>1</Radius>
+    </Circle>
+</Drawing>`);
+  });
+
+  it("reports items written as an abstract head", () => {
+    const drawing = new mod.DrawingType({ Shape: [{ "@_id": "x" }] });
+    expect(drawing.validate("Drawing")).toEqual([
+      {
+        path: "Drawing.Shape[0]",
+        rule: "abstract",
+        value: "ShapeType",
+        expected: ["Circle", "Disc", "Square"],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,184 @@
+// Unitary test: with only-string disabled, built-in values are read as numbers and
+// booleans and written back in their canonical lexical form without losing digits;
+// falsy values (0, false, "") are kept like any other.
+
+import { describe, it, expect } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="Percent">
+    <xs:restriction base="xs:double">
+      <xs:maxInclusive value="100"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:element name="Reading">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Count" type="xs:int"/>
+        <xs:element name="Sample" type="xs:double" maxOccurs="unbounded"/>
+        <xs:element name="Label" type="xs:string"/>
+        <xs:element name="Load" type="Percent"/>
+      </xs:sequence>
+      <xs:attribute name="Active" type="xs:boolean"/>
+      <xs:attribute name="Serial" type="xs:long"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `<Reading Active="1" Serial="9007199254740993">
+    <Count>+42</Count>
+    <Sample>1.50</Sample>
+    <Sample>INF</Sample>
+    <Sample>-2E3</Sample>
+    <Label>007</Label>
+    <Load>12.5</Load>
+</Reading>`;
+
+// Generated simple types whose values can be falsy
+const falsyXsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="Flag">
+    <xs:restriction base="xs:boolean"/>
+  </xs:simpleType>
+  <xs:simpleType name="Level">
+    <xs:restriction base="xs:int">
+      <xs:minInclusive value="0"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="Tag">
+    <xs:restriction base="xs:string">
+      <xs:maxLength value="8"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:element name="Settings">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Flag" type="Flag"/>
+        <xs:element name="Level" type="Level"/>
+        <xs:element name="Tag" type="Tag"/>
+        <xs:element name="Levels" type="Level" maxOccurs="unbounded"/>
+      </xs:sequence>
+      <xs:attribute name="Rank" type="Level"/>
+      <xs:attribute name="Active" type="xs:boolean"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const falsyXml = `<Settings Rank="0" Active="false">
+    <Flag>false</Flag>
+    <Level>0</Level>
+    <Tag></Tag>
+    <Levels>0</Levels>
+</Settings>`;
+
+const decimalXsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="Measure">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Value" type="xs:decimal" maxOccurs="unbounded"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+describe("Typed value conversion", () => {
+  it("converts built-in values when only-string is disabled", async () => {
+    const { Reading } = await generateModule("typed-values", xsd, {
+      "only-string": false,
+    });
+    const reading = await Reading.fromXML(xml);
+    expect(reading.Active).toBe(true);
+    expect(reading.Serial).toBe(9007199254740993n);
+    expect(reading.Count).toBe(42);
+    expect(reading.Sample).toEqual([1.5, Infinity, -2000]);
+    expect(reading.Label).toBe("007");
+    expect(reading.Load.value).toBe(12.5);
+
+    reading.Count = "7";
+    expect(reading.Count).toBe(7);
+  });
+
+  it("writes values back in canonical lexical form", async () => {
+    const { Reading } = await generateModule("typed-values-write", xsd, {
+      "only-string": false,
+    });
+    const reading = await Reading.fromXML(xml);
+    expect(reading.toXML()).toBe(`<Reading Active="true" Serial="9007199254740993">
+    <Count>42</Count>
+    <Sample>1.5</Sample>
+    <Sample>INF</Sample>
+    <Sample>-2000</Sample>
+    <Label>007</Label>
+    <Load>12.5</Load>
+</Reading>`);
+    const again = await Reading.fromXML(reading.toXML());
+    expect(again.Sample).toEqual(reading.Sample);
+  });
+
+  it("keeps strings by default", async () => {
+    const { Reading } = await generateModule("typed-values-strings", xsd);
+    const reading = await Reading.fromXML(xml);
+    expect(reading.Active).toBe("1");
+    expect(reading.Count).toBe("+42");
+    expect(reading.Sample).toEqual(["1.50", "INF", "-2E3"]);
+  });
+
+  it("keeps falsy values of generated simple types", async () => {
+    const { Settings, Flag } = await generateModule("typed-values-falsy", falsyXsd, {
+      "only-string": false,
+    });
+    const values = { Flag: false, Level: 0, Tag: "", Levels: 0 };
+    const built = new Settings({ ...values, "@_Rank": 0, "@_Active": false });
+    expect(built.Flag).toBeInstanceOf(Flag);
+    expect(built.Flag.value).toBe(false);
+    expect(built.Level.value).toBe(0);
+    expect(built.Tag.value).toBe("");
+    expect(built.Levels.map((l) => l.value)).toEqual([0]);
+    expect(built.Rank.value).toBe(0);
+    expect(built.toXML()).toBe(falsyXml);
+
+    const set = new Settings();
+    Object.assign(set, values, { Rank: 0, Active: false });
+    expect(set.Flag.value).toBe(false);
+    expect(set.Levels.map((l) => l.value)).toEqual([0]);
+    expect(set.toXML()).toBe(falsyXml);
+
+    const read = await Settings.fromXML(falsyXml);
+    expect(read.Flag.value).toBe(false);
+    expect(read.toXML()).toBe(falsyXml);
+    set.Level = null;
+    expect(set.Level).toBeNull();
+    set.Level = undefined;
+    expect(set.Level).toBeUndefined();
+  });
+
+  it("keeps the digits of decimals a number cannot hold", async () => {
+    const { Measure } = await generateModule("typed-values-decimal", decimalXsd, {
+      "only-string": false,
+    });
+    const measure = await Measure.fromXML(`<Measure>
+    <Value>0.10000000000000000001</Value>
+    <Value>+1.50</Value>
+    <Value>0012345678901234567890.50</Value>
+    <Value>-0.0000005</Value>
+</Measure>`);
+    expect(measure.Value).toEqual([
+      "0.10000000000000000001",
+      1.5,
+      "12345678901234567890.5",
+      -5e-7,
+    ]);
+    const xml = `<Measure>
+    <Value>0.10000000000000000001</Value>
+    <Value>1.5</Value>
+    <Value>12345678901234567890.5</Value>
+    <Value>-0.0000005</Value>
+</Measure>`;
+    expect(measure.toXML()).toBe(xml);
+    expect((await Measure.fromXML(xml)).Value).toEqual(measure.Value);
+    measure.Value = [1e-21];
+    expect(measure.toXML()).toContain("<Value>0.000000000000000000001</Value>");
+  });
+});
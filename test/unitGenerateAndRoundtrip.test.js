@@ -13,7 +13,7 @@ import { normalizeXml2js } from "../template/base.js";
 const xsdFile =
   process.env.XSD_FILE || path.resolve("examples", "UANodeSet.xsd");
 const xmlFile =
-  process.env.XML_FILE || path.resolve("examples", "UANodeSet.xml");
+  process.env.XML_FILE || path.resolve("examples", "UANodeset.xml");
 const generatedDir = path.resolve("test", "generated-unit");
 const outputXml = path.resolve("test", "unit-generated-UANodeSet.xml");
 
@@ -0,0 +1,206 @@
+// Unitary test: facets of simple types are captured in the generated code and checked
+// by validate() (lenient) and by the generated setters in strict mode; simple-type
+// values round-trip through toXML, repeated or not.
+
+import { describe, it, expect, beforeAll, afterEach } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="Code">
+    <xs:restriction base="xs:string">
+      <xs:pattern value="[A-Z]{2}[0-9]+"/>
+      <xs:maxLength value="6"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="Status">
+    <xs:restriction base="xs:string">
+      <xs:enumeration value="Open"/>
+      <xs:enumeration value="Closed"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:element name="Order">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Line" type="Line" maxOccurs="unbounded"/>
+      </xs:sequence>
+      <xs:attribute name="Code" type="Code"/>
+      <xs:attribute name="Status" type="Status"/>
+    </xs:complexType>
+  </xs:element>
+  <xs:complexType name="Line">
+    <xs:sequence>
+      <xs:element name="Price">
+        <xs:simpleType>
+          <xs:restriction base="xs:decimal">
+            <xs:minExclusive value="0"/>
+            <xs:maxInclusive value="1000"/>
+            <xs:totalDigits value="6"/>
+            <xs:fractionDigits value="2"/>
+          </xs:restriction>
+        </xs:simpleType>
+      </xs:element>
+    </xs:sequence>
+  </xs:complexType>
+</xs:schema>`;
+
+// Simple-typed elements repeated, in a repeating choice and in mixed content
+const repeatedXsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:simpleType name="Small">
+    <xs:restriction base="xs:int">
+      <xs:maxInclusive value="9"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="Code">
+    <xs:restriction base="xs:string">
+      <xs:pattern value="[A-Z]{2}[0-9]+"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:complexType name="Note" mixed="true">
+    <xs:sequence>
+      <xs:element name="SL" type="Small" minOccurs="0" maxOccurs="unbounded"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:element name="Box">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="SL" type="Small" maxOccurs="unbounded"/>
+        <xs:choice maxOccurs="unbounded">
+          <xs:element name="A" type="Small"/>
+          <xs:element name="B" type="Code"/>
+        </xs:choice>
+        <xs:element name="Note" type="Note"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const boxXml = `<Box>
+    <SL>1</SL>
+    <SL>2</SL>
+    <A>3</A>
+    <B>AB1</B>
+    <A>4</A>
+    <Note>see <SL>5</SL> and <SL>6</SL>.</Note>
+</Box>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("validation", xsd);
+});
+
+afterEach(() => {
+  mod.Base.configure({ strict: false });
+});
+
+describe("Facet-driven validation", () => {
+  it("captures the facets of named and anonymous simple types", () => {
+    expect(mod.Code.facets).toEqual({ pattern: ["[A-Z]{2}[0-9]+"], maxLength: 6 });
+    expect(mod.Code.xsdBase).toBe("xs:string");
+    expect(mod.Status.facets.enumeration).toEqual(["Open", "Closed"]);
+    expect(mod.Line_Price_Type.facets).toEqual({
+      minExclusive: "0",
+      maxInclusive: "1000",
+      totalDigits: 6,
+      fractionDigits: 2,
+    });
+  });
+
+  it("returns no violations for a valid object graph", () => {
+    const order = new mod.Order({
+      "@_Code": "AB12",
+      "@_Status": "Open",
+      Line: [{ Price: "12.50" }],
+    });
+    expect(order.validate()).toEqual([]);
+  });
+
+  it("reports structured violations with their path", () => {
+    const order = new mod.Order({
+      "@_Code": "abc1234",
+      "@_Status": "Pending",
+      Line: [{ Price: "10" }, { Price: "0" }, { Price: "3.141" }],
+    });
+    expect(order.validate()).toEqual([
+      { path: "Order.Line[1].Price", rule: "minExclusive", value: "0", expected: "0" },
+      {
+        path: "Order.Line[2].Price",
+        rule: "fractionDigits",
+        value: "3.141",
+        expected: 2,
+      },
+      {
+        path: "Order.@Code",
+        rule: "pattern",
+        value: "abc1234",
+        expected: ["[A-Z]{2}[0-9]+"],
+      },
+      { path: "Order.@Code", rule: "maxLength", value: "abc1234", expected: 6 },
+      {
+        path: "Order.@Status",
+        rule: "enumeration",
+        value: "Pending",
+        expected: ["Open", "Closed"],
+      },
+    ]);
+  });
+
+  it("validates simple-type wrappers on their own", () => {
+    expect(new mod.Code("AB1").validate()).toEqual([]);
+    expect(new mod.Status("Nope").validate("status")).toEqual([
+      {
+        path: "status",
+        rule: "enumeration",
+        value: "Nope",
+        expected: ["Open", "Closed"],
+      },
+    ]);
+  });
+
+  it("converts alias values like their value, without being strings", () => {
+    const code = new mod.Code("AB12");
+    expect(code).not.toBeInstanceOf(String);
+    expect(code.value.startsWith("AB")).toBe(true);
+    expect(String(code)).toBe("AB12");
+    expect(`${code}-1`).toBe("AB12-1");
+    expect(code + "-1").toBe("AB12-1");
+    expect(code.valueOf()).toBe("AB12");
+    expect(JSON.stringify({ code })).toBe('{"code":"AB12"}');
+  });
+
+  it("accepts invalid values in setters unless strict mode is enabled", () => {
+    const order = new mod.Order({});
+    order.Code = "bad";
+    expect(String(order.Code)).toBe("bad");
+
+    mod.Base.configure({ strict: true });
+    let error;
+    try {
+      order.Code = "worse";
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(mod.ValidationError);
+    expect(error.violations[0]).toMatchObject({ path: "Order.@Code", rule: "pattern" });
+    expect(String(order.Code)).toBe("bad");
+    order.Code = "ZZ9";
+    expect(String(order.Code)).toBe("ZZ9");
+  });
+
+  it("writes repeated simple-type values", async () => {
+    for (const onlyString of [true, false]) {
+      const { Box, Small } = await generateModule(
+        `validationRepeated${onlyString ? "" : "Typed"}`,
+        repeatedXsd,
+        { "only-string": onlyString }
+      );
+      const box = await Box.fromXML(boxXml);
+      expect(box.SL[0]).toBeInstanceOf(Small);
+      expect(box.SL.map(String)).toEqual(["1", "2"]);
+      expect(box.toXML()).toBe(boxXml);
+      expect((await Box.fromXML(box.toXML())).toXML()).toBe(boxXml);
+    }
+  });
+});
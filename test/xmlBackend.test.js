@@ -0,0 +1,180 @@
+// Unitary test: fromXML parses with the XML backend selected at generation time
+// (--xml-backend) or with Base.configure: the "dom" backend (DOMParser, here xmldom's)
+// builds the same instances as xml2js, reports text that is not well-formed whether the
+// DOMParser throws or returns a browser <parsererror> document, and a runtime generated
+// for it does not import xml2js.
+
+import fs from "fs";
+import path from "path";
+import { parseStringPromise } from "xml2js";
+import { DOMParser } from "@xmldom/xmldom";
+import { describe, it, expect, beforeAll, afterEach, vi } from "vitest";
+import { generateModule, generateModuleFromFile } from "./helpers/generate.js";
+import { ChromiumDOMParser, FirefoxDOMParser } from "./helpers/domParser.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"
+           targetNamespace="urn:doc" xmlns="urn:doc" elementFormDefault="qualified">
+  <xs:complexType name="Paragraph" mixed="true">
+    <xs:choice minOccurs="0" maxOccurs="unbounded">
+      <xs:element name="b" type="xs:string"/>
+      <xs:element name="i" type="xs:string"/>
+    </xs:choice>
+  </xs:complexType>
+  <xs:complexType name="Note">
+    <xs:sequence>
+      <xs:element name="Text" type="xs:string"/>
+    </xs:sequence>
+    <xs:attribute name="Id" type="xs:string"/>
+  </xs:complexType>
+  <xs:complexType name="Warning">
+    <xs:complexContent>
+      <xs:extension base="Note">
+        <xs:sequence>
+          <xs:element name="Level" type="xs:int"/>
+        </xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:element name="Doc">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="p" type="Paragraph" maxOccurs="unbounded"/>
+        <xs:element name="Note" type="Note" minOccurs="0" maxOccurs="unbounded"/>
+        <xs:element name="Code" type="xs:string" minOccurs="0"/>
+        <xs:element name="Author" type="xs:string" minOccurs="0" nillable="true"/>
+      </xs:sequence>
+      <xs:attribute name="Version" type="xs:string"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const xml = `﻿<?xml version="1.0" encoding="UTF-8"?>
+<!-- A document -->
+<d:Doc xmlns:d="urn:doc" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" Version="1 &amp; 2">
+    <d:p>Hello <d:b>bold</d:b> <d:i>and</d:i> <!-- aside -->more &lt;text&gt;</d:p>
+    <d:p/>
+    <d:Note Id="n1"><d:Text>First</d:Text></d:Note>
+    <d:Note Id="n2" xsi:type="d:Warning"><d:Text> Second </d:Text><d:Level>3</d:Level></d:Note>
+    <d:Code><![CDATA[ <x> ]]></d:Code>
+    <d:Author xsi:nil="true"/>
+</d:Doc>`;
+
+let mod;
+
+// The instance read with each backend, written back and as an object
+const readWith = async (Base, Doc, xmlBackend, text = xml) => {
+  Base.configure({ xmlBackend, domParser: DOMParser });
+  const doc = await Doc.fromXML(text);
+  return { xml: doc.toXML(), object: doc.toObject(), doc };
+};
+
+beforeAll(async () => {
+  mod = await generateModule("xmlBackend", xsd);
+});
+
+afterEach(() => {
+  mod.Base.configure({ xmlBackend: "xml2js", domParser: undefined });
+});
+
+describe("XML backends", () => {
+  it("reads documents with DOMParser as with xml2js", async () => {
+    const { Base, Doc, Warning } = mod;
+    const expected = await readWith(Base, Doc, "xml2js");
+    const actual = await readWith(Base, Doc, "dom");
+    expect(actual.xml).toBe(expected.xml);
+    expect(actual.object).toEqual(expected.object);
+    expect(actual.doc.p[0].getMixedContent()).toEqual(
+      expected.doc.p[0].getMixedContent()
+    );
+    expect(actual.doc.Note[1]).toBeInstanceOf(Warning);
+    expect(actual.doc.Note[1].Text).toBe(" Second ");
+    expect(actual.doc.Code).toBe(" <x> ");
+    expect(actual.doc.Author).toBeNull();
+    expect(actual.doc.Version).toBe("1 & 2");
+  });
+
+  it("reads the example node set with DOMParser as with xml2js", async () => {
+    const nodeSetModule = await generateModuleFromFile(
+      "xmlBackendNodeSet",
+      path.resolve("examples", "UANodeSet.xsd"),
+      { "XSD-type": true, "XML-type": true }
+    );
+    const text = fs.readFileSync(path.resolve("examples", "UANodeset.xml"), "utf-8");
+    const { Base, UANodeSet } = nodeSetModule;
+    const expected = await readWith(Base, UANodeSet, "xml2js", text);
+    const actual = await readWith(Base, UANodeSet, "dom", text);
+    Base.configure({ xmlBackend: "xml2js", domParser: undefined });
+    expect(actual.xml).toBe(expected.xml);
+    expect(actual.object).toEqual(expected.object);
+  });
+
+  it("accepts a backend object", async () => {
+    const { Base, Doc } = mod;
+    const texts = [];
+    const xmlBackend = {
+      parse(text) {
+        texts.push(text);
+        return parseStringPromise(text, {
+          explicitChildren: true,
+          preserveChildrenOrder: true,
+          explicitArray: false,
+          mergeAttrs: false,
+          charsAsChildren: true,
+          includeWhiteChars: true,
+          explicitRoot: true,
+        });
+      },
+    };
+    const expected = await readWith(Base, Doc, "xml2js");
+    expect((await readWith(Base, Doc, xmlBackend)).xml).toBe(expected.xml);
+    expect(texts).toEqual([xml]);
+  });
+
+  it("reports what the dom backend cannot parse", async () => {
+    const { Base, Doc } = mod;
+    // xmldom throws (and logs the error)
+    const logged = vi.spyOn(console, "error").mockImplementation(() => {});
+    Base.configure({ xmlBackend: "dom", domParser: DOMParser });
+    await expect(Doc.fromXML("<Doc><p></Doc>")).rejects.toThrow(
+      'Invalid XML: Opening and ending tag mismatch: "p" != "Doc"'
+    );
+    logged.mockRestore();
+    // Chromium and WebKit nest a <parsererror> in the document, Firefox returns one
+    Base.configure({ domParser: ChromiumDOMParser });
+    const chromium = new ChromiumDOMParser().parseFromString("<Doc><p></Doc>", "text/xml");
+    expect(chromium.documentElement.nodeName).toBe("Doc");
+    expect(chromium.documentElement.firstChild.localName).toBe("parsererror");
+    await expect(Doc.fromXML("<Doc><p></Doc>")).rejects.toThrow(
+      "Invalid XML: This page contains the following errors:Opening and ending tag mismatch"
+    );
+    Base.configure({ domParser: FirefoxDOMParser });
+    await expect(Doc.fromXML(xml.replace("</d:Doc>", ""))).rejects.toThrow(
+      "Invalid XML: XML Parsing Error:"
+    );
+    // A well-formed document is read as with xmldom
+    Base.configure({ domParser: ChromiumDOMParser });
+    expect((await Doc.fromXML(xml)).toXML()).toBe((await readWith(Base, Doc, "dom")).xml);
+    Base.configure({ xmlBackend: "dom", domParser: undefined });
+    await expect(Doc.fromXML(xml)).rejects.toThrow("needs a DOMParser");
+    expect(() => Base.configure({ xmlBackend: "libxml" })).toThrow(
+      "Unknown XML backend: libxml"
+    );
+  });
+
+  it("generates a runtime for DOMParser without xml2js", async () => {
+    const dom = await generateModule("xmlBackendDom", xsd, { "xml-backend": "dom" });
+    const baseJs = fs.readFileSync(
+      path.resolve("test", "generated-unit", "xmlBackendDom", "Base.js"),
+      "utf-8"
+    );
+    expect(baseJs).not.toContain('from "xml2js"');
+    expect(dom.Base.configure().xmlBackend).toBe("dom");
+    dom.Base.configure({ domParser: DOMParser });
+    const { xml: written } = await readWith(dom.Base, dom.Doc, "dom");
+    expect(written).toBe((await readWith(mod.Base, mod.Doc, "xml2js")).xml);
+    dom.Base.configure({ xmlBackend: "xml2js" });
+    await expect(dom.Doc.fromXML(xml)).rejects.toThrow("xml2js is not included");
+    expect(mod.Base.configure().xmlBackend).toBe("xml2js");
+  });
+});
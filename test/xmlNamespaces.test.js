@@ -0,0 +1,72 @@
+// Unitary test: generated classes serialize elements and attributes in the namespaces
+// declared by the schema (targetNamespace, elementFormDefault, attributeFormDefault).
+
+import { describe, it, expect } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:t="urn:orders"
+    targetNamespace="urn:orders" elementFormDefault="qualified">
+  <xs:element name="Order">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Customer" type="t:Customer"/>
+        <xs:element name="Note" type="xs:string" form="unqualified" minOccurs="0"/>
+      </xs:sequence>
+      <xs:attribute name="Id" type="xs:string"/>
+      <xs:attribute name="Channel" type="xs:string" form="qualified"/>
+    </xs:complexType>
+  </xs:element>
+  <xs:complexType name="Customer">
+    <xs:sequence>
+      <xs:element name="Name" type="xs:string"/>
+    </xs:sequence>
+  </xs:complexType>
+</xs:schema>`;
+
+describe("Namespace-correct serialization", () => {
+  it("records namespaces and forms in the metadata", async () => {
+    const { Order } = await generateModule("xml-namespaces-meta", xsd);
+    expect(Order.__getXSDTypeInfo()).toEqual({
+      typeName: "Order",
+      namespace: "urn:orders",
+      elementName: "Order",
+    });
+    const meta = Order.__getXSDMeta();
+    expect(meta.Customer.namespace).toBe("urn:orders");
+    expect(meta.Note.namespace).toBe(null);
+    expect(meta.Id).toMatchObject({ namespace: null, form: "unqualified" });
+    expect(meta.Channel).toMatchObject({
+      namespace: "urn:orders",
+      form: "qualified",
+    });
+  });
+
+  it("declares the target namespace and qualifies only what the schema requires", async () => {
+    const { Order } = await generateModule("xml-namespaces-write", xsd);
+    const order = new Order({
+      "@_Id": "42",
+      "@_Channel": "web",
+      Customer: { Name: "Ada" },
+      Note: "fragile",
+    });
+    const xml = order.toXML();
+    expect(xml).toContain(
+      '<Order Id="42" ns1:Channel="web" xmlns="urn:orders" xmlns:ns1="urn:orders">'
+    );
+    expect(xml).toContain("<Customer>");
+    expect(xml).toContain('<Note xmlns="">fragile</Note>');
+  });
+
+  it("reuses the prefixes of the parsed document", async () => {
+    const { Order } = await generateModule("xml-namespaces-roundtrip", xsd);
+    const order = await Order.fromXML(
+      `<o:Order xmlns:o="urn:orders" Id="7" o:Channel="mail"><o:Customer><o:Name>Bob</o:Name></o:Customer></o:Order>`
+    );
+    expect(order.Customer).toBeDefined();
+    expect(order.Channel).toBe("mail");
+    const xml = order.toXML();
+    expect(xml).toContain('<o:Order Id="7" o:Channel="mail" xmlns:o="urn:orders">');
+    expect(xml).toContain("<o:Name>Bob</o:Name>");
+  });
+});
@@ -0,0 +1,190 @@
+// Unitary test: toXMLChunks and toXMLStream write the same text as toXML (namespace
+// declarations of the root, xsi:type, nil, mixed content, defaults) in chunks, waiting
+// for a Writable that refuses a write to drain.
+
+import fs from "fs";
+import path from "path";
+import { Writable } from "stream";
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule, generateModuleFromFile } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"
+           targetNamespace="urn:shop" xmlns="urn:shop" elementFormDefault="qualified">
+  <xs:complexType name="Item">
+    <xs:sequence>
+      <xs:element name="Label" type="xs:string"/>
+      <xs:element name="Note" type="xs:string" minOccurs="0" nillable="true"/>
+    </xs:sequence>
+    <xs:attribute name="Code" type="xs:string" form="qualified"/>
+    <xs:attribute name="Unit" type="xs:string" default="pcs"/>
+  </xs:complexType>
+  <xs:complexType name="Gift">
+    <xs:complexContent>
+      <xs:extension base="Item">
+        <xs:sequence>
+          <xs:element name="Wrapping" type="xs:string"/>
+        </xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:complexType name="Comment" mixed="true">
+    <xs:sequence>
+      <xs:element name="Ref" type="Item" minOccurs="0" maxOccurs="unbounded"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:element name="Order">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="Item" type="Item" maxOccurs="unbounded"/>
+        <xs:element name="Comment" type="Comment" minOccurs="0"/>
+      </xs:sequence>
+      <xs:attribute name="Id" type="xs:string"/>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+let mod;
+
+const order = () => {
+  const { Order, Item, Gift, Comment } = mod;
+  const items = [];
+  for (let i = 0; i < 200; i++) {
+    items.push(
+      i % 3
+        ? new Item({ Label: `Pen & ink ${i}`, "@_Code": `c${i}` })
+        : new Gift({ Label: `Box ${i}`, Wrapping: "red" })
+    );
+  }
+  items[5].Note = null;
+  const comment = new Comment();
+  comment.setMixedContent(["See ", { Ref: new Item({ Label: "Pen" }) }, " first."]);
+  const doc = new Order({ "@_Id": "7" });
+  doc.Item = items;
+  doc.Comment = comment;
+  return doc;
+};
+
+const collect = async (chunks) => {
+  const all = [];
+  for await (const chunk of chunks) all.push(chunk);
+  return all;
+};
+
+// A Writable that takes its time, with a small buffer
+const slowWritable = (received) =>
+  new Writable({
+    highWaterMark: 64,
+    decodeStrings: false,
+    write(chunk, encoding, callback) {
+      received.push(chunk);
+      setTimeout(callback, 1);
+    },
+  });
+
+beforeAll(async () => {
+  mod = await generateModule("xmlStreamSerialization", xsd);
+});
+
+describe("Streaming serialization", () => {
+  it("yields the chunks of the string toXML returns", async () => {
+    const doc = order();
+    const xml = doc.toXML();
+    // The root declares the namespaces its content needs, in the order they are met
+    // (xsi for the first xsi:type, then a prefix for the qualified attribute)
+    expect(xml.split("\n")[0]).toBe(
+      `<Order Id="7" xmlns="urn:shop" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:ns1="urn:shop">`
+    );
+    expect(xml).toContain(`<Comment>See <Ref>`);
+    const chunks = await collect(doc.toXMLChunks({ chunkSize: 256 }));
+    expect(chunks.length).toBeGreaterThan(10);
+    expect(chunks.slice(0, -1).every((c) => c.length >= 256)).toBe(true);
+    expect(chunks.join("")).toBe(xml);
+  });
+
+  it("passes the toXML options", async () => {
+    const doc = order();
+    const options = {
+      defaults: "materialize",
+      namespaces: { s: "urn:shop" },
+    };
+    const expected = doc.toXML("Purchase", options);
+    expect(expected).toContain(`Unit="pcs"`);
+    expect(expected.startsWith("<s:Purchase")).toBe(true);
+    expect((await collect(doc.toXMLChunks("Purchase", options))).join("")).toBe(
+      expected
+    );
+    const invalid = new mod.Order({ Item: [new mod.Item()] });
+    await expect(collect(invalid.toXMLChunks({ required: "strict" }))).rejects.toThrow(
+      "Order.Item[0].Label"
+    );
+  });
+
+  it("writes to a Writable, waiting for it to drain", async () => {
+    const doc = order();
+    const received = [];
+    const writable = slowWritable(received);
+    let drains = 0;
+    writable.on("drain", () => drains++);
+    let finished = false;
+    writable.on("finish", () => (finished = true));
+    await doc.toXMLStream(writable, { chunkSize: 128 });
+    expect(finished).toBe(true);
+    expect(drains).toBeGreaterThan(10);
+    expect(received.join("")).toBe(doc.toXML());
+  });
+
+  it("leaves the stream open with end: false and rejects on stream errors", async () => {
+    const doc = order();
+    const received = [];
+    const writable = slowWritable(received);
+    await doc.toXMLStream(writable, "Order", { end: false });
+    expect(writable.writableEnded).toBe(false);
+    writable.end();
+
+    const failing = new Writable({
+      highWaterMark: 16,
+      write(chunk, encoding, callback) {
+        callback(new Error("disk full"));
+      },
+    });
+    failing.on("error", () => {});
+    await expect(doc.toXMLStream(failing)).rejects.toThrow("disk full");
+  });
+
+  it("rejects when the stream cannot be opened or closes first", async () => {
+    const doc = order();
+    const missing = path.resolve("test", "generated-unit", "no-such-dir", "out.xml");
+    // No error listener of our own: toXMLStream handles the failure
+    await expect(doc.toXMLStream(fs.createWriteStream(missing))).rejects.toThrow(
+      "ENOENT"
+    );
+    // A small document fits in the stream's buffer: the failure comes after the writes
+    const small = new mod.Order({ "@_Id": "1" });
+    await expect(small.toXMLStream(fs.createWriteStream(missing))).rejects.toThrow(
+      "ENOENT"
+    );
+    await expect(
+      small.toXMLStream(fs.createWriteStream(missing), { end: false })
+    ).rejects.toThrow("ENOENT");
+
+    const closing = slowWritable([]);
+    setTimeout(() => closing.destroy(), 5);
+    await expect(doc.toXMLStream(closing, { chunkSize: 64 })).rejects.toThrow(
+      "The stream closed before the XML was written"
+    );
+  });
+
+  it("streams the example node set as toXML writes it", async () => {
+    const { UANodeSet } = await generateModuleFromFile(
+      "xmlStreamSerializationNodeSet",
+      path.resolve("examples", "UANodeSet.xsd"),
+      { "XSD-type": true, "XML-type": true }
+    );
+    const nodeSet = await UANodeSet.fromXML(
+      fs.readFileSync(path.resolve("examples", "UANodeset.xml"), "utf-8")
+    );
+    const chunks = await collect(nodeSet.toXMLChunks("UANodeSet"));
+    expect(chunks.join("")).toBe(nodeSet.toXML("UANodeSet"));
+  });
+});
@@ -0,0 +1,123 @@
+// Unitary test: elements naming a derived type with xsi:type are built with the class of
+// that type, which generated classes register by qualified type name; abstract types
+// cannot be instantiated, and toXML writes xsi:type for instances of a derived class.
+
+import { describe, it, expect, beforeAll } from "vitest";
+import { generateModule } from "./helpers/generate.js";
+
+const xsd = `
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"
+           xmlns="urn:test:fleet" targetNamespace="urn:test:fleet"
+           elementFormDefault="qualified">
+  <xs:complexType name="VehicleType" abstract="true">
+    <xs:sequence>
+      <xs:element name="Plate" type="xs:string"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:complexType name="CarType">
+    <xs:complexContent>
+      <xs:extension base="VehicleType">
+        <xs:sequence>
+          <xs:element name="Seats" type="xs:int"/>
+        </xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:complexType name="TruckType">
+    <xs:complexContent>
+      <xs:extension base="VehicleType">
+        <xs:sequence>
+          <xs:element name="Load" type="xs:decimal"/>
+        </xs:sequence>
+      </xs:extension>
+    </xs:complexContent>
+  </xs:complexType>
+  <xs:complexType name="PersonType">
+    <xs:sequence>
+      <xs:element name="Name" type="xs:string"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:complexType name="FleetType">
+    <xs:sequence>
+      <xs:element name="Vehicle" type="VehicleType" maxOccurs="unbounded"/>
+      <xs:element name="Owner" type="PersonType" minOccurs="0"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:element name="Fleet" type="FleetType"/>
+</xs:schema>`;
+
+let mod;
+
+beforeAll(async () => {
+  mod = await generateModule("xsiType", xsd);
+});
+
+describe("xsi:type polymorphism", () => {
+  it("registers generated classes by qualified type name", () => {
+    expect(mod.Base.lookupType("{urn:test:fleet}CarType")).toBe(mod.CarType);
+    expect(mod.VehicleType.__getXSDTypeInfo().abstract).toBe(true);
+    expect(mod.CarType.__getXSDTypeInfo().abstract).toBeUndefined();
+  });
+
+  it("builds the derived class named by xsi:type and writes it back", async () => {
+    const xml = `<Fleet xmlns="urn:test:fleet" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <Vehicle xsi:type="CarType">
+        <Plate>AB-123</Plate>
+        <Seats>5</Seats>
+    </Vehicle>
+    <Vehicle xsi:type="TruckType">
+        <Plate>TR-9</Plate>
+        <Load>12.5</Load>
+    </Vehicle>
+    <Owner>
+        <Name>Ada</Name>
+    </Owner>
+</Fleet>`;
+    const fleet = await mod.FleetType.fromXML(xml);
+    expect(fleet.Vehicle[0]).toBeInstanceOf(mod.CarType);
+    expect(fleet.Vehicle[0].Seats).toBe("5");
+    expect(fleet.Vehicle[1]).toBeInstanceOf(mod.TruckType);
+    expect(fleet.Owner.constructor).toBe(mod.PersonType);
+    expect(fleet.toXML("Fleet")).toBe(xml);
+  });
+
+  it("resolves prefixed type names and rejects unrelated types", async () => {
+    const fleet = await mod.FleetType.fromXML(
+      `<f:Fleet xmlns:f="urn:test:fleet" xmlns:i="http://www.w3.org/2001/XMLSchema-instance">
+  <f:Vehicle i:type="f:TruckType"><f:Plate>X</f:Plate><f:Load>1</f:Load></f:Vehicle>
+</f:Fleet>`
+    );
+    expect(fleet.Vehicle[0]).toBeInstanceOf(mod.TruckType);
+    await expect(
+      mod.FleetType.fromXML(
+        `<Fleet xmlns="urn:test:fleet" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <Vehicle xsi:type="PersonType"><Name>X</Name></Vehicle>
+</Fleet>`
+      )
+    ).rejects.toThrow('xsi:type "PersonType" does not derive from VehicleType');
+  });
+
+  it("refuses to instantiate abstract types", () => {
+    expect(() => new mod.VehicleType({ Plate: "X" })).toThrow(
+      "VehicleType is abstract"
+    );
+    expect(
+      () => new mod.FleetType({ Vehicle: [{ Plate: "X" }] })
+    ).toThrow("VehicleType is abstract");
+    const fleet = new mod.FleetType({
+      Vehicle: [{ "@_xsi:type": "CarType", Plate: "X", Seats: 2 }],
+    });
+    expect(fleet.Vehicle[0]).toBeInstanceOf(mod.CarType);
+  });
+
+  it("writes xsi:type for instances of a derived class", () => {
+    const fleet = new mod.FleetType();
+    fleet.Vehicle = [new mod.TruckType({ Plate: "T-1", Load: 3 })];
+    expect(fleet.toXML("Fleet")).toBe(`<Fleet xmlns="urn:test:fleet" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <Vehicle xsi:type="TruckType">
+        <Plate>T-1</Plate>
+        <Load>3</Load>
+    </Vehicle>
+</Fleet>`);
+  });
+});